@@ -11,11 +11,11 @@ import astroKirbySync from './plugins/astro-kirby-sync/index.js';
 import netlifyRemoteImages from './plugins/netlify-remote-images/index.js';
 import netlifyHybridImages from './plugins/netlify-hybrid-images/index.js';
 import netlifyPrettyUrls from './plugins/netlify-pretty-urls/index.js';
+import { getGlobalConfig } from './plugins/baukasten-utils/index.js';
 import path from 'path';
 
-const API_URL = process.env.KIRBY_URL;
-const response = await fetch(`${API_URL}/global.json`);
-const global = await response.json();
+// Reads from the content snapshot instead of the CMS when OFFLINE=true
+const global = await getGlobalConfig();
 const defaultLanguage = global.defaultLang.code;
 const translations = global.translations.map((lang) => lang.code);
 const prefixDefaultLocale = global.prefixDefaultLocale;
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { signPayload } from '../../../plugins/astro-kirby-sync/src/dirty-pages.js';
+import handler from '../kirby-webhook.mjs';
+
+const store = vi.hoisted(() => ({ setJSON: vi.fn() }));
+
+vi.mock('@netlify/blobs', () => ({ getStore: () => store }));
+
+const SECRET = 'webhook-secret';
+
+function createRequest(body, { timestamp, signature, method = 'POST' } = {}) {
+	const time = timestamp ?? String(Math.floor(Date.now() / 1000));
+	return new Request('https://example.com/.netlify/functions/kirby-webhook', {
+		method,
+		body: method === 'POST' ? body : undefined,
+		headers: {
+			'X-Kirby-Timestamp': time,
+			'X-Kirby-Signature': signature ?? signPayload(body, time, SECRET),
+		},
+	});
+}
+
+describe('kirby-webhook', () => {
+	beforeEach(() => {
+		vi.stubEnv('KIRBY_WEBHOOK_SECRET', SECRET);
+		vi.stubEnv('NETLIFY_BUILD_HOOK_URL', '');
+		store.setJSON.mockReset();
+	});
+
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	test('records the reported pages', async () => {
+		const response = await handler(
+			createRequest(JSON.stringify({ uri: 'blog/post-1', lang: 'de' }))
+		);
+
+		expect(response.status).toBe(202);
+		expect(await response.json()).toEqual({
+			full: false,
+			pages: 1,
+			buildTriggered: false,
+		});
+		expect(store.setJSON).toHaveBeenCalledWith(
+			'pages/de/blog/post-1',
+			expect.objectContaining({ uri: 'blog/post-1', lang: 'de' })
+		);
+	});
+
+	test('only accepts POST requests', async () => {
+		const response = await handler(createRequest('', { method: 'GET' }));
+
+		expect(response.status).toBe(405);
+	});
+
+	test('fails closed without a configured secret', async () => {
+		vi.stubEnv('KIRBY_WEBHOOK_SECRET', '');
+
+		const response = await handler(createRequest('{"uri":"about"}'));
+
+		expect(response.status).toBe(500);
+		expect(store.setJSON).not.toHaveBeenCalled();
+	});
+
+	test('rejects bad signatures', async () => {
+		const response = await handler(
+			createRequest('{"uri":"about"}', { signature: 'sha256=0000' })
+		);
+
+		expect(response.status).toBe(401);
+		expect(store.setJSON).not.toHaveBeenCalled();
+	});
+
+	test('rejects replayed requests with a stale timestamp', async () => {
+		const stale = String(Math.floor(Date.now() / 1000) - 3600);
+
+		const response = await handler(
+			createRequest('{"uri":"about"}', { timestamp: stale })
+		);
+
+		expect(response.status).toBe(401);
+		expect(store.setJSON).not.toHaveBeenCalled();
+	});
+
+	test.each([
+		['invalid JSON', '{"uri":'],
+		['payload without pages', '{"pages":[]}'],
+		['page without uri', '{"lang":"de"}'],
+	])('rejects %s', async (_name, body) => {
+		const response = await handler(createRequest(body));
+
+		expect(response.status).toBe(400);
+		expect(store.setJSON).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,91 @@
+/**
+ * Kirby Webhook
+ *
+ * Receives page change hooks from Kirby, verifies their shared-secret
+ * signature and records the changed pages, so the next build only syncs
+ * those pages (see plugins/astro-kirby-sync). When `NETLIFY_BUILD_HOOK_URL`
+ * is set, a build is triggered as well.
+ *
+ * POST /.netlify/functions/kirby-webhook
+ * Header: X-Kirby-Timestamp: <Unix seconds>
+ * Header: X-Kirby-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * Body: { "uri": "blog/post-1", "lang": "de" }
+ */
+
+import { getStore } from '@netlify/blobs';
+import {
+	DIRTY_PAGES_STORE,
+	SIGNATURE_HEADER,
+	TIMESTAMP_HEADER,
+	verifySignature,
+	parseHookPayload,
+	markPagesDirty,
+} from '../../plugins/astro-kirby-sync/src/dirty-pages.js';
+
+export default async (request) => {
+	if (request.method !== 'POST') {
+		return Response.json({ error: 'Method not allowed' }, { status: 405 });
+	}
+
+	const secret = process.env.KIRBY_WEBHOOK_SECRET;
+	if (!secret) {
+		console.error('[kirby-webhook] KIRBY_WEBHOOK_SECRET is not set');
+		return Response.json(
+			{ error: 'Webhook is not configured' },
+			{ status: 500 }
+		);
+	}
+
+	const body = await request.text();
+	const verified = verifySignature(
+		body,
+		request.headers.get(TIMESTAMP_HEADER),
+		request.headers.get(SIGNATURE_HEADER),
+		secret
+	);
+	if (!verified) {
+		return Response.json(
+			{ error: 'Invalid or expired signature' },
+			{ status: 401 }
+		);
+	}
+
+	let change;
+	try {
+		change = parseHookPayload(JSON.parse(body));
+	} catch (error) {
+		return Response.json({ error: error.message }, { status: 400 });
+	}
+
+	await markPagesDirty(getStore(DIRTY_PAGES_STORE), change);
+
+	let buildTriggered = false;
+	const buildHookUrl = process.env.NETLIFY_BUILD_HOOK_URL;
+	if (buildHookUrl) {
+		try {
+			const response = await fetch(
+				`${buildHookUrl}?trigger_title=${encodeURIComponent(
+					'Kirby content change'
+				)}`,
+				{ method: 'POST' }
+			);
+			buildTriggered = response.ok;
+			if (!response.ok) {
+				console.error(
+					`[kirby-webhook] Build hook responded with ${response.status}`
+				);
+			}
+		} catch (error) {
+			console.error(`[kirby-webhook] Build hook failed: ${error.message}`);
+		}
+	}
+
+	return Response.json(
+		{
+			full: change.full,
+			pages: change.pages.length,
+			buildTriggered,
+		},
+		{ status: 202 }
+	);
+};
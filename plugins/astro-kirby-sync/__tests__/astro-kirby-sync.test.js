@@ -0,0 +1,192 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import plugin, {
+	performFullSync,
+	performIncrementalSync,
+} from '../astro-kirby-sync.js';
+import { DeletionThresholdError } from '../src/deletion-guard.js';
+import { readSyncReport } from '../src/sync-report.js';
+import { TRANSLATIONS_MAP_FILE } from '../src/translations-map.js';
+
+const API_URL = 'https://cms.example.com';
+
+// Content served by the mocked CMS, keyed by path. The default language is
+// served without prefix and below /en/.
+function createCms() {
+	const global = {
+		defaultLang: { code: 'en' },
+		translations: [{ code: 'de' }],
+	};
+	const cms = {
+		'global.json': global,
+		'index.json': [
+			{ uri: 'about', translations: { de: 'ueber-uns' } },
+			{ uri: 'team' },
+		],
+		'about.json': { uri: 'about', title: 'About' },
+		'team.json': { uri: 'team', title: 'Team' },
+		'de/global.json': global,
+		'de/index.json': [{ uri: 'ueber-uns' }],
+		'de/ueber-uns.json': { uri: 'ueber-uns', title: 'Über uns' },
+	};
+	for (const file of ['global.json', 'index.json', 'about.json', 'team.json']) {
+		cms[`en/${file}`] = cms[file];
+	}
+	for (const prefix of ['', 'en/', 'de/']) {
+		for (const uri of ['maintenance', 'error']) {
+			cms[`${prefix}${uri}.json`] = { uri, title: uri };
+		}
+	}
+	return cms;
+}
+
+// Remove a page of the default language from the CMS
+function removePage(cms, uri) {
+	for (const prefix of ['', 'en/']) {
+		delete cms[`${prefix}${uri}.json`];
+		cms[`${prefix}index.json`] = cms[`${prefix}index.json`].filter(
+			(page) => page.uri !== uri
+		);
+	}
+}
+
+const options = { contentValidation: 'off', requestsPerSecond: 0 };
+const logger = { info: () => {}, warn: () => {} };
+
+let root;
+let contentDir;
+let cms;
+
+beforeEach(() => {
+	root = fs.mkdtempSync(path.join(os.tmpdir(), 'astro-kirby-sync-'));
+	contentDir = path.join(root, 'public/content');
+	cms = createCms();
+	vi.spyOn(process, 'cwd').mockReturnValue(root);
+	vi.stubGlobal(
+		'fetch',
+		vi.fn(async (url) => {
+			const file = new URL(url).pathname.slice(1);
+			return file in cms
+				? Response.json(cms[file])
+				: new Response(null, { status: 404 });
+		})
+	);
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	vi.unstubAllGlobals();
+	vi.unstubAllEnvs();
+	fs.rmSync(root, { recursive: true, force: true });
+});
+
+const lastReport = () =>
+	readSyncReport(path.join(root, '.netlify/kirby-sync-report.json'));
+const removedFiles = () =>
+	Object.values(lastReport().languages).flatMap(({ removed }) => removed);
+const trashDir = () => path.join(root, '.astro/kirby-content-trash');
+
+describe('translations map', () => {
+	test('is kept by incremental syncs and never reported as removed', async () => {
+		await performFullSync(API_URL, contentDir, logger, options);
+		const mapPath = path.join(contentDir, TRANSLATIONS_MAP_FILE);
+		expect(JSON.parse(fs.readFileSync(mapPath, 'utf8')).en.about).toEqual({
+			en: 'about',
+			de: 'ueber-uns',
+		});
+
+		await performIncrementalSync(API_URL, contentDir, logger, options);
+		expect(fs.existsSync(mapPath)).toBe(true);
+		expect(lastReport()).toMatchObject({ mode: 'incremental', fallback: null });
+		expect(removedFiles()).toEqual([]);
+
+		await performFullSync(API_URL, contentDir, logger, options);
+		expect(fs.existsSync(mapPath)).toBe(true);
+		expect(removedFiles()).toEqual([]);
+		expect(fs.existsSync(trashDir())).toBe(false);
+	});
+});
+
+describe('deletion guard', () => {
+	test('keeps files removed by a sync in the trash', async () => {
+		await performFullSync(API_URL, contentDir, logger, options);
+		removePage(cms, 'team');
+
+		await performIncrementalSync(API_URL, contentDir, logger, options);
+
+		expect(fs.existsSync(path.join(contentDir, 'team.json'))).toBe(false);
+		expect(removedFiles()).toEqual(['team.json', 'team.json']);
+		expect(
+			JSON.parse(
+				fs.readFileSync(path.join(trashDir(), '.removed.json'), 'utf8')
+			).files
+		).toEqual(['team.json', 'en/team.json']);
+		expect(fs.existsSync(path.join(trashDir(), 'en/team.json'))).toBe(true);
+	});
+
+	test('aborts a sync removing more than the threshold', async () => {
+		await performFullSync(API_URL, contentDir, logger, options);
+		removePage(cms, 'team');
+
+		await expect(
+			performIncrementalSync(API_URL, contentDir, logger, {
+				...options,
+				deletionThreshold: 10,
+			})
+		).rejects.toBeInstanceOf(DeletionThresholdError);
+		expect(lastReport()).toMatchObject({
+			mode: 'incremental',
+			status: 'failed',
+		});
+		expect(fs.existsSync(path.join(contentDir, 'team.json'))).toBe(true);
+		expect(fs.existsSync(trashDir())).toBe(false);
+	});
+});
+
+describe('build cache', () => {
+	const createUtils = () => ({
+		cache: { save: vi.fn(), restore: vi.fn() },
+		build: { failBuild: vi.fn() },
+		status: { show: vi.fn() },
+	});
+
+	test('saves and restores the trash with the sync state', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		await performFullSync(API_URL, contentDir, logger, options);
+		removePage(cms, 'team');
+		await performIncrementalSync(API_URL, contentDir, logger, options);
+
+		const utils = createUtils();
+		await plugin.onPostBuild({ utils });
+		expect(utils.cache.save).toHaveBeenCalledWith(trashDir());
+
+		// Build from the synced content without contacting the CMS
+		vi.stubEnv('OFFLINE', 'true');
+		vi.stubEnv('KIRBY_SNAPSHOT_DIR', contentDir);
+		await plugin.onPreBuild({ utils });
+		expect(utils.cache.restore).toHaveBeenCalledWith(trashDir());
+		expect(utils.build.failBuild).not.toHaveBeenCalled();
+	});
+});
+
+describe('system pages', () => {
+	test('are shared with the site through the environment', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		await performFullSync(API_URL, contentDir, logger, options);
+		vi.stubEnv('KIRBY_SYNC_SYSTEM_PAGES', '');
+		vi.stubEnv('OFFLINE', 'true');
+		vi.stubEnv('KIRBY_SNAPSHOT_DIR', contentDir);
+
+		await plugin.onPreBuild({
+			utils: {
+				cache: { restore: vi.fn() },
+				build: { failBuild: vi.fn() },
+			},
+			inputs: { systemPages: ['error', 'maintenance'] },
+		});
+
+		expect(process.env.KIRBY_SYNC_SYSTEM_PAGES).toBe('error,maintenance');
+	});
+});
@@ -0,0 +1,101 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+let tmpDir;
+
+const writeFile = (root, relativePath, data) => {
+	const file = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, JSON.stringify(data));
+};
+
+// Working tree with synced content of one language
+const createWorkingTree = (name) => {
+	const root = path.join(tmpDir, name);
+	for (const lang of ['', 'en/']) {
+		writeFile(root, `public/content/${lang}global.json`, {
+			defaultLang: { code: 'en' },
+			translations: [{ code: 'en' }],
+		});
+		writeFile(root, `public/content/${lang}index.json`, [{ uri: 'home' }]);
+		writeFile(root, `public/content/${lang}home.json`, { title: 'Home' });
+	}
+	return root;
+};
+
+// Run the CLI in a working tree, without a CMS to sync from
+const run = (root, ...args) => {
+	const env = { ...process.env, FORCE_COLOR: '0' };
+	delete env.KIRBY_URL;
+	const { status, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+		cwd: root,
+		env,
+		encoding: 'utf8',
+		timeout: 30000,
+	});
+	return { status, output: stderr };
+};
+
+beforeEach(() => {
+	tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+});
+
+afterEach(() => {
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('cli', () => {
+	test('exports a snapshot and imports it into another working tree', () => {
+		const source = createWorkingTree('source');
+		const archivePath = path.join(tmpDir, 'snapshot.tar.gz');
+
+		const exported = run(source, 'export', archivePath);
+		expect(exported.status).toBe(0);
+		expect(exported.output).toContain(`Exported snapshot to ${archivePath}`);
+
+		const target = path.join(tmpDir, 'target');
+		fs.mkdirSync(target);
+		const imported = run(target, 'import', archivePath);
+		expect(imported.status).toBe(0);
+		expect(imported.output).toContain('Files: 6 content, 0 media, 0 fonts');
+		expect(
+			fs.readFileSync(path.join(target, 'public/content/home.json'), 'utf8')
+		).toBe(JSON.stringify({ title: 'Home' }));
+	});
+
+	test('exits with 0 for identical and 1 for changed snapshots', () => {
+		const before = createWorkingTree('before');
+		const after = createWorkingTree('after');
+		const archivePath = path.join(tmpDir, 'before.tar.gz');
+		expect(run(before, 'export', archivePath).status).toBe(0);
+
+		const identical = run(after, 'diff', archivePath, 'public/content');
+		expect(identical.status).toBe(0);
+		expect(identical.output).toContain('Snapshots are identical');
+
+		writeFile(after, 'public/content/home.json', { title: 'Welcome' });
+		writeFile(after, 'public/content/about.json', { title: 'About' });
+		const changed = run(after, 'diff', archivePath, 'public/content');
+		expect(changed.status).toBe(1);
+		expect(changed.output).toContain('+ about');
+		expect(changed.output).toContain('~ home (title)');
+	});
+
+	test('exits with 2 on errors', () => {
+		const root = createWorkingTree('root');
+
+		const missing = run(root, 'import', 'missing.tar.gz');
+		expect(missing.status).toBe(2);
+		expect(missing.output).toContain('Snapshot not found: missing.tar.gz');
+
+		expect(run(root, 'export', '--sync').status).toBe(2);
+		expect(run(root, 'diff', 'public/content').status).toBe(2);
+		expect(run(root, 'unknown').status).toBe(2);
+	});
+});
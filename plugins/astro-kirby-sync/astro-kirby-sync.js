@@ -1,8 +1,145 @@
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
 import chalk from 'chalk';
 import { createHash } from 'crypto';
+import {
+	mergeOptions,
+	validateOptions,
+	isOfflineMode,
+	getSnapshotDir,
+	createKirbyClient,
+	getKirbyClient,
+	NOT_MODIFIED,
+} from '../baukasten-utils/index.js';
+import { createFetchPool } from './src/fetch-pool.js';
+import { createStagingArea, verifyStagedContent } from './src/staging.js';
+import {
+	fetchChangeManifest,
+	createChangeDetector,
+} from './src/change-feed.js';
+import {
+	ContentValidationError,
+	validateContent,
+	formatValidationReport,
+} from './src/content-validation.js';
+import {
+	openDirtyPagesStore,
+	readDirtyPages,
+	clearDirtyPages,
+	groupDirtyPages,
+} from './src/dirty-pages.js';
+import {
+	compareContent,
+	createSyncReport,
+	writeSyncReport,
+	readSyncReport,
+	getSyncReportPath,
+	formatSyncStatus,
+} from './src/sync-report.js';
+import {
+	DeletionThresholdError,
+	summarizeRemovals,
+	formatFileList,
+	checkDeletionThreshold,
+	copyToTrash,
+	getTrashDir,
+} from './src/deletion-guard.js';
+import {
+	TRANSLATIONS_MAP_FILE,
+	buildTranslationsMap,
+} from './src/translations-map.js';
+import {
+	SYSTEM_PAGES_ENV,
+	DEFAULT_SYSTEM_PAGES,
+	parseSystemPages,
+} from './src/system-pages.js';
+
+const contentValidationModes = ['warn', 'error', 'off'];
+
+// Default sync options (overridable via environment or plugin inputs)
+const defaultSyncOptions = {
+	// Maximum number of page requests in flight at once
+	concurrency: 6,
+	// Maximum requests per second sent to a single CMS host (0 disables limiting)
+	requestsPerSecond: 20,
+	// Ask the CMS for changed pages (changes.json) during incremental syncs
+	changeFeed: true,
+	// How schema problems in synced content are handled: 'warn', 'error' or 'off'
+	contentValidation: 'warn',
+	// Pages fetched for every language even if index.json doesn't list them
+	systemPages: DEFAULT_SYSTEM_PAGES,
+	// Abort when a sync would remove more than this share (percent) of the
+	// live content files; 100 disables the check
+	deletionThreshold: 25,
+	// Only list what a sync would change, without touching the live content
+	dryRun: false,
+};
+
+const syncOptionsSchema = {
+	concurrency: { type: 'number', min: 1, max: 64 },
+	requestsPerSecond: { type: 'number', min: 0 },
+	changeFeed: { type: 'boolean' },
+	contentValidation: {
+		type: 'string',
+		validate: (value) => {
+			if (!contentValidationModes.includes(value)) {
+				throw new Error(
+					`must be one of ${contentValidationModes.join(', ')}, got '${value}'`
+				);
+			}
+		},
+	},
+	deletionThreshold: { type: 'number', min: 0, max: 100 },
+	dryRun: { type: 'boolean' },
+	systemPages: {
+		validate: (value) => {
+			if (
+				!Array.isArray(value) ||
+				!value.every((uri) => typeof uri === 'string' && uri.length > 0)
+			) {
+				throw new Error('must be a list of page URIs');
+			}
+		},
+	},
+};
+
+// Resolve sync options from defaults, environment variables and explicit options
+function resolveSyncOptions(userOptions = {}) {
+	const envOptions = {};
+	if (process.env.KIRBY_SYNC_CONCURRENCY) {
+		envOptions.concurrency = Number(process.env.KIRBY_SYNC_CONCURRENCY);
+	}
+	if (process.env.KIRBY_SYNC_RATE_LIMIT) {
+		envOptions.requestsPerSecond = Number(process.env.KIRBY_SYNC_RATE_LIMIT);
+	}
+	if (process.env.KIRBY_SYNC_CHANGE_FEED) {
+		envOptions.changeFeed = process.env.KIRBY_SYNC_CHANGE_FEED !== 'false';
+	}
+	if (process.env.KIRBY_SYNC_VALIDATION) {
+		envOptions.contentValidation = process.env.KIRBY_SYNC_VALIDATION;
+	}
+	if (process.env[SYSTEM_PAGES_ENV]) {
+		envOptions.systemPages = parseSystemPages(process.env[SYSTEM_PAGES_ENV]);
+	}
+	if (process.env.KIRBY_SYNC_DELETE_THRESHOLD) {
+		envOptions.deletionThreshold = Number(
+			process.env.KIRBY_SYNC_DELETE_THRESHOLD
+		);
+	}
+	if (process.env.KIRBY_SYNC_DRY_RUN) {
+		envOptions.dryRun = process.env.KIRBY_SYNC_DRY_RUN === 'true';
+	}
+
+	// Ignore unset inputs so they don't override defaults with undefined
+	const explicitOptions = Object.fromEntries(
+		Object.entries(userOptions).filter(([, value]) => value !== undefined)
+	);
+
+	return validateOptions(
+		mergeOptions(defaultSyncOptions, { ...envOptions, ...explicitOptions }),
+		syncOptionsSchema
+	);
+}
 
 // Simple timing helper
 function createTimer() {
@@ -24,14 +161,6 @@ function generateContentHash(content) {
 	return createHash('sha256').update(JSON.stringify(content)).digest('hex');
 }
 
-// Helper function to clean directory
-function cleanDirectory(dirPath) {
-	if (fs.existsSync(dirPath)) {
-		fs.rmSync(dirPath, { recursive: true, force: true });
-	}
-	fs.mkdirSync(dirPath, { recursive: true });
-}
-
 // Helper function to ensure directory exists
 function ensureDirectoryExists(dirPath) {
 	if (!fs.existsSync(dirPath)) {
@@ -39,32 +168,61 @@ function ensureDirectoryExists(dirPath) {
 	}
 }
 
-// Helper function to fetch JSON from URL with retries
-async function fetchJson(url, retries = 3, delay = 1000) {
-	for (let attempt = 1; attempt <= retries; attempt++) {
-		try {
-			const response = await fetch(url);
-			if (!response.ok) {
-				if (attempt === retries) {
-					throw new Error(`HTTP error! status: ${response.status}`);
-				}
-				// Wait before retrying
-				await new Promise((resolve) => setTimeout(resolve, delay));
-				continue;
-			}
-			return await response.json();
-		} catch (error) {
-			if (attempt === retries) {
-				console.error(
-					`Error fetching ${url} after ${retries} attempts:`,
-					error
-				);
-				throw error;
-			}
-			// Wait before retrying
-			await new Promise((resolve) => setTimeout(resolve, delay));
-		}
+// One Kirby client per fetch pool, so every request of a sync run is
+// throttled and its retries are counted. Content must be fresh and
+// conditional requests rely on the server, so responses aren't cached.
+const poolClients = new WeakMap();
+function getPoolClient(pool) {
+	if (!poolClients.has(pool)) {
+		poolClients.set(
+			pool,
+			createKirbyClient({
+				cache: false,
+				throttle: pool.throttle,
+				onRetry: (url) => pool.recordRetry(url),
+			})
+		);
 	}
+	return poolClients.get(pool);
+}
+
+// Fetch JSON through the shared pool so rate limits, retries and failures
+// are tracked. With `validators` (the sync state's ETag/Last-Modified map),
+// response validators are recorded per URL; with `conditional`, they are
+// also sent and a 304 resolves to NOT_MODIFIED.
+function fetchWithPool(pool, url, options = {}) {
+	return getPoolClient(pool)
+		.getJson(url, options)
+		.catch((error) => {
+			pool.recordFailure(url, error);
+			throw error;
+		});
+}
+
+// Fetch a content file, sending the stored validators when a local copy
+// exists. Resolves to NOT_MODIFIED when the CMS answers 304.
+function fetchContentWithPool(pool, url, syncState, localFiles) {
+	return fetchWithPool(pool, url, {
+		validators: syncState.validators,
+		conditional: localFiles.every((filePath) => fs.existsSync(filePath)),
+	});
+}
+
+// Helper function to read a previously synced JSON file
+function readJsonFile(filePath) {
+	return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Log aggregated request statistics for a sync run
+function logPoolSummary(pool, logger) {
+	const { requests, completed, retries, concurrency } = pool.summary();
+	logger.info(
+		chalk.gray(
+			`📊 Checked ${completed} page(s) with ${requests} request(s) at concurrency ${concurrency}${
+				retries > 0 ? ` (${retries} retried request(s))` : ''
+			}`
+		)
+	);
 }
 
 // Helper function to save JSON file
@@ -90,6 +248,18 @@ function getSyncStateFilePath() {
 	return path.join(astroDir, 'kirby-sync-state.json');
 }
 
+function getContentDir() {
+	return path.resolve('./public/content');
+}
+
+// A usable snapshot has at least the root global.json and index.json
+function hasContentSnapshot(contentDir) {
+	return (
+		fs.existsSync(path.join(contentDir, 'global.json')) &&
+		fs.existsSync(path.join(contentDir, 'index.json'))
+	);
+}
+
 function getHybridManifestPath() {
 	const netlifyDir = path.resolve('./.netlify');
 	ensureDirectoryExists(netlifyDir);
@@ -102,32 +272,32 @@ function getHybridMediaDir() {
 	return mediaDir;
 }
 
+// Create a sync state with all known fields
+function createSyncState(state = {}) {
+	return {
+		lastSync: state.lastSync || null,
+		contentHashes: state.contentHashes || {},
+		// `modified` values from index.json of the last fetched page versions
+		pageModified: state.pageModified || {},
+		// ETag/Last-Modified response validators keyed by URL
+		validators: state.validators || {},
+		version: state.version || '1.0.0',
+	};
+}
+
 // Load sync state from disk
 function loadSyncState() {
 	const stateFile = getSyncStateFilePath();
 
 	if (!fs.existsSync(stateFile)) {
-		return {
-			lastSync: null,
-			contentHashes: {},
-			version: '1.0.0',
-		};
+		return createSyncState();
 	}
 
 	try {
-		const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
-		return {
-			lastSync: state.lastSync || null,
-			contentHashes: state.contentHashes || {},
-			version: state.version || '1.0.0',
-		};
+		return createSyncState(JSON.parse(fs.readFileSync(stateFile, 'utf8')));
 	} catch (error) {
 		console.warn('Invalid sync state file, starting fresh:', error.message);
-		return {
-			lastSync: null,
-			contentHashes: {},
-			version: '1.0.0',
-		};
+		return createSyncState();
 	}
 }
 
@@ -209,12 +379,17 @@ async function performIncrementalLanguageSync(
 	lang,
 	contentDir,
 	syncState,
-	logger
+	logger,
+	pool,
+	{ since = null, changeFeed = false, systemPages = [], dirtyUris = null } = {}
 ) {
+	const startedAt = performance.now();
 	const langPath = lang ? `${lang}/` : '';
 	const langDir = lang ? path.join(contentDir, lang) : contentDir;
 	let changedFiles = 0;
 	let totalFiles = 0;
+	let skippedFiles = 0;
+	let notModifiedFiles = 0;
 	const syncedFiles = new Set();
 
 	// Ensure language directory exists
@@ -222,18 +397,21 @@ async function performIncrementalLanguageSync(
 
 	// Fetch and check global.json
 	const globalUrl = `${API_URL}/${langPath}global.json`;
-	const globalData = await fetchJson(globalUrl);
-	totalFiles++;
-
 	const globalFilePath = path.join(langDir, 'global.json');
 	const globalRelativePath = path.relative(contentDir, globalFilePath);
+	const globalResult = await fetchContentWithPool(pool, globalUrl, syncState, [
+		globalFilePath,
+	]);
+	const globalNotModified = globalResult === NOT_MODIFIED;
+	const globalData = globalNotModified
+		? readJsonFile(globalFilePath)
+		: globalResult;
+	totalFiles++;
 	syncedFiles.add(globalRelativePath);
 
-	const globalContentChanged = hasContentChanged(
-		globalUrl,
-		globalData,
-		syncState.contentHashes
-	);
+	const globalContentChanged =
+		!globalNotModified &&
+		hasContentChanged(globalUrl, globalData, syncState.contentHashes);
 
 	if (globalContentChanged) {
 		logger.info(chalk.gray(`  ↳ Updated global.json`));
@@ -255,18 +433,21 @@ async function performIncrementalLanguageSync(
 
 	// Fetch and check index.json
 	const indexUrl = `${API_URL}/${langPath}index.json`;
-	const indexData = await fetchJson(indexUrl);
-	totalFiles++;
-
 	const indexFilePath = path.join(langDir, 'index.json');
 	const indexRelativePath = path.relative(contentDir, indexFilePath);
+	const indexResult = await fetchContentWithPool(pool, indexUrl, syncState, [
+		indexFilePath,
+	]);
+	const indexNotModified = indexResult === NOT_MODIFIED;
+	const indexData = indexNotModified
+		? readJsonFile(indexFilePath)
+		: indexResult;
+	totalFiles++;
 	syncedFiles.add(indexRelativePath);
 
-	const indexContentChanged = hasContentChanged(
-		indexUrl,
-		indexData,
-		syncState.contentHashes
-	);
+	const indexContentChanged =
+		!indexNotModified &&
+		hasContentChanged(indexUrl, indexData, syncState.contentHashes);
 
 	if (indexContentChanged) {
 		logger.info(chalk.gray(`  ↳ Updated index.json`));
@@ -300,8 +481,7 @@ async function performIncrementalLanguageSync(
 		const essentialFiles = [
 			'global.json',
 			'index.json',
-			'maintenance.json',
-			'error.json',
+			...systemPages.map((uri) => `${uri}.json`),
 		];
 		const allFiles = fs.readdirSync(langDir);
 		for (const file of allFiles) {
@@ -317,127 +497,440 @@ async function performIncrementalLanguageSync(
 		}
 	}
 
-	// Check each page in the index
-	for (const page of indexData) {
-		const pageUrl = `${API_URL}/${langPath}${page.uri}.json`;
-		const pageData = await fetchJson(pageUrl);
-		totalFiles++;
+	// Pages reported by the webhook take the place of the change feed;
+	// otherwise ask the CMS which pages changed since the last sync
+	let changedUris = null;
+	if (since && dirtyUris) {
+		changedUris = dirtyUris;
+	} else if (since && changeFeed) {
+		changedUris = await fetchChangeManifest(
+			getPoolClient(pool),
+			API_URL,
+			langPath,
+			since
+		);
+	}
+	const detector = createChangeDetector({
+		changedUris,
+		pageModified: syncState.pageModified,
+		indexData,
+		getPageUrl: (page) => `${API_URL}/${langPath}${page.uri}.json`,
+	});
 
-		const pageFilePath = path.join(langDir, `${page.uri}.json`);
-		const pageRelativePath = path.relative(contentDir, pageFilePath);
-		syncedFiles.add(pageRelativePath);
+	if (since && dirtyUris) {
+		logger.info(
+			chalk.gray(`  ↳ Webhook reports ${dirtyUris.size} changed page(s)`)
+		);
+	} else if (since && detector.strategy === 'feed') {
+		logger.info(
+			chalk.gray(`  ↳ Change feed reports ${changedUris.size} changed page(s)`)
+		);
+	} else if (since && detector.strategy === 'modified') {
+		logger.info(chalk.gray('  ↳ Using modified timestamps from index.json'));
+	} else if (since && changeFeed) {
+		logger.info(
+			chalk.gray('  ↳ No change feed available, comparing content hashes')
+		);
+	}
 
-		const pageContentChanged = hasContentChanged(
-			pageUrl,
-			pageData,
-			syncState.contentHashes
+	if (since && detector.sectionUris.size > 0) {
+		logger.info(
+			chalk.gray(
+				`  ↳ Refreshing ${detector.sectionUris.size} section page(s) listing changed pages`
+			)
 		);
+	}
 
-		if (pageContentChanged) {
-			logger.info(chalk.gray(`  ↳ Updated ${page.uri}.json`));
-			changedFiles++;
-			syncState.contentHashes[pageUrl] = generateContentHash(pageData);
-		}
+	// System pages (maintenance, error, ...) are needed even when index.json
+	// doesn't list them, so they are always fetched
+	const indexedUris = new Set(indexData.map((page) => page.uri));
+	const systemEntries = systemPages
+		.filter((uri) => !indexedUris.has(uri))
+		.map((uri) => ({ uri, system: true }));
+
+	// Fetch and check each page in the index through the shared worker pool
+	await pool.run(
+		[...indexData, ...systemEntries],
+		async (page) => {
+			const pageUrl = `${API_URL}/${langPath}${page.uri}.json`;
+			const pageFilePath = path.join(langDir, `${page.uri}.json`);
+			const pageRelativePath = path.relative(contentDir, pageFilePath);
+			const rootPagePath = path.join(contentDir, `${page.uri}.json`);
+			syncedFiles.add(pageRelativePath);
+			totalFiles++;
+
+			// Skip pages the CMS reports as unchanged, as long as a local copy exists
+			const isUnchanged =
+				since &&
+				!page.system &&
+				!detector.shouldFetch(page) &&
+				syncState.contentHashes[pageUrl] &&
+				fs.existsSync(pageFilePath) &&
+				(lang || fs.existsSync(rootPagePath));
+
+			if (isUnchanged) {
+				skippedFiles++;
+				if (!lang) syncedFiles.add(path.relative(contentDir, rootPagePath));
+				return;
+			}
 
-		// Always ensure the file exists (create if missing or changed)
-		if (pageContentChanged || !fs.existsSync(pageFilePath)) {
-			saveJsonFile(pageFilePath, pageData);
+			let pageData;
+			try {
+				pageData = await fetchContentWithPool(pool, pageUrl, syncState, [
+					pageFilePath,
+					rootPagePath,
+				]);
+			} catch (error) {
+				if (!systemPages.includes(page.uri)) throw error;
+				throw new Error(
+					`Required system page '${page.uri}' is missing for ${
+						lang || 'the default language'
+					} (${pageUrl}): ${error.message}`
+				);
+			}
 
-			// Also save to root if this is the default language
-			if (!lang) {
-				const rootPagePath = path.join(contentDir, `${page.uri}.json`);
-				saveJsonFile(rootPagePath, pageData);
-				syncedFiles.add(path.relative(contentDir, rootPagePath));
+			if (page.modified !== undefined) {
+				syncState.pageModified[pageUrl] = page.modified;
 			}
-		}
 
-		// Handle sections (fetch additional data if needed)
-		if (page.intendedTemplate === 'section') {
-			// Section data is the same as page data in this case, no additional fetch needed
-			// The section items are included in the page.json response
-		}
-	}
+			// The CMS confirmed the local copy is current (HTTP 304)
+			if (pageData === NOT_MODIFIED) {
+				notModifiedFiles++;
+				if (!lang) syncedFiles.add(path.relative(contentDir, rootPagePath));
+				return;
+			}
 
-	return { changedFiles, totalFiles, syncedFiles };
-}
+			const pageContentChanged = hasContentChanged(
+				pageUrl,
+				pageData,
+				syncState.contentHashes
+			);
 
-// Perform full sync (fallback when incremental fails)
-async function performFullSync(API_URL, contentDir, logger) {
-	const timer = createTimer();
-	logger.info(chalk.blue('\n🔄 Performing full content sync...'));
+			if (pageContentChanged) {
+				logger.info(chalk.gray(`  ↳ Updated ${page.uri}.json`));
+				changedFiles++;
+				syncState.contentHashes[pageUrl] = generateContentHash(pageData);
+			}
 
-	// Clean existing content
-	logger.info(chalk.gray('🧹 Cleaning existing content...'));
-	cleanDirectory(contentDir);
+			// Always ensure the file exists (create if missing or changed)
+			if (pageContentChanged || !fs.existsSync(pageFilePath)) {
+				saveJsonFile(pageFilePath, pageData);
 
-	// Initialize sync state
-	const syncState = {
-		lastSync: new Date().toISOString(),
-		contentHashes: {},
-		version: '1.0.0',
+				// Also save to root if this is the default language
+				if (!lang) {
+					saveJsonFile(rootPagePath, pageData);
+					syncedFiles.add(path.relative(contentDir, rootPagePath));
+				}
+			}
+
+			// Section items are included in the page.json response, so section
+			// pages need no additional fetch
+		},
+		{ label: 'pages' }
+	);
+
+	if (skippedFiles > 0) {
+		logger.info(
+			chalk.gray(
+				`  ↳ Skipped ${skippedFiles} unchanged page(s) without fetching`
+			)
+		);
+	}
+
+	if (notModifiedFiles > 0) {
+		logger.info(
+			chalk.gray(`  ↳ ${notModifiedFiles} page(s) not modified (HTTP 304)`)
+		);
+	}
+
+	return {
+		changedFiles,
+		totalFiles,
+		skippedFiles: skippedFiles + notModifiedFiles,
+		syncedFiles,
+		durationMs: performance.now() - startedAt,
 	};
+}
 
-	// Fetch global data first to get language information
-	let global;
-	try {
-		global = await fetchJson(`${API_URL}/global.json`);
-	} catch (error) {
-		throw new Error(`Failed to fetch global configuration: ${error.message}`);
+// Check staged content against the content schemas. Problems are logged as
+// a report, or fail the sync when validation is set to 'error'.
+function validateStagedContent(staging, languages, syncOptions, logger) {
+	const mode = syncOptions.contentValidation;
+	if (mode === 'off') return 0;
+
+	const { files, problems } = validateContent(staging.dir, languages, {
+		systemPages: syncOptions.systemPages,
+	});
+
+	if (problems.length === 0) {
+		logger.info(
+			chalk.gray(`🔎 Validated ${files} file(s) against the content schemas`)
+		);
+		return 0;
 	}
 
-	if (!global || !global.defaultLang || !global.defaultLang.code) {
-		throw new Error('Invalid global configuration received from CMS');
+	const report = formatValidationReport(problems);
+	if (mode === 'error') {
+		throw new ContentValidationError(report);
 	}
 
-	const defaultLanguage = global.defaultLang.code;
-	const translations = global.translations.map((lang) => lang.code);
+	logger.warn(chalk.yellow(`\n⚠️ ${report}`));
+	return problems.length;
+}
 
+// Write translations-map.json from the page indexes of all languages, so
+// alternate URLs are a lookup at build time
+function writeTranslationsMap(dir, languages, logger) {
+	const indexes = Object.fromEntries(
+		languages.map((lang) => [
+			lang,
+			readJsonFile(path.join(dir, lang, 'index.json')),
+		])
+	);
+	saveJsonFile(
+		path.join(dir, TRANSLATIONS_MAP_FILE),
+		buildTranslationsMap(indexes)
+	);
 	logger.info(
 		chalk.gray(
-			`📚 Found languages: ${[defaultLanguage, ...translations].join(', ')}`
+			`🔗 Mapped translations of ${languages.length} language(s) to ${TRANSLATIONS_MAP_FILE}`
 		)
 	);
+}
 
-	// Sync default language (no prefix) - but we need to sync it both to root AND to its language directory
-	logger.info(
-		chalk.yellow(`\n📥 Syncing default language (${defaultLanguage})...`)
-	);
-	await performIncrementalLanguageSync(
-		API_URL,
-		null,
-		contentDir,
-		syncState,
+// Verify staged content, check it against the content schemas and write the
+// translations map, so staging holds exactly what goes live before it is
+// compared with the live content. Returns the number of verified files and
+// of content validation problems that were let through.
+function prepareStagedContent(staging, languages, logger, syncOptions) {
+	const uniqueLanguages = [...new Set(languages)];
+	const { files } = verifyStagedContent(staging.dir, uniqueLanguages, {
+		systemPages: syncOptions.systemPages,
+	});
+	const validationProblems = validateStagedContent(
+		staging,
+		uniqueLanguages,
+		syncOptions,
 		logger
 	);
+	writeTranslationsMap(staging.dir, uniqueLanguages, logger);
+	return { files, validationProblems };
+}
 
-	// ALSO sync default language to its own language directory
+// Swap prepared staged content into the live content directory
+function swapInStagedContent(staging, files, logger) {
+	staging.commit();
 	logger.info(
-		chalk.yellow(
-			`\n📥 Syncing default language to /${defaultLanguage}/ directory...`
-		)
+		chalk.gray(`📦 Verified ${files} file(s) and swapped in the new content`)
 	);
-	await performIncrementalLanguageSync(
-		API_URL,
-		defaultLanguage,
-		contentDir,
-		syncState,
-		logger
+}
+
+// Verify staged content and swap it into the live content directory.
+// Returns the number of content validation problems that were let through.
+function commitStagedContent(staging, languages, logger, syncOptions) {
+	const { files, validationProblems } = prepareStagedContent(
+		staging,
+		languages,
+		logger,
+		syncOptions
+	);
+	swapInStagedContent(staging, files, logger);
+	return validationProblems;
+}
+
+// Compare staged with live content for the sync report, guard against mass
+// deletion and commit it. Returns false for a dry run, which only lists the
+// changes and discards the staged content.
+function commitStagedContentWithReport(
+	staging,
+	contentDir,
+	languages,
+	logger,
+	syncOptions,
+	report,
+	{ forced = false } = {}
+) {
+	const { files, validationProblems } = prepareStagedContent(
+		staging,
+		languages,
+		logger,
+		syncOptions
 	);
+	const changes = compareContent(contentDir, staging.dir, languages);
+	const { removed, liveFiles } = summarizeRemovals(changes);
+	report.recordChanges(changes);
+	report.recordValidation(validationProblems);
+
+	if (syncOptions.dryRun) {
+		const { added, updated } = report.data.totals;
+		logger.info(
+			chalk.blue(
+				`\n🧪 Dry run: would add ${added}, update ${updated} and remove ${removed.length} file(s)`
+			)
+		);
+		if (removed.length > 0) {
+			logger.info(chalk.gray(formatFileList(removed)));
+		}
+		staging.discard();
+		return false;
+	}
+
+	checkDeletionThreshold({
+		removed,
+		liveFiles,
+		threshold: syncOptions.deletionThreshold,
+		forced,
+	});
+
+	if (removed.length > 0) {
+		const trashDir = copyToTrash(contentDir, removed);
+		logger.info(
+			chalk.gray(
+				`🗑️  Kept ${removed.length} removed file(s) in ${path.relative(
+					process.cwd(),
+					trashDir
+				)}`
+			)
+		);
+	}
+
+	swapInStagedContent(staging, files, logger);
+	return true;
+}
+
+// Complete and write the sync report of a run
+function finishSyncReport(report, pool, logger, error = null) {
+	const data = report.finish(pool, error);
+	const reportPath = writeSyncReport(data, logger);
+	if (reportPath) {
+		logger.info(
+			chalk.gray(
+				`📝 Sync report written to ${path.relative(process.cwd(), reportPath)}`
+			)
+		);
+	}
+}
+
+// Perform full sync (fallback when incremental fails). `fallback` records
+// in the sync report which sync this one replaced and why. Returns null for
+// a dry run.
+async function performFullSync(
+	API_URL,
+	contentDir,
+	logger,
+	options = {},
+	{ fallback = null } = {}
+) {
+	const timer = createTimer();
+	const syncOptions = resolveSyncOptions(options);
+	const pool = createFetchPool({ ...syncOptions, logger });
+	const report = createSyncReport('full', {
+		fallback,
+		dryRun: syncOptions.dryRun,
+	});
+	logger.info(chalk.blue('\n🔄 Performing full content sync...'));
+
+	// Sync into an empty staging directory; the live content stays in place
+	// until everything was fetched and verified
+	logger.info(chalk.gray('🧹 Preparing empty staging directory...'));
+	const staging = createStagingArea(contentDir);
+
+	// Initialize sync state
+	const syncState = createSyncState({
+		lastSync: new Date().toISOString(),
+	});
+	const languageOptions = { systemPages: syncOptions.systemPages };
+	let committed = false;
 
-	// Sync translations
-	for (const lang of translations) {
-		if (lang === defaultLanguage) continue;
+	try {
+		// Fetch global data first to get language information
+		let global;
+		try {
+			global = await fetchWithPool(pool, `${API_URL}/global.json`);
+		} catch (error) {
+			throw new Error(`Failed to fetch global configuration: ${error.message}`);
+		}
 
-		logger.info(chalk.yellow(`\n📥 Syncing language: ${lang}...`));
-		await performIncrementalLanguageSync(
+		if (!global || !global.defaultLang || !global.defaultLang.code) {
+			throw new Error('Invalid global configuration received from CMS');
+		}
+
+		const defaultLanguage = global.defaultLang.code;
+		const translations = global.translations.map((lang) => lang.code);
+		const languages = [defaultLanguage, ...translations];
+
+		logger.info(chalk.gray(`📚 Found languages: ${languages.join(', ')}`));
+
+		// Sync default language (no prefix) - but we need to sync it both to root AND to its language directory
+		logger.info(
+			chalk.yellow(`\n📥 Syncing default language (${defaultLanguage})...`)
+		);
+		const rootStats = await performIncrementalLanguageSync(
 			API_URL,
-			lang,
-			contentDir,
+			null,
+			staging.dir,
+			syncState,
+			logger,
+			pool,
+			languageOptions
+		);
+		report.recordLanguage(null, rootStats.durationMs);
+
+		// ALSO sync default language to its own language directory
+		logger.info(
+			chalk.yellow(
+				`\n📥 Syncing default language to /${defaultLanguage}/ directory...`
+			)
+		);
+		const defaultLangDirStats = await performIncrementalLanguageSync(
+			API_URL,
+			defaultLanguage,
+			staging.dir,
 			syncState,
-			logger
+			logger,
+			pool,
+			languageOptions
+		);
+		report.recordLanguage(defaultLanguage, defaultLangDirStats.durationMs);
+
+		// Sync translations
+		for (const lang of translations) {
+			if (lang === defaultLanguage) continue;
+
+			logger.info(chalk.yellow(`\n📥 Syncing language: ${lang}...`));
+			const langStats = await performIncrementalLanguageSync(
+				API_URL,
+				lang,
+				staging.dir,
+				syncState,
+				logger,
+				pool,
+				languageOptions
+			);
+			report.recordLanguage(lang, langStats.durationMs);
+		}
+
+		logPoolSummary(pool, logger);
+
+		// Only an explicitly forced full sync may remove most of the content
+		committed = commitStagedContentWithReport(
+			staging,
+			contentDir,
+			languages,
+			logger,
+			syncOptions,
+			report,
+			{ forced: process.env.FORCE_FULL_SYNC === 'true' }
 		);
+	} catch (error) {
+		staging.discard();
+		finishSyncReport(report, pool, logger, error);
+		throw error;
 	}
 
+	finishSyncReport(report, pool, logger);
+	if (!committed) return null;
+
 	// Save sync state
 	saveSyncState(syncState);
 
@@ -449,10 +942,76 @@ async function performFullSync(API_URL, contentDir, logger) {
 	return syncState;
 }
 
-// Perform incremental sync
-async function performIncrementalSync(API_URL, contentDir, logger) {
+// Use a content snapshot instead of the CMS (OFFLINE=true). A snapshot
+// outside public/content is staged, verified and swapped in like a sync.
+function performOfflineSync(contentDir, logger, options = {}) {
 	const timer = createTimer();
-	logger.info(chalk.blue('\n🔄 Performing incremental content sync...'));
+	const syncOptions = resolveSyncOptions(options);
+	const snapshotDir = getSnapshotDir();
+	logger.info(
+		chalk.blue(
+			`\n📴 Offline mode: using content snapshot from ${
+				path.relative(process.cwd(), snapshotDir) || '.'
+			}`
+		)
+	);
+
+	if (!hasContentSnapshot(snapshotDir)) {
+		throw new Error(
+			`Offline mode requires a content snapshot with global.json and index.json in ${snapshotDir}`
+		);
+	}
+
+	const global = readJsonFile(path.join(snapshotDir, 'global.json'));
+	const languages = [
+		global.defaultLang.code,
+		...global.translations.map((lang) => lang.code),
+	];
+
+	if (snapshotDir === path.resolve(contentDir)) {
+		const { files } = verifyStagedContent(contentDir, [...new Set(languages)], {
+			systemPages: syncOptions.systemPages,
+		});
+		logger.info(chalk.gray(`📦 Verified ${files} file(s) in place`));
+		writeTranslationsMap(contentDir, [...new Set(languages)], logger);
+	} else {
+		const staging = createStagingArea(contentDir);
+		try {
+			fs.cpSync(snapshotDir, staging.dir, { recursive: true });
+			commitStagedContent(staging, languages, logger, syncOptions);
+		} catch (error) {
+			staging.discard();
+			throw error;
+		}
+	}
+
+	logger.info(
+		chalk.green(`\n✨ Content snapshot ready in ${timer.end()} (no CMS used)`)
+	);
+}
+
+// Perform incremental sync. With `dirtyPages` (reported by the Kirby webhook)
+// only those pages plus global.json/index.json are fetched. Returns null for
+// a dry run.
+async function performIncrementalSync(
+	API_URL,
+	contentDir,
+	logger,
+	options = {},
+	{ dirtyPages = null } = {}
+) {
+	const timer = createTimer();
+	const syncOptions = resolveSyncOptions(options);
+	const pool = createFetchPool({ ...syncOptions, logger });
+	const mode = dirtyPages ? 'partial' : 'incremental';
+	const report = createSyncReport(mode, { dryRun: syncOptions.dryRun });
+	logger.info(
+		chalk.blue(
+			dirtyPages
+				? `\n🔄 Performing partial content sync of ${dirtyPages.length} webhook-reported page(s)...`
+				: '\n🔄 Performing incremental content sync...'
+		)
+	);
 
 	// Load existing sync state
 	const syncState = loadSyncState();
@@ -461,7 +1020,9 @@ async function performIncrementalSync(API_URL, contentDir, logger) {
 		logger.info(
 			chalk.yellow('📦 No previous sync found, performing full sync...')
 		);
-		return await performFullSync(API_URL, contentDir, logger);
+		return await performFullSync(API_URL, contentDir, logger, options, {
+			fallback: { from: mode, reason: 'No previous sync state' },
+		});
 	}
 
 	logger.info(
@@ -478,18 +1039,40 @@ async function performIncrementalSync(API_URL, contentDir, logger) {
 		)
 	);
 
-	// Ensure content directory exists
-	ensureDirectoryExists(contentDir);
+	// Work on a copy of the current content so unchanged files can be kept;
+	// the live content is only replaced once the result was verified
+	const staging = createStagingArea(contentDir, { seed: true });
 
 	let totalChangedFiles = 0;
 	let totalFiles = 0;
+	let totalSkippedFiles = 0;
 	const allSyncedFiles = new Set();
 
+	// Only fetch pages changed since the last sync when the CMS can tell us.
+	// The next sync starts from the moment this one started, so edits made
+	// while it runs are picked up next time.
+	const syncStartedAt = new Date().toISOString();
+	const deltaOptions = {
+		since: syncState.lastSync,
+		changeFeed: syncOptions.changeFeed,
+		systemPages: syncOptions.systemPages,
+	};
+
 	try {
 		// Fetch global data to get language information
-		const global = await fetchJson(`${API_URL}/global.json`);
+		const global = await fetchWithPool(pool, `${API_URL}/global.json`);
 		const defaultLanguage = global.defaultLang.code;
 		const translations = global.translations.map((lang) => lang.code);
+		const dirtyByLanguage = dirtyPages
+			? groupDirtyPages(dirtyPages, defaultLanguage)
+			: null;
+		const languageOptions = (code) =>
+			dirtyByLanguage
+				? {
+						...deltaOptions,
+						dirtyUris: dirtyByLanguage.get(code) || new Set(),
+					}
+				: deltaOptions;
 
 		// Check default language (no prefix)
 		logger.info(
@@ -498,13 +1081,17 @@ async function performIncrementalSync(API_URL, contentDir, logger) {
 		const defaultStats = await performIncrementalLanguageSync(
 			API_URL,
 			null,
-			contentDir,
+			staging.dir,
 			syncState,
-			logger
+			logger,
+			pool,
+			languageOptions(defaultLanguage)
 		);
 		totalChangedFiles += defaultStats.changedFiles;
 		totalFiles += defaultStats.totalFiles;
+		totalSkippedFiles += defaultStats.skippedFiles;
 		defaultStats.syncedFiles.forEach((f) => allSyncedFiles.add(f));
+		report.recordLanguage(null, defaultStats.durationMs);
 
 		// ALSO check default language in its own language directory
 		logger.info(
@@ -515,13 +1102,17 @@ async function performIncrementalSync(API_URL, contentDir, logger) {
 		const defaultLangDirStats = await performIncrementalLanguageSync(
 			API_URL,
 			defaultLanguage,
-			contentDir,
+			staging.dir,
 			syncState,
-			logger
+			logger,
+			pool,
+			languageOptions(defaultLanguage)
 		);
 		totalChangedFiles += defaultLangDirStats.changedFiles;
 		totalFiles += defaultLangDirStats.totalFiles;
+		totalSkippedFiles += defaultLangDirStats.skippedFiles;
 		defaultLangDirStats.syncedFiles.forEach((f) => allSyncedFiles.add(f));
+		report.recordLanguage(defaultLanguage, defaultLangDirStats.durationMs);
 
 		// Check translations
 		for (const lang of translations) {
@@ -531,27 +1122,46 @@ async function performIncrementalSync(API_URL, contentDir, logger) {
 			const langStats = await performIncrementalLanguageSync(
 				API_URL,
 				lang,
-				contentDir,
+				staging.dir,
 				syncState,
-				logger
+				logger,
+				pool,
+				languageOptions(lang)
 			);
 			totalChangedFiles += langStats.changedFiles;
 			totalFiles += langStats.totalFiles;
+			totalSkippedFiles += langStats.skippedFiles;
 			langStats.syncedFiles.forEach((f) => allSyncedFiles.add(f));
+			report.recordLanguage(lang, langStats.durationMs);
 		}
 
-		// Clean up orphaned files
+		// Clean up orphaned files. The translations map isn't fetched but
+		// rebuilt from the synced indexes before the commit.
 		logger.info(chalk.yellow(`\n🧹 Checking for orphaned files...`));
-		cleanOrphanedFiles(contentDir, allSyncedFiles, logger);
+		allSyncedFiles.add(TRANSLATIONS_MAP_FILE);
+		cleanOrphanedFiles(staging.dir, allSyncedFiles, logger);
+
+		logPoolSummary(pool, logger);
+
+		const committed = commitStagedContentWithReport(
+			staging,
+			contentDir,
+			[defaultLanguage, ...translations],
+			logger,
+			syncOptions,
+			report
+		);
+		finishSyncReport(report, pool, logger);
+		if (!committed) return null;
 
 		// Update sync state
-		syncState.lastSync = new Date().toISOString();
+		syncState.lastSync = syncStartedAt;
 		saveSyncState(syncState);
 
 		if (totalChangedFiles === 0) {
 			logger.info(
 				chalk.green(
-					`\n✨ Content is up-to-date! Checked ${totalFiles} files, no changes found. (${timer.end()})`
+					`\n✨ Content is up-to-date! Checked ${totalFiles} files (${totalSkippedFiles} skipped via CMS change detection), no changes found. (${timer.end()})`
 				)
 			);
 		} else {
@@ -564,16 +1174,30 @@ async function performIncrementalSync(API_URL, contentDir, logger) {
 
 		return syncState;
 	} catch (error) {
+		staging.discard();
+
+		// Invalid content or a suspicious mass deletion would fail a full sync
+		// just the same
+		if (
+			error instanceof ContentValidationError ||
+			error instanceof DeletionThresholdError
+		) {
+			finishSyncReport(report, pool, logger, error);
+			throw error;
+		}
+
 		logger.warn(chalk.yellow(`\n⚠️ Incremental sync failed: ${error.message}`));
 		logger.info(chalk.yellow('🔄 Falling back to full sync...'));
-		return await performFullSync(API_URL, contentDir, logger);
+		return await performFullSync(API_URL, contentDir, logger, options, {
+			fallback: { from: mode, reason: error.message },
+		});
 	}
 }
 
 // Main Netlify Build Plugin
 export default {
 	// Before the build starts, restore cache and run the content sync (CRITICAL: must be before Astro build)
-	async onPreBuild({ utils }) {
+	async onPreBuild({ utils, inputs = {} }) {
 		console.warn(
 			chalk.blue('\n🔄 [Netlify Build Plugin] Restoring sync state cache...')
 		);
@@ -581,13 +1205,32 @@ export default {
 		const syncStateFile = getSyncStateFilePath();
 		const hybridManifestFile = getHybridManifestPath();
 		const hybridMediaDir = getHybridMediaDir();
+		const contentDir = getContentDir();
+		const trashDir = getTrashDir();
+
+		// The site leaves the system pages out of its sitemaps, so it has to
+		// see the same list as the sync
+		if (Array.isArray(inputs.systemPages)) {
+			process.env[SYSTEM_PAGES_ENV] = inputs.systemPages.join(',');
+		}
 
 		try {
-			// Restore cached sync state, manifest, and hybrid media assets
+			// Restore cached content snapshot, sync state, trash, manifest, and
+			// hybrid media assets
+			await utils.cache.restore(contentDir);
 			await utils.cache.restore(syncStateFile);
+			await utils.cache.restore(trashDir);
 			await utils.cache.restore(hybridManifestFile);
 			await utils.cache.restore(hybridMediaDir);
 
+			if (hasContentSnapshot(contentDir)) {
+				console.warn(
+					chalk.green(
+						'✅ [Netlify Build Plugin] Content snapshot restored from cache'
+					)
+				);
+			}
+
 			if (fs.existsSync(syncStateFile)) {
 				console.warn(
 					chalk.green(
@@ -600,6 +1243,14 @@ export default {
 				);
 			}
 
+			if (fs.existsSync(trashDir)) {
+				console.warn(
+					chalk.green(
+						'✅ [Netlify Build Plugin] Content trash restored from cache'
+					)
+				);
+			}
+
 			if (fs.existsSync(hybridManifestFile)) {
 				console.warn(
 					chalk.green(
@@ -623,6 +1274,23 @@ export default {
 				)
 			);
 		}
+		// Build from a content snapshot without contacting the CMS
+		if (isOfflineMode()) {
+			try {
+				performOfflineSync(
+					contentDir,
+					{ info: console.warn, warn: console.warn },
+					{
+						contentValidation: inputs.contentValidation,
+						systemPages: inputs.systemPages,
+					}
+				);
+			} catch (error) {
+				utils.build.failBuild(error.message, { error });
+			}
+			return;
+		}
+
 		// Skip content sync in development mode
 		if (process.env.CONTEXT === 'dev') {
 			console.warn(
@@ -636,7 +1304,9 @@ export default {
 			try {
 				const API_URL = process.env.KIRBY_URL;
 				if (API_URL) {
-					const global = await fetchJson(`${API_URL}/global.json`);
+					const global = await getKirbyClient().getJson(
+						`${API_URL}/global.json`
+					);
 					const isMaintenanceMode = global?.maintenanceToggle === true;
 					if (isMaintenanceMode) {
 						console.warn(
@@ -656,31 +1326,115 @@ export default {
 			chalk.blue('\n🔄 Production build detected, running content sync...')
 		);
 
+		// A report left over from an earlier local run must not be shown
+		fs.rmSync(getSyncReportPath(), { force: true });
+
 		try {
 			const API_URL = process.env.KIRBY_URL;
 			if (!API_URL) {
 				throw new Error('KIRBY_URL environment variable is not set');
 			}
 
-			const contentDir = path.resolve('./public/content');
+			const logger = { info: console.warn, warn: console.warn };
+			const syncOptions = {
+				concurrency: inputs.concurrency,
+				requestsPerSecond: inputs.requestsPerSecond,
+				contentValidation: inputs.contentValidation,
+				systemPages: inputs.systemPages,
+				deletionThreshold: inputs.deletionThreshold,
+			};
 
 			// Check if we should force a full sync
 			const forceFullSync = process.env.FORCE_FULL_SYNC === 'true';
 
+			// Pages reported by the Kirby webhook since the last successful sync
+			const dirtyStore = await openDirtyPagesStore();
+			let dirty = null;
+			let syncResult = null;
+			if (dirtyStore) {
+				try {
+					dirty = await readDirtyPages(dirtyStore);
+				} catch (error) {
+					console.warn(
+						chalk.yellow(
+							`⚠️ Could not read webhook changes, syncing all changes: ${error.message}`
+						)
+					);
+				}
+			}
+
 			if (forceFullSync) {
 				console.warn(
 					chalk.yellow('🔄 FORCE_FULL_SYNC enabled, performing full sync...')
 				);
-				await performFullSync(API_URL, contentDir, { info: console.warn });
+				syncResult = await performFullSync(
+					API_URL,
+					contentDir,
+					logger,
+					syncOptions
+				);
+			} else if (dirty?.full) {
+				console.warn(
+					chalk.yellow(
+						'🔄 Webhook requested a full sync, performing full sync...'
+					)
+				);
+				syncResult = await performFullSync(
+					API_URL,
+					contentDir,
+					logger,
+					syncOptions
+				);
+			} else if (dirty?.pages.length > 0) {
+				syncResult = await performIncrementalSync(
+					API_URL,
+					contentDir,
+					logger,
+					syncOptions,
+					{ dirtyPages: dirty.pages }
+				);
 			} else {
-				await performIncrementalSync(API_URL, contentDir, {
-					info: console.warn,
-				});
+				syncResult = await performIncrementalSync(
+					API_URL,
+					contentDir,
+					logger,
+					syncOptions
+				);
+			}
+
+			// The sync covered every change reported before it started (a dry
+			// run returns no result and leaves them for the next build)
+			if (syncResult && dirty?.entries.length > 0) {
+				try {
+					const removed = await clearDirtyPages(dirtyStore, dirty.entries);
+					console.warn(chalk.gray(`  ↳ Cleared ${removed} webhook change(s)`));
+				} catch (error) {
+					console.warn(
+						chalk.yellow(`⚠️ Could not clear webhook changes: ${error.message}`)
+					);
+				}
 			}
 		} catch (error) {
 			console.error(chalk.red('\n❌ Error during content sync:'));
 			console.error(chalk.red(error.message));
 
+			// Content that fails validation must not be deployed
+			if (error instanceof ContentValidationError) {
+				utils.build.failBuild('Synced content failed schema validation', {
+					error,
+				});
+				return;
+			}
+
+			// A sync removing most of the content needs FORCE_FULL_SYNC=true
+			if (error instanceof DeletionThresholdError) {
+				utils.build.failBuild(
+					'Content sync aborted: too many content files would be removed',
+					{ error }
+				);
+				return;
+			}
+
 			// Fail the build in production unless on Netlify
 			if (process.env.CONTEXT === 'production' && !process.env.NETLIFY) {
 				console.error(
@@ -691,12 +1445,29 @@ export default {
 				throw error;
 			}
 
+			// Without any previous snapshot there is nothing safe to build from
+			if (!hasContentSnapshot(contentDir)) {
+				utils.build.failBuild(
+					'Content sync failed and no previous content snapshot is available',
+					{ error }
+				);
+				return;
+			}
+
 			// Don't fail the build if plugin errors on Netlify
 			if (process.env.NETLIFY) {
 				console.warn(
-					chalk.yellow('\n⚠️ Continuing build despite plugin error on Netlify')
+					chalk.yellow(
+						'\n⚠️ Continuing build with the previous content snapshot on Netlify'
+					)
 				);
 			}
+		} finally {
+			// Surface the sync report in the deploy summary
+			const report = readSyncReport();
+			if (report) {
+				utils.status.show(formatSyncStatus(report));
+			}
 		}
 	},
 
@@ -709,8 +1480,20 @@ export default {
 		const syncStateFile = getSyncStateFilePath();
 		const hybridManifestFile = getHybridManifestPath();
 		const hybridMediaDir = getHybridMediaDir();
+		const contentDir = getContentDir();
+		const trashDir = getTrashDir();
 
 		try {
+			if (hasContentSnapshot(contentDir)) {
+				// Cache the content snapshot so a failed sync can fall back to it
+				await utils.cache.save(contentDir);
+				console.warn(
+					chalk.green(
+						'✅ [Netlify Build Plugin] Content snapshot cached successfully'
+					)
+				);
+			}
+
 			if (fs.existsSync(syncStateFile)) {
 				// Cache the sync state file for future builds
 				await utils.cache.save(syncStateFile);
@@ -725,6 +1508,16 @@ export default {
 				);
 			}
 
+			if (fs.existsSync(trashDir)) {
+				// Files removed by the last sync stay recoverable across builds
+				await utils.cache.save(trashDir);
+				console.warn(
+					chalk.green(
+						'✅ [Netlify Build Plugin] Content trash cached successfully'
+					)
+				);
+			}
+
 			if (fs.existsSync(hybridManifestFile)) {
 				await utils.cache.save(hybridManifestFile);
 				console.warn(
@@ -765,4 +1558,4 @@ export default {
 };
 
 // Export sync functions for use in Astro integration
-export { performFullSync, performIncrementalSync };
+export { performFullSync, performIncrementalSync, performOfflineSync };
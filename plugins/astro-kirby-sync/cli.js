@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Content Snapshot CLI
+ *
+ * Usage:
+ *   node plugins/astro-kirby-sync/cli.js export [archive] [--sync]
+ *   node plugins/astro-kirby-sync/cli.js import <archive>
+ *   node plugins/astro-kirby-sync/cli.js diff <before> <after>
+ *
+ * `diff` accepts snapshot archives or content directories (e.g. public/content).
+ * Exit codes: 0 success (diff: identical), 1 diff found changes, 2 error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { performFullSync } from './astro-kirby-sync.js';
+import {
+	createSnapshot,
+	writeSnapshot,
+	readSnapshot,
+	readContentDirectory,
+	restoreSnapshot,
+	diffSnapshots,
+} from './src/snapshot.js';
+
+dotenv.config();
+
+const logger = { info: console.warn, warn: console.warn };
+
+const usage = `Usage:
+  node plugins/astro-kirby-sync/cli.js export [archive] [--sync]
+  node plugins/astro-kirby-sync/cli.js import <archive>
+  node plugins/astro-kirby-sync/cli.js diff <before> <after>`;
+
+// Default archive name, e.g. kirby-snapshot-2024-05-01T12-00-00.tar.gz
+function defaultArchiveName() {
+	const timestamp = new Date()
+		.toISOString()
+		.replace(/\.\d+Z$/, '')
+		.replace(/:/g, '-');
+	return `kirby-snapshot-${timestamp}.tar.gz`;
+}
+
+function formatSize(bytes) {
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Snapshots to compare can be archives or plain content directories
+async function loadComparable(target) {
+	return fs.existsSync(target) && fs.statSync(target).isDirectory()
+		? readContentDirectory(target)
+		: readSnapshot(target);
+}
+
+async function exportSnapshot(args) {
+	const archivePath = args.find((arg) => !arg.startsWith('--'));
+	const target = archivePath || defaultArchiveName();
+	const kirbyUrl = process.env.KIRBY_URL || null;
+
+	if (args.includes('--sync')) {
+		if (!kirbyUrl) {
+			throw new Error('KIRBY_URL environment variable is not set');
+		}
+		await performFullSync(kirbyUrl, path.resolve('./public/content'), logger);
+	}
+
+	const snapshot = createSnapshot({ kirbyUrl });
+	const size = await writeSnapshot(snapshot, target);
+	const counts = Object.entries(snapshot.files)
+		.map(([name, files]) => `${files.length} ${name}`)
+		.join(', ');
+
+	console.warn(
+		chalk.green(`\n📦 Exported snapshot to ${target} (${formatSize(size)})`)
+	);
+	console.warn(chalk.gray(`  ↳ Files: ${counts}`));
+	console.warn(
+		chalk.gray(`  ↳ State: ${Object.keys(snapshot.state).join(', ') || 'none'}`)
+	);
+}
+
+async function importSnapshot(args) {
+	const archivePath = args[0];
+	if (!archivePath) {
+		throw new Error(`Missing archive path\n${usage}`);
+	}
+
+	const snapshot = await readSnapshot(archivePath);
+	let restored;
+	try {
+		restored = restoreSnapshot(snapshot);
+	} finally {
+		snapshot.cleanup();
+	}
+	const counts = Object.entries(restored)
+		.map(([name, count]) => `${count} ${name}`)
+		.join(', ');
+
+	console.warn(chalk.green(`\n📥 Restored snapshot from ${archivePath}`));
+	console.warn(
+		chalk.gray(
+			`  ↳ Created ${snapshot.createdAt}${
+				snapshot.kirbyUrl ? ` from ${snapshot.kirbyUrl}` : ''
+			}`
+		)
+	);
+	console.warn(chalk.gray(`  ↳ Files: ${counts}`));
+}
+
+function printChanges({ added, removed, changed }, indent = '  ') {
+	for (const item of added) console.warn(chalk.green(`${indent}+ ${item}`));
+	for (const item of removed) console.warn(chalk.red(`${indent}- ${item}`));
+	for (const item of changed) {
+		if (typeof item === 'string') {
+			console.warn(chalk.yellow(`${indent}~ ${item}`));
+		} else {
+			console.warn(
+				chalk.yellow(
+					`${indent}~ ${item.page}${
+						item.fields.length > 0
+							? chalk.gray(` (${item.fields.join(', ')})`)
+							: ''
+					}`
+				)
+			);
+		}
+	}
+}
+
+async function diffCommand(args) {
+	const [beforePath, afterPath] = args;
+	if (!beforePath || !afterPath) {
+		throw new Error(`Diff needs two snapshots\n${usage}`);
+	}
+
+	const before = await loadComparable(beforePath);
+	let result;
+	try {
+		const after = await loadComparable(afterPath);
+		try {
+			result = diffSnapshots(before, after);
+		} finally {
+			after.cleanup();
+		}
+	} finally {
+		before.cleanup();
+	}
+
+	if (result.identical) {
+		console.warn(chalk.green('✨ Snapshots are identical'));
+		return 0;
+	}
+
+	for (const [lang, changes] of Object.entries(result.content)) {
+		console.warn(chalk.blue(`\n📄 Content ${lang ? `/${lang}/` : '(root)'}`));
+		printChanges(changes);
+	}
+
+	for (const [name, changes] of Object.entries(result.files)) {
+		if (
+			changes.added.length +
+			changes.removed.length +
+			changes.changed.length
+		) {
+			console.warn(chalk.blue(`\n🗂️  ${name}`));
+			printChanges(changes);
+		}
+	}
+
+	return 1;
+}
+
+async function main() {
+	const [command, ...args] = process.argv.slice(2);
+
+	switch (command) {
+		case 'export':
+			await exportSnapshot(args);
+			return 0;
+		case 'import':
+			await importSnapshot(args);
+			return 0;
+		case 'diff':
+			return diffCommand(args);
+		default:
+			console.warn(usage);
+			return command ? 2 : 0;
+	}
+}
+
+main()
+	.then((code) => {
+		process.exitCode = code;
+	})
+	.catch((error) => {
+		console.error(chalk.red(`\n❌ ${error.message}`));
+		process.exitCode = 2;
+	});
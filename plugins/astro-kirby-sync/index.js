@@ -1,27 +1,37 @@
 // Import the sync function from the Netlify Build Plugin file
-import { performFullSync } from './astro-kirby-sync.js';
+import { performFullSync, performOfflineSync } from './astro-kirby-sync.js';
+import { SYSTEM_PAGES_ENV } from './src/system-pages.js';
+import { isOfflineMode, getKirbyClient } from '../baukasten-utils/index.js';
 import path from 'path';
-import fetch from 'node-fetch';
-
-// Helper function to fetch JSON from URL
-async function fetchJson(url) {
-	try {
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`HTTP error! status: ${response.status}`);
-		}
-		return await response.json();
-	} catch (error) {
-		throw error;
-	}
-}
 
 // Simple Astro integration for astro-kirby-sync
-export default function astroKirbySync() {
+// Options: { concurrency, requestsPerSecond, changeFeed, contentValidation,
+// systemPages, deletionThreshold, dryRun }
+// (see defaultSyncOptions)
+export default function astroKirbySync(options = {}) {
 	return {
 		name: 'astro-kirby-sync',
 		hooks: {
 			'astro:config:setup': async ({ logger }) => {
+				// Share the system pages with the site (see src/system-pages.js)
+				if (Array.isArray(options.systemPages)) {
+					process.env[SYSTEM_PAGES_ENV] = options.systemPages.join(',');
+				}
+
+				// Offline mode: use the content snapshot, also in development
+				if (isOfflineMode()) {
+					// On Netlify the build plugin already copied in the snapshot
+					if (process.env.NETLIFY && process.env.NODE_ENV !== 'development') {
+						logger.info(
+							'📴 Netlify environment: Content snapshot restored by Netlify Build Plugin'
+						);
+						return;
+					}
+
+					performOfflineSync(path.resolve('./public/content'), logger, options);
+					return;
+				}
+
 				// Skip in development mode
 				if (process.env.NODE_ENV === 'development') {
 					logger.info('🔄 Development mode: Skipping content sync');
@@ -31,7 +41,9 @@ export default function astroKirbySync() {
 						const API_URL =
 							process.env.KIRBY_URL ||
 							'https://cms.baukasten.matthiashacksteiner.net';
-						const global = await fetchJson(`${API_URL}/global.json`);
+						const global = await getKirbyClient().getJson(
+							`${API_URL}/global.json`
+						);
 						const isMaintenanceMode = global?.maintenanceToggle === true;
 						if (isMaintenanceMode) {
 							logger.warn('🚧 Maintenance mode is bypassed in development');
@@ -61,7 +73,7 @@ export default function astroKirbySync() {
 					const contentDir = path.resolve('./public/content');
 
 					// Always do a full sync for local builds to be safe
-					await performFullSync(API_URL, contentDir, logger);
+					await performFullSync(API_URL, contentDir, logger, options);
 					logger.info('✅ Content sync completed successfully');
 				} catch (error) {
 					logger.error('❌ Content sync failed:', error.message);
@@ -0,0 +1,138 @@
+import { describe, expect, test, vi } from 'vitest';
+import {
+	createChangeDetector,
+	fetchChangeManifest,
+	findAncestorSections,
+} from '../change-feed.js';
+
+const API_URL = 'https://cms.example.com';
+const getPageUrl = (page) => `${API_URL}/${page.uri}.json`;
+
+const indexData = [
+	{ uri: 'home', intendedTemplate: 'home', modified: 1 },
+	{ uri: 'about', intendedTemplate: 'default', modified: 1 },
+	{ uri: 'blog', intendedTemplate: 'section', modified: 1 },
+	{ uri: 'blog/post-1', intendedTemplate: 'default', modified: 1 },
+	{ uri: 'blog/post-2', intendedTemplate: 'default', modified: 1 },
+	{ uri: 'blog/archive', intendedTemplate: 'section', modified: 1 },
+	{ uri: 'blog/archive/old-post', intendedTemplate: 'default', modified: 1 },
+];
+
+const syncedModified = Object.fromEntries(
+	indexData.map((page) => [getPageUrl(page), page.modified])
+);
+
+const fetched = (detector) =>
+	indexData
+		.filter((page) => detector.shouldFetch(page))
+		.map((page) => page.uri);
+
+describe('fetchChangeManifest', () => {
+	test('requests the manifest once for the language', async () => {
+		const client = {
+			getJson: vi.fn().mockResolvedValue({ changed: ['about'] }),
+		};
+
+		const result = await fetchChangeManifest(
+			client,
+			API_URL,
+			'de/',
+			'2024-05-01T12:00:00.000Z'
+		);
+
+		expect(result).toEqual(new Set(['about']));
+		expect(client.getJson).toHaveBeenCalledWith(
+			`${API_URL}/de/changes.json?since=2024-05-01T12%3A00%3A00.000Z`,
+			{ retries: 1 }
+		);
+	});
+
+	test('returns null for malformed manifests and errors', async () => {
+		const malformed = { getJson: vi.fn().mockResolvedValue({ pages: [] }) };
+		const failing = {
+			getJson: vi.fn().mockRejectedValue(new Error('HTTP 404')),
+		};
+
+		expect(await fetchChangeManifest(malformed, API_URL, '', 'x')).toBeNull();
+		expect(await fetchChangeManifest(failing, API_URL, '', 'x')).toBeNull();
+	});
+});
+
+describe('findAncestorSections', () => {
+	test('finds every section above a changed page', () => {
+		expect(findAncestorSections(['blog/archive/old-post'], indexData)).toEqual(
+			new Set(['blog/archive', 'blog'])
+		);
+	});
+
+	test('ignores ancestors that are not sections', () => {
+		const pages = [
+			{ uri: 'team', intendedTemplate: 'default' },
+			{ uri: 'team/anna', intendedTemplate: 'default' },
+		];
+
+		expect(findAncestorSections(['team/anna'], pages).size).toBe(0);
+	});
+
+	test('leaves out sections that changed themselves', () => {
+		expect(findAncestorSections(['blog', 'blog/post-1'], indexData).size).toBe(
+			0
+		);
+	});
+});
+
+describe('createChangeDetector', () => {
+	test('fetches the pages from the change feed and their sections', () => {
+		const detector = createChangeDetector({
+			changedUris: new Set(['about', 'blog/post-2']),
+			pageModified: syncedModified,
+			indexData,
+			getPageUrl,
+		});
+
+		expect(detector.strategy).toBe('feed');
+		expect(detector.sectionUris).toEqual(new Set(['blog']));
+		expect(fetched(detector)).toEqual(['about', 'blog', 'blog/post-2']);
+	});
+
+	test('fetches pages with a new modified timestamp and their sections', () => {
+		const detector = createChangeDetector({
+			changedUris: null,
+			pageModified: syncedModified,
+			indexData: indexData.map((page) =>
+				page.uri === 'blog/archive/old-post' ? { ...page, modified: 2 } : page
+			),
+			getPageUrl,
+		});
+
+		expect(detector.strategy).toBe('modified');
+		expect(fetched(detector)).toEqual([
+			'blog',
+			'blog/archive',
+			'blog/archive/old-post',
+		]);
+	});
+
+	test('fetches pages without a recorded timestamp', () => {
+		const detector = createChangeDetector({
+			changedUris: null,
+			pageModified: {},
+			indexData,
+			getPageUrl,
+		});
+
+		expect(fetched(detector)).toEqual(indexData.map((page) => page.uri));
+	});
+
+	test('falls back to hash comparison without feed or timestamps', () => {
+		const detector = createChangeDetector({
+			changedUris: null,
+			pageModified: syncedModified,
+			indexData: [{ uri: 'about' }, { uri: 'blog', modified: 1 }],
+			getPageUrl,
+		});
+
+		expect(detector.strategy).toBe('hash');
+		expect(detector.shouldFetch({ uri: 'about' })).toBe(true);
+	});
+});
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+import { validateOptions } from '../../../baukasten-utils/index.js';
+import {
+	formatValidationReport,
+	validateContent,
+	validatePage,
+} from '../content-validation.js';
+
+const block = (type, content = {}) => ({ id: `${type}-1`, type, content });
+
+const layout = (blocks) => ({ content: { columns: [{ blocks }] } });
+
+const page = (overrides = {}) => ({
+	title: 'About',
+	uri: 'about',
+	intendedTemplate: 'default',
+	meta: { social: {} },
+	layouts: [layout([block('text')])],
+	...overrides,
+});
+
+const global = {
+	defaultLang: { code: 'en' },
+	translations: [],
+	favicon: {},
+};
+
+describe('validateOptions', () => {
+	test('collects every message on the error', () => {
+		let error;
+		try {
+			validateOptions(
+				{ count: 'x' },
+				{ count: { type: 'number' }, name: { required: true } },
+				{ fieldName: 'Field' }
+			);
+		} catch (caught) {
+			error = caught;
+		}
+
+		expect(error.errors).toEqual([
+			"Field 'count' must be of type number, got string",
+			"Field 'name' is required",
+		]);
+	});
+});
+
+describe('validatePage', () => {
+	test('accepts a complete page', () => {
+		expect(validatePage(page())).toEqual([]);
+	});
+
+	test('reports missing fields', () => {
+		const { title: _title, meta: _meta, ...incomplete } = page();
+
+		expect(validatePage(incomplete)).toEqual([
+			"Field 'title' is required",
+			"Field 'meta' is required",
+		]);
+	});
+
+	test('checks sections against the section schema', () => {
+		expect(
+			validatePage(page({ intendedTemplate: 'section', layouts: undefined }))
+		).toEqual(["Field 'settings' is required"]);
+	});
+
+	test('reports unknown block types with their location', () => {
+		expect(
+			validatePage(page({ layouts: [layout([block('banner')])] }))
+		).toEqual([
+			"layouts[0].content.columns[0].blocks[0]: Unknown block type 'banner'",
+		]);
+	});
+
+	test('validates blocks nested in grid and columns blocks', () => {
+		const grid = block('grid', {
+			grid: [{ columns: [{ blocks: [block('buttonBar')] }] }],
+		});
+		const columns = block('columns', {
+			columns: [{ blocks: [block('iconlist')] }],
+		});
+
+		expect(validatePage(page({ layouts: [layout([grid, columns])] }))).toEqual([
+			"layouts[0].content.columns[0].blocks[0] (grid).grid[0].columns[0].blocks[0] (buttonBar): Field 'buttons' is required",
+			"layouts[0].content.columns[0].blocks[1] (columns).columns[0].blocks[0] (iconlist): Field 'list' is required",
+		]);
+	});
+});
+
+describe('validateContent', () => {
+	let stagingDir;
+
+	const writeJson = (relativePath, data) => {
+		const file = path.join(stagingDir, relativePath);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, JSON.stringify(data));
+	};
+
+	beforeEach(() => {
+		stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-validation-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(stagingDir, { recursive: true, force: true });
+	});
+
+	test('validates global, index and page files of every language', () => {
+		writeJson('en/global.json', global);
+		writeJson('en/index.json', [{ uri: 'about' }]);
+		writeJson('en/about.json', page());
+		writeJson('en/error.json', page({ uri: 'error' }));
+
+		expect(
+			validateContent(stagingDir, ['en'], { systemPages: ['error'] })
+		).toEqual({ files: 4, problems: [] });
+	});
+
+	test('reports problems per file', () => {
+		writeJson('de/global.json', { ...global, favicon: undefined });
+		writeJson('de/index.json', [{ uri: 'about' }, { title: 'No uri' }]);
+		writeJson('de/about.json', page({ layouts: 'none' }));
+
+		const { problems } = validateContent(stagingDir, ['de']);
+
+		expect(problems).toEqual([
+			{ file: 'de/global.json', message: "Field 'favicon' is required" },
+			{
+				file: 'de/about.json',
+				message: "Field 'layouts': must be an array, got string",
+			},
+			{ file: 'de/index.json', message: "[1]: Field 'uri' is required" },
+		]);
+	});
+
+	test('reports files that are missing or not JSON', () => {
+		writeJson('en/global.json', global);
+		fs.writeFileSync(path.join(stagingDir, 'en/index.json'), '{');
+
+		const { files, problems } = validateContent(stagingDir, ['en']);
+
+		expect(files).toBe(1);
+		expect(problems).toHaveLength(1);
+		expect(problems[0].file).toBe(path.join('en', 'index.json'));
+	});
+});
+
+describe('formatValidationReport', () => {
+	test('groups problems by file', () => {
+		const report = formatValidationReport([
+			{ file: 'en/about.json', message: 'first' },
+			{ file: 'en/home.json', message: 'second' },
+			{ file: 'en/about.json', message: 'third' },
+		]);
+
+		expect(report).toBe(
+			[
+				'Content validation found 3 problem(s) in 2 file(s):',
+				'  en/about.json',
+				'    - first',
+				'    - third',
+				'  en/home.json',
+				'    - second',
+			].join('\n')
+		);
+	});
+
+	test('truncates long reports', () => {
+		const problems = Array.from({ length: 52 }, (_, index) => ({
+			file: 'en/about.json',
+			message: `problem ${index}`,
+		}));
+
+		expect(formatValidationReport(problems)).toMatch(/…and 2 more$/);
+	});
+});
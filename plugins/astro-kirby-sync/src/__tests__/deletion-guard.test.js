@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+	DeletionThresholdError,
+	checkDeletionThreshold,
+	copyToTrash,
+	formatFileList,
+	summarizeRemovals,
+} from '../deletion-guard.js';
+
+const files = (count, prefix = 'page') =>
+	Array.from({ length: count }, (_, index) => `${prefix}-${index}.json`);
+
+describe('summarizeRemovals', () => {
+	test('prefixes removed files with their language directory', () => {
+		const result = summarizeRemovals({
+			root: { removed: ['old.json'], updated: ['home.json'], unchanged: [] },
+			de: {
+				removed: ['alt.json'],
+				updated: [],
+				unchanged: ['start.json', 'ueber-uns.json'],
+			},
+		});
+
+		expect(result).toEqual({
+			removed: ['old.json', 'de/alt.json'],
+			liveFiles: 5,
+		});
+	});
+});
+
+describe('checkDeletionThreshold', () => {
+	test('allows removals up to the threshold', () => {
+		expect(() =>
+			checkDeletionThreshold({
+				removed: files(5),
+				liveFiles: 10,
+				threshold: 50,
+			})
+		).not.toThrow();
+	});
+
+	test('aborts when more than the threshold would be removed', () => {
+		let error;
+		try {
+			checkDeletionThreshold({
+				removed: files(6),
+				liveFiles: 10,
+				threshold: 50,
+			});
+		} catch (caught) {
+			error = caught;
+		}
+
+		expect(error).toBeInstanceOf(DeletionThresholdError);
+		expect(error.removed).toEqual(files(6));
+		expect(error.message).toContain('remove 6 of 10 content file(s) (60%)');
+		expect(error.message).toContain('FORCE_FULL_SYNC=true');
+	});
+
+	test('is skipped for forced syncs, a 100% threshold and empty content', () => {
+		const removed = files(10);
+
+		expect(() =>
+			checkDeletionThreshold({
+				removed,
+				liveFiles: 10,
+				threshold: 50,
+				forced: true,
+			})
+		).not.toThrow();
+		expect(() =>
+			checkDeletionThreshold({ removed, liveFiles: 10, threshold: 100 })
+		).not.toThrow();
+		expect(() =>
+			checkDeletionThreshold({ removed: [], liveFiles: 0, threshold: 0 })
+		).not.toThrow();
+	});
+});
+
+describe('formatFileList', () => {
+	test('truncates long lists', () => {
+		const lines = formatFileList(files(32)).split('\n');
+
+		expect(lines).toHaveLength(31);
+		expect(lines[0]).toBe('  - page-0.json');
+		expect(lines[30]).toBe('  …and 2 more');
+	});
+});
+
+describe('copyToTrash', () => {
+	let root;
+
+	beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'deletion-guard-'));
+		vi.spyOn(process, 'cwd').mockReturnValue(root);
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('replaces the trash with the removed files', () => {
+		const contentDir = path.join(root, 'public/content');
+		fs.mkdirSync(path.join(contentDir, 'de'), { recursive: true });
+		fs.writeFileSync(path.join(contentDir, 'de/alt.json'), '{}');
+		fs.mkdirSync(path.join(root, '.astro/kirby-content-trash'), {
+			recursive: true,
+		});
+		fs.writeFileSync(
+			path.join(root, '.astro/kirby-content-trash/earlier.json'),
+			'{}'
+		);
+
+		const trashDir = copyToTrash(contentDir, ['de/alt.json']);
+
+		expect(fs.readdirSync(trashDir).sort()).toEqual(['.removed.json', 'de']);
+		expect(fs.readFileSync(path.join(trashDir, 'de/alt.json'), 'utf8')).toBe(
+			'{}'
+		);
+		expect(
+			JSON.parse(fs.readFileSync(path.join(trashDir, '.removed.json'), 'utf8'))
+				.files
+		).toEqual(['de/alt.json']);
+	});
+});
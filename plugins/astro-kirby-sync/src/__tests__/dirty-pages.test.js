@@ -0,0 +1,185 @@
+import { describe, expect, test } from 'vitest';
+import {
+	SIGNATURE_MAX_AGE,
+	clearDirtyPages,
+	groupDirtyPages,
+	isFreshTimestamp,
+	markPagesDirty,
+	parseHookPayload,
+	readDirtyPages,
+	signPayload,
+	verifySignature,
+} from '../dirty-pages.js';
+
+const SECRET = 'webhook-secret';
+const NOW = Date.UTC(2024, 4, 1, 12);
+const timestamp = String(NOW / 1000);
+const body = JSON.stringify({ uri: 'blog/post-1', lang: 'de' });
+
+// In-memory stand-in for a Netlify Blobs store
+function createStore() {
+	const entries = new Map();
+	return {
+		entries,
+		async setJSON(key, value) {
+			entries.set(key, JSON.stringify(value));
+		},
+		async get(key) {
+			return entries.has(key) ? JSON.parse(entries.get(key)) : null;
+		},
+		async list({ prefix }) {
+			return {
+				blobs: [...entries.keys()]
+					.filter((key) => key.startsWith(prefix))
+					.map((key) => ({ key })),
+			};
+		},
+		async delete(key) {
+			entries.delete(key);
+		},
+	};
+}
+
+describe('verifySignature', () => {
+	const signature = signPayload(body, timestamp, SECRET);
+	const verify = (...args) => verifySignature(...args, { now: NOW });
+
+	test('accepts a payload signed with the shared secret', () => {
+		expect(verify(body, timestamp, signature, SECRET)).toBe(true);
+	});
+
+	test('rejects wrong secrets and tampered payloads', () => {
+		expect(verify(body, timestamp, signature, 'other-secret')).toBe(false);
+		expect(verify(`${body} `, timestamp, signature, SECRET)).toBe(false);
+		expect(verify(body, timestamp, 'sha256=abc', SECRET)).toBe(false);
+	});
+
+	test('rejects missing signatures and secrets', () => {
+		expect(verify(body, timestamp, null, SECRET)).toBe(false);
+		expect(verify(body, timestamp, signature, '')).toBe(false);
+	});
+
+	test('rejects a signature reused with another timestamp', () => {
+		expect(verify(body, String(NOW / 1000 + 1), signature, SECRET)).toBe(false);
+	});
+
+	test('rejects stale and missing timestamps', () => {
+		const stale = String(NOW / 1000 - SIGNATURE_MAX_AGE - 1);
+
+		expect(verify(body, stale, signPayload(body, stale, SECRET), SECRET)).toBe(
+			false
+		);
+		expect(verify(body, null, signature, SECRET)).toBe(false);
+	});
+});
+
+describe('isFreshTimestamp', () => {
+	test('allows clock skew in both directions up to the maximum age', () => {
+		const seconds = NOW / 1000;
+
+		expect(isFreshTimestamp(String(seconds - SIGNATURE_MAX_AGE), NOW)).toBe(
+			true
+		);
+		expect(isFreshTimestamp(String(seconds + SIGNATURE_MAX_AGE), NOW)).toBe(
+			true
+		);
+		expect(isFreshTimestamp(String(seconds + SIGNATURE_MAX_AGE + 1), NOW)).toBe(
+			false
+		);
+	});
+
+	test('rejects timestamps that are not Unix seconds', () => {
+		expect(isFreshTimestamp('2024-05-01T12:00:00Z', NOW)).toBe(false);
+		expect(isFreshTimestamp('-1', NOW)).toBe(false);
+		expect(isFreshTimestamp('', NOW)).toBe(false);
+	});
+});
+
+describe('parseHookPayload', () => {
+	test('accepts single pages, page lists and full syncs', () => {
+		expect(parseHookPayload({ uri: '/blog/post-1/', lang: 'de' })).toEqual({
+			full: false,
+			pages: [{ uri: 'blog/post-1', lang: 'de' }],
+		});
+		expect(
+			parseHookPayload({
+				pages: [{ uri: 'about' }, { uri: 'x', lang: 'pt-br' }],
+			})
+		).toEqual({
+			full: false,
+			pages: [
+				{ uri: 'about', lang: null },
+				{ uri: 'x', lang: 'pt-br' },
+			],
+		});
+		expect(parseHookPayload({ full: true })).toEqual({ full: true, pages: [] });
+	});
+
+	test.each([
+		[null, 'Payload must be a JSON object'],
+		[[{ uri: 'about' }], 'Payload must be a JSON object'],
+		[{ pages: [] }, 'Payload lists no pages'],
+		[{ lang: 'de' }, "Page 0 has no valid 'uri'"],
+		[{ uri: '/' }, "Page 0 has no valid 'uri'"],
+		[{ uri: 'blog/../../secrets' }, "Page 0 has no valid 'uri'"],
+		[{ pages: [{ uri: 'about' }, { uri: 42 }] }, "Page 1 has no valid 'uri'"],
+		[{ uri: 'about', lang: '../de' }, "Page 0 has an invalid 'lang'"],
+	])('rejects malformed payload %j', (payload, message) => {
+		expect(() => parseHookPayload(payload)).toThrow(message);
+	});
+});
+
+describe('dirty pages store', () => {
+	test('records, reads and clears dirty pages', async () => {
+		const store = createStore();
+		await markPagesDirty(store, {
+			pages: [
+				{ uri: 'about', lang: null },
+				{ uri: 'ueber-uns', lang: 'de' },
+			],
+		});
+		await markPagesDirty(store, { full: true });
+
+		const dirty = await readDirtyPages(store);
+
+		expect(dirty.full).toBe(true);
+		expect(dirty.pages.map(({ key }) => key)).toEqual([
+			'pages/_/about',
+			'pages/de/ueber-uns',
+		]);
+		expect(await clearDirtyPages(store, dirty.entries)).toBe(3);
+		expect(store.entries.size).toBe(0);
+	});
+
+	test('keeps pages reported again after they were read', async () => {
+		const store = createStore();
+		await markPagesDirty(store, { pages: [{ uri: 'about', lang: null }] });
+		const { entries } = await readDirtyPages(store);
+		await store.setJSON('pages/_/about', {
+			uri: 'about',
+			lang: null,
+			receivedAt: 'later',
+		});
+
+		expect(await clearDirtyPages(store, entries)).toBe(0);
+		expect(store.entries.has('pages/_/about')).toBe(true);
+	});
+
+	test('groups pages by language', () => {
+		const grouped = groupDirtyPages(
+			[
+				{ uri: 'about', lang: null },
+				{ uri: 'blog', lang: 'en' },
+				{ uri: 'ueber-uns', lang: 'de' },
+			],
+			'en'
+		);
+
+		expect(grouped).toEqual(
+			new Map([
+				['en', new Set(['about', 'blog'])],
+				['de', new Set(['ueber-uns'])],
+			])
+		);
+	});
+});
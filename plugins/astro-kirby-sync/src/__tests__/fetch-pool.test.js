@@ -0,0 +1,134 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { createFetchPool, createHostRateLimiter } from '../fetch-pool.js';
+
+const silentLogger = { info: () => {}, warn: () => {} };
+
+describe('createHostRateLimiter', () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	test('does not wait when limiting is disabled', async () => {
+		const waitForSlot = createHostRateLimiter(0);
+		const started = Date.now();
+
+		await waitForSlot('https://cms.example.com/a.json');
+		await waitForSlot('https://cms.example.com/b.json');
+
+		expect(Date.now()).toBe(started);
+	});
+
+	test('spaces requests to the same host evenly', async () => {
+		const waitForSlot = createHostRateLimiter(10);
+		const resolvedAt = [];
+		const started = Date.now();
+
+		const requests = ['a', 'b', 'c'].map((name) =>
+			waitForSlot(`https://cms.example.com/${name}.json`).then(() =>
+				resolvedAt.push(Date.now() - started)
+			)
+		);
+		await vi.runAllTimersAsync();
+		await Promise.all(requests);
+
+		expect(resolvedAt).toEqual([0, 100, 200]);
+	});
+
+	test('limits each host on its own', async () => {
+		const waitForSlot = createHostRateLimiter(1);
+		const started = Date.now();
+
+		await waitForSlot('https://cms.example.com/a.json');
+		await waitForSlot('https://fonts.example.com/a.woff2');
+
+		expect(Date.now()).toBe(started);
+	});
+});
+
+describe('createFetchPool', () => {
+	test('returns results in item order', async () => {
+		const pool = createFetchPool({ concurrency: 2, logger: silentLogger });
+		const delays = [30, 10, 20, 0];
+
+		const results = await pool.run(delays, async (delay, index) => {
+			await new Promise((resolve) => setTimeout(resolve, delay));
+			return index;
+		});
+
+		expect(results).toEqual([0, 1, 2, 3]);
+	});
+
+	test('never runs more tasks than the concurrency limit', async () => {
+		const pool = createFetchPool({ concurrency: 3, logger: silentLogger });
+		let running = 0;
+		let maxRunning = 0;
+
+		await pool.run(Array.from({ length: 10 }), async () => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await new Promise((resolve) => setTimeout(resolve, 5));
+			running--;
+		});
+
+		expect(maxRunning).toBe(3);
+	});
+
+	test('treats a concurrency below 1 as 1', async () => {
+		const pool = createFetchPool({ concurrency: 0, logger: silentLogger });
+
+		await pool.run([1, 2], async (item) => item);
+
+		expect(pool.summary().concurrency).toBe(1);
+	});
+
+	test('stops scheduling after the first failure and rethrows it', async () => {
+		const pool = createFetchPool({ concurrency: 1, logger: silentLogger });
+		const processed = [];
+
+		await expect(
+			pool.run([1, 2, 3], async (item) => {
+				processed.push(item);
+				if (item === 2) throw new Error('fetch failed');
+			})
+		).rejects.toThrow('fetch failed');
+
+		expect(processed).toEqual([1, 2]);
+		expect(pool.summary()).toMatchObject({ completed: 1, failed: 1 });
+	});
+
+	test('logs progress in 25% steps for large batches', async () => {
+		const logger = { info: vi.fn(), warn: vi.fn() };
+		const pool = createFetchPool({ concurrency: 1, logger });
+
+		await pool.run(Array.from({ length: 8 }), async () => {}, {
+			label: 'pages',
+		});
+
+		expect(logger.info).toHaveBeenCalledTimes(4);
+		expect(logger.info.mock.calls[0][0]).toContain('2/8 pages (25%)');
+		expect(logger.info.mock.calls[3][0]).toContain('8/8 pages (100%)');
+	});
+
+	test('aggregates requests, retries and failures', async () => {
+		const pool = createFetchPool({ logger: silentLogger });
+
+		await pool.throttle('https://cms.example.com/a.json');
+		await pool.throttle('https://cms.example.com/b.json');
+		pool.recordRetry('https://cms.example.com/a.json');
+		pool.recordRetry('https://cms.example.com/a.json');
+		pool.recordFailure('https://cms.example.com/b.json', new Error('HTTP 500'));
+
+		expect(pool.summary()).toMatchObject({
+			requests: 2,
+			retries: 2,
+			retriesByUrl: { 'https://cms.example.com/a.json': 2 },
+			failures: [
+				{ url: 'https://cms.example.com/b.json', message: 'HTTP 500' },
+			],
+		});
+	});
+});
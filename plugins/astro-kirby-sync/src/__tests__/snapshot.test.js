@@ -0,0 +1,258 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import tar from 'tar-stream';
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+import {
+	SNAPSHOT_FORMAT,
+	createSnapshot,
+	diffSnapshots,
+	readContentDirectory,
+	readSnapshot,
+	restoreSnapshot,
+	writeSnapshot,
+} from '../snapshot.js';
+
+const global = {
+	defaultLang: { code: 'en' },
+	translations: [{ code: 'en' }, { code: 'de' }],
+};
+
+let tmpDir;
+const snapshots = [];
+
+const writeFile = (root, relativePath, data) => {
+	const file = path.join(root, relativePath);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(
+		file,
+		typeof data === 'string' || Buffer.isBuffer(data)
+			? data
+			: JSON.stringify(data)
+	);
+};
+
+// Working tree with content of both languages, a media file and sync state
+const createWorkingTree = (name) => {
+	const root = path.join(tmpDir, name);
+	for (const lang of ['', 'en/', 'de/']) {
+		writeFile(root, `public/content/${lang}global.json`, global);
+		writeFile(root, `public/content/${lang}index.json`, [{ uri: 'home' }]);
+		writeFile(root, `public/content/${lang}home.json`, { title: 'Home' });
+	}
+	writeFile(root, 'public/media/image.jpg', Buffer.from([1, 2, 3]));
+	writeFile(root, '.astro/kirby-sync-state.json', {
+		lastSync: '2024-05-01T12:00:00.000Z',
+	});
+	return root;
+};
+
+// Gzipped tar archive with the given entries, written without writeSnapshot
+const writeTarArchive = async (archivePath, entries) => {
+	const pack = tar.pack();
+	for (const [name, data] of Object.entries(entries)) {
+		pack.entry({ name }, data);
+	}
+	pack.finalize();
+	const chunks = [];
+	for await (const chunk of pack) chunks.push(chunk);
+	fs.writeFileSync(archivePath, gzipSync(Buffer.concat(chunks)));
+};
+
+const read = async (archivePath) => {
+	const snapshot = await readSnapshot(archivePath);
+	snapshots.push(snapshot);
+	return snapshot;
+};
+
+beforeEach(() => {
+	tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+});
+
+afterEach(() => {
+	for (const snapshot of snapshots.splice(0)) snapshot.cleanup();
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('writeSnapshot / readSnapshot', () => {
+	test('round-trips files and state through a tar archive', async () => {
+		const root = createWorkingTree('source');
+		const archivePath = path.join(tmpDir, 'snapshot.tar.gz');
+
+		await writeSnapshot(
+			createSnapshot({ root, kirbyUrl: 'https://cms.example.com' }),
+			archivePath
+		);
+		const snapshot = await read(archivePath);
+
+		expect(snapshot).toMatchObject({
+			format: SNAPSHOT_FORMAT,
+			kirbyUrl: 'https://cms.example.com',
+			lastSync: '2024-05-01T12:00:00.000Z',
+			files: { media: ['image.jpg'], fonts: [] },
+		});
+		expect(snapshot.files.content).toHaveLength(9);
+		expect(
+			fs.readFileSync(path.join(snapshot.directories.media, 'image.jpg'))
+		).toEqual(Buffer.from([1, 2, 3]));
+	});
+
+	test('rejects files that are not snapshots', async () => {
+		const jsonPath = path.join(tmpDir, 'other.json.gz');
+		fs.writeFileSync(jsonPath, gzipSync(JSON.stringify({ format: 'other' })));
+		const plainPath = path.join(tmpDir, 'plain.txt');
+		fs.writeFileSync(plainPath, 'not gzipped');
+
+		await expect(readSnapshot(jsonPath)).rejects.toThrow(
+			'is not a content snapshot'
+		);
+		await expect(readSnapshot(plainPath)).rejects.toThrow(
+			'Unreadable snapshot'
+		);
+	});
+
+	test('reads version 1 archives (gzipped JSON)', async () => {
+		const base64 = (data) =>
+			Buffer.from(JSON.stringify(data)).toString('base64');
+		const archivePath = path.join(tmpDir, 'legacy.json.gz');
+		fs.writeFileSync(
+			archivePath,
+			gzipSync(
+				JSON.stringify({
+					format: SNAPSHOT_FORMAT,
+					version: 1,
+					directories: {
+						content: { 'global.json': base64(global) },
+						media: {},
+					},
+					state: {},
+				})
+			)
+		);
+
+		const snapshot = await read(archivePath);
+
+		expect(snapshot.files).toEqual({
+			content: ['global.json'],
+			media: [],
+			fonts: [],
+		});
+		expect(
+			JSON.parse(
+				fs.readFileSync(
+					path.join(snapshot.directories.content, 'global.json'),
+					'utf8'
+				)
+			)
+		).toEqual(global);
+	});
+});
+
+describe('archive paths', () => {
+	const manifest = JSON.stringify({ format: SNAPSHOT_FORMAT, version: 2 });
+
+	test('rejects tar entries outside the snapshot directories', async () => {
+		const archivePath = path.join(tmpDir, 'evil.tar.gz');
+		await writeTarArchive(archivePath, {
+			'snapshot.json': manifest,
+			'content/../../../evil.json': '{}',
+		});
+
+		await expect(readSnapshot(archivePath)).rejects.toThrow(
+			'Snapshot contains an invalid path: ../../../evil.json'
+		);
+		expect(fs.existsSync(path.join(tmpDir, 'evil.json'))).toBe(false);
+	});
+
+	test('rejects version 1 files outside the snapshot directories', async () => {
+		const archivePath = path.join(tmpDir, 'evil.json.gz');
+		fs.writeFileSync(
+			archivePath,
+			gzipSync(
+				JSON.stringify({
+					format: SNAPSHOT_FORMAT,
+					version: 1,
+					directories: { content: { '../evil.json': 'e30=' } },
+				})
+			)
+		);
+
+		await expect(readSnapshot(archivePath)).rejects.toThrow(
+			'Snapshot contains an invalid path: ../evil.json'
+		);
+	});
+});
+
+describe('restoreSnapshot', () => {
+	test('restores content, media and state into a working tree', async () => {
+		const archivePath = path.join(tmpDir, 'snapshot.tar.gz');
+		await writeSnapshot(
+			createSnapshot({ root: createWorkingTree('source') }),
+			archivePath
+		);
+		const target = path.join(tmpDir, 'target');
+		writeFile(target, 'public/media/stale.jpg', 'stale');
+
+		const restored = restoreSnapshot(await read(archivePath), { root: target });
+
+		expect(restored).toEqual({ content: 9, media: 1, fonts: 0 });
+		expect(
+			fs.existsSync(path.join(target, 'public/content/de/home.json'))
+		).toBe(true);
+		expect(fs.readdirSync(path.join(target, 'public/media'))).toEqual([
+			'image.jpg',
+		]);
+		expect(
+			fs.existsSync(path.join(target, '.astro/kirby-sync-state.json'))
+		).toBe(true);
+	});
+});
+
+describe('diffSnapshots', () => {
+	test('groups pages by the languages of global.json', async () => {
+		const before = createWorkingTree('before');
+		const after = createWorkingTree('after');
+		writeFile(before, 'public/content/blog/post-1.json', { title: 'Post' });
+		writeFile(after, 'public/content/blog/post-1.json', { title: 'Edited' });
+		writeFile(after, 'public/content/de/about.json', { title: 'Über uns' });
+		fs.rmSync(path.join(after, 'public/content/en/home.json'));
+
+		const result = diffSnapshots(
+			readContentDirectory(path.join(before, 'public/content')),
+			readContentDirectory(path.join(after, 'public/content'))
+		);
+
+		expect(result.identical).toBe(false);
+		expect(result.content).toEqual({
+			'': {
+				added: [],
+				removed: [],
+				changed: [{ page: 'blog/post-1', fields: ['title'] }],
+			},
+			de: { added: ['about'], removed: [], changed: [] },
+			en: { added: [], removed: ['home'], changed: [] },
+		});
+	});
+
+	test('compares media files by content', async () => {
+		const beforePath = path.join(tmpDir, 'before.tar.gz');
+		const afterPath = path.join(tmpDir, 'after.tar.gz');
+		await writeSnapshot(
+			createSnapshot({ root: createWorkingTree('before') }),
+			beforePath
+		);
+		const after = createWorkingTree('after');
+		writeFile(after, 'public/media/image.jpg', Buffer.from([3, 2, 1]));
+		await writeSnapshot(createSnapshot({ root: after }), afterPath);
+
+		const result = diffSnapshots(await read(beforePath), await read(afterPath));
+
+		expect(result.content).toEqual({});
+		expect(result.files.media).toEqual({
+			added: [],
+			removed: [],
+			changed: ['image.jpg'],
+		});
+	});
+});
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { createStagingArea, verifyStagedContent } from '../staging.js';
+
+let root;
+let contentDir;
+
+const writeFile = (dir, relativePath, data) => {
+	const file = path.join(dir, relativePath);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(
+		file,
+		typeof data === 'string' ? data : JSON.stringify(data)
+	);
+};
+
+const readFile = (dir, relativePath) =>
+	JSON.parse(fs.readFileSync(path.join(dir, relativePath), 'utf8'));
+
+// Complete content of the root and the given language directories
+const writeContent = (dir, languages = ['en']) => {
+	for (const lang of ['', ...languages.map((code) => `${code}/`)]) {
+		writeFile(dir, `${lang}global.json`, { defaultLang: { code: 'en' } });
+		writeFile(dir, `${lang}index.json`, [{ uri: 'home' }]);
+		writeFile(dir, `${lang}home.json`, { title: 'Home' });
+		writeFile(dir, `${lang}error.json`, { title: 'Error' });
+	}
+};
+
+beforeEach(() => {
+	root = fs.mkdtempSync(path.join(os.tmpdir(), 'staging-test-'));
+	contentDir = path.join(root, 'public/content');
+	vi.spyOn(process, 'cwd').mockReturnValue(root);
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('createStagingArea', () => {
+	test('swaps the staged content into place', () => {
+		writeFile(contentDir, 'home.json', { title: 'Old' });
+		const staging = createStagingArea(contentDir);
+		writeFile(staging.dir, 'home.json', { title: 'New' });
+
+		staging.commit();
+
+		expect(readFile(contentDir, 'home.json')).toEqual({ title: 'New' });
+		expect(fs.existsSync(staging.dir)).toBe(false);
+		expect(
+			fs.existsSync(path.join(root, '.astro/kirby-content-previous'))
+		).toBe(false);
+	});
+
+	test('seeds staging with the live content for incremental syncs', () => {
+		writeFile(contentDir, 'home.json', { title: 'Live' });
+		fs.mkdirSync(path.join(root, '.astro/kirby-content-staging/stale'), {
+			recursive: true,
+		});
+
+		const staging = createStagingArea(contentDir, { seed: true });
+
+		expect(fs.readdirSync(staging.dir)).toEqual(['home.json']);
+		expect(readFile(staging.dir, 'home.json')).toEqual({ title: 'Live' });
+		expect(fs.readdirSync(createStagingArea(contentDir).dir)).toEqual([]);
+	});
+
+	test('leaves the live content untouched when discarded', () => {
+		writeFile(contentDir, 'home.json', { title: 'Live' });
+		const staging = createStagingArea(contentDir, { seed: true });
+		writeFile(staging.dir, 'home.json', { title: 'Staged' });
+
+		staging.discard();
+
+		expect(fs.existsSync(staging.dir)).toBe(false);
+		expect(readFile(contentDir, 'home.json')).toEqual({ title: 'Live' });
+	});
+
+	test('restores the previous content when the swap fails', () => {
+		writeFile(contentDir, 'home.json', { title: 'Live' });
+		const staging = createStagingArea(contentDir);
+		writeFile(staging.dir, 'home.json', { title: 'Staged' });
+		const renameSync = fs.renameSync;
+		vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+			if (from === staging.dir) {
+				throw Object.assign(new Error('Permission denied'), {
+					code: 'EACCES',
+				});
+			}
+			return renameSync(from, to);
+		});
+
+		expect(() => staging.commit()).toThrow('Permission denied');
+		expect(readFile(contentDir, 'home.json')).toEqual({ title: 'Live' });
+		expect(
+			fs.existsSync(path.join(root, '.astro/kirby-content-previous'))
+		).toBe(false);
+	});
+
+	test('copies the staged content across devices', () => {
+		const staging = createStagingArea(contentDir);
+		writeFile(staging.dir, 'home.json', { title: 'Staged' });
+		const renameSync = fs.renameSync;
+		vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+			if (from === staging.dir) {
+				throw Object.assign(new Error('Cross-device link'), {
+					code: 'EXDEV',
+				});
+			}
+			return renameSync(from, to);
+		});
+
+		staging.commit();
+
+		expect(readFile(contentDir, 'home.json')).toEqual({ title: 'Staged' });
+		expect(fs.existsSync(staging.dir)).toBe(false);
+	});
+});
+
+describe('verifyStagedContent', () => {
+	// Problems listed by the thrown error
+	const problemsOf = (verify) => {
+		try {
+			verify();
+		} catch (error) {
+			expect(error.message).toMatch(/^Staged content is incomplete:/);
+			return error.message.split('\n  - ').slice(1);
+		}
+		return [];
+	};
+
+	test('counts the files of complete content', () => {
+		writeContent(contentDir, ['en', 'de']);
+
+		expect(
+			verifyStagedContent(contentDir, ['en', 'de'], { systemPages: ['error'] })
+		).toEqual({ files: 12 });
+	});
+
+	test('lists every missing or broken file', () => {
+		writeContent(contentDir);
+		writeFile(contentDir, 'en/global.json', '{ broken');
+		writeFile(contentDir, 'index.json', { uri: 'home' });
+		fs.rmSync(path.join(contentDir, 'en/home.json'));
+
+		expect(
+			problemsOf(() =>
+				verifyStagedContent(contentDir, ['en', 'de'], {
+					systemPages: ['error', 'maintenance'],
+				})
+			)
+		).toEqual([
+			'index.json is not a page list',
+			expect.stringMatching(/^Unreadable en\/global\.json: /),
+			'Missing en/home.json',
+			'Missing en/maintenance.json',
+			'Missing de/global.json',
+			'Missing de/index.json',
+		]);
+	});
+});
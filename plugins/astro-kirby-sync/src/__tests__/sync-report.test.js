@@ -0,0 +1,220 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+import { createFetchPool } from '../fetch-pool.js';
+import {
+	compareContent,
+	createSyncReport,
+	formatSyncStatus,
+	readSyncReport,
+	writeSyncReport,
+} from '../sync-report.js';
+
+let tmpDir;
+
+const writeFiles = (dir, files) => {
+	for (const [relativePath, data] of Object.entries(files)) {
+		const file = path.join(dir, relativePath);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, JSON.stringify(data));
+	}
+};
+
+beforeEach(() => {
+	tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-report-test-'));
+});
+
+afterEach(() => {
+	fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('compareContent', () => {
+	test('groups changed files by language directory', () => {
+		const liveDir = path.join(tmpDir, 'live');
+		const stagingDir = path.join(tmpDir, 'staging');
+		writeFiles(liveDir, {
+			'global.json': { title: 'Site' },
+			'home.json': { title: 'Home' },
+			'de/home.json': { title: 'Start' },
+			'de/team.json': { title: 'Team' },
+		});
+		writeFiles(stagingDir, {
+			'global.json': { title: 'Site' },
+			'home.json': { title: 'Welcome' },
+			'de/home.json': { title: 'Start' },
+			'de/blog/post-1.json': { title: 'Beitrag' },
+			'blog/post-1.json': { title: 'Post' },
+		});
+		fs.writeFileSync(path.join(stagingDir, 'notes.txt'), 'ignored');
+
+		expect(compareContent(liveDir, stagingDir, ['de'])).toEqual({
+			root: {
+				added: ['blog/post-1.json'],
+				updated: ['home.json'],
+				removed: [],
+				unchanged: ['global.json'],
+			},
+			de: {
+				added: ['blog/post-1.json'],
+				updated: [],
+				removed: ['team.json'],
+				unchanged: ['home.json'],
+			},
+		});
+	});
+
+	test('lists every staged file as added on the first sync', () => {
+		const stagingDir = path.join(tmpDir, 'staging');
+		writeFiles(stagingDir, { 'home.json': {}, 'en/home.json': {} });
+
+		expect(
+			compareContent(path.join(tmpDir, 'missing'), stagingDir, ['en'])
+		).toEqual({
+			en: { added: ['home.json'], updated: [], removed: [], unchanged: [] },
+			root: { added: ['home.json'], updated: [], removed: [], unchanged: [] },
+		});
+	});
+});
+
+describe('createSyncReport', () => {
+	test('collects changes, timings and requests of a sync run', () => {
+		const report = createSyncReport('incremental', {
+			fallback: { from: 'partial', reason: 'changes.json unavailable' },
+		});
+		const pool = createFetchPool({ logger: { warn: () => {} } });
+		pool.recordRetry('https://cms.example.com/home.json');
+
+		report.recordLanguage(null, 12.4);
+		report.recordLanguage('de', 20.6);
+		report.recordChanges({
+			root: { added: ['a.json'], updated: [], removed: [], unchanged: [] },
+			de: {
+				added: [],
+				updated: ['b.json'],
+				removed: ['c.json'],
+				unchanged: ['d.json'],
+			},
+		});
+		report.recordValidation(2);
+		const data = report.finish(pool);
+
+		expect(data).toMatchObject({
+			mode: 'incremental',
+			dryRun: false,
+			status: 'success',
+			fallback: { from: 'partial' },
+			totals: { added: 1, updated: 1, removed: 1, unchanged: 1 },
+			validationProblems: 2,
+			requests: {
+				retries: 1,
+				retriesByUrl: { 'https://cms.example.com/home.json': 1 },
+			},
+			failures: [],
+			error: null,
+		});
+		expect(data.languages.root).toMatchObject({
+			durationMs: 12,
+			added: ['a.json'],
+		});
+		expect(data.languages.de).toMatchObject({
+			durationMs: 21,
+			removed: ['c.json'],
+		});
+		expect(data.finishedAt).not.toBeNull();
+	});
+
+	test('records the error of a failed sync', () => {
+		const report = createSyncReport('full', { dryRun: true });
+
+		const data = report.finish(
+			createFetchPool(),
+			new Error('KIRBY_URL is not set')
+		);
+
+		expect(data).toMatchObject({
+			dryRun: true,
+			status: 'failed',
+			error: 'KIRBY_URL is not set',
+		});
+	});
+
+	test('is written to and read from disk', () => {
+		const filePath = path.join(tmpDir, '.netlify/kirby-sync-report.json');
+		const { data } = createSyncReport('full');
+
+		expect(writeSyncReport(data, console, filePath)).toBe(filePath);
+		expect(readSyncReport(filePath)).toEqual(data);
+		expect(readSyncReport(path.join(tmpDir, 'missing.json'))).toBeNull();
+	});
+});
+
+describe('formatSyncStatus', () => {
+	const data = (overrides) => ({
+		mode: 'incremental',
+		dryRun: false,
+		status: 'success',
+		durationMs: 1234,
+		fallback: null,
+		languages: {
+			root: {
+				durationMs: 800,
+				added: ['a.json'],
+				updated: [],
+				removed: [],
+				unchanged: ['b.json'],
+			},
+			de: {
+				durationMs: null,
+				added: [],
+				updated: ['c.json'],
+				removed: ['d.json'],
+				unchanged: [],
+			},
+		},
+		totals: { added: 1, updated: 1, removed: 1, unchanged: 1 },
+		validationProblems: 0,
+		requests: { requests: 12, retries: 1 },
+		failures: [],
+		error: null,
+		...overrides,
+	});
+
+	test('summarizes a successful sync', () => {
+		expect(formatSyncStatus(data())).toEqual({
+			title: 'Kirby content sync: incremental',
+			summary: '1 added, 1 updated, 1 removed, 1 unchanged in 1.2s',
+			text: [
+				'root: +1 ~0 -0 (800ms)',
+				'de: +0 ~1 -1',
+				'Requests: 12, retries: 1, failures: 0',
+			].join('\n'),
+		});
+	});
+
+	test('reports failures, dry runs, validation problems and fallbacks', () => {
+		const status = formatSyncStatus(
+			data({
+				dryRun: true,
+				status: 'failed',
+				error: 'Deletion threshold exceeded',
+				validationProblems: 3,
+				fallback: { from: 'incremental', reason: 'no sync state' },
+				requests: null,
+				failures: [{ url: 'https://cms.example.com/de/team.json' }],
+			})
+		);
+
+		expect(status.title).toBe(
+			'Kirby content sync: incremental (dry run) (failed)'
+		);
+		expect(status.summary).toBe(
+			'Sync failed after 1.2s: Deletion threshold exceeded'
+		);
+		expect(status.text.split('\n').slice(2)).toEqual([
+			'Requests: 0, retries: 0, failures: 1',
+			'Content validation problems: 3',
+			'Fell back from incremental sync: no sync state',
+		]);
+	});
+});
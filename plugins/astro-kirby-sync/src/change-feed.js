@@ -0,0 +1,119 @@
+/**
+ * Change Feed
+ *
+ * Server-driven delta detection for incremental syncs. Pages are only
+ * re-fetched when the CMS reports them as changed, either through a
+ * `changes.json?since=<lastSync>` manifest or through per-page `modified`
+ * timestamps in `index.json`.
+ */
+
+/**
+ * Request the change manifest for a language from the CMS
+ *
+ * The endpoint is optional: any non-200 response, network error or
+ * malformed body returns null so callers can fall back to hash comparison.
+ * It is requested once, without retries.
+ *
+ * Expected response: `{ "changed": ["about", "blog/post-1"] }`
+ *
+ * @param {Object} client - Kirby client of the sync run (see baukasten-utils)
+ * @param {string} API_URL - Kirby base URL
+ * @param {string} langPath - Language path prefix (e.g. 'de/' or '')
+ * @param {string} since - ISO timestamp of the last successful sync
+ * @returns {Promise<Set<string>|null>} URIs of changed pages or null
+ */
+export async function fetchChangeManifest(client, API_URL, langPath, since) {
+	const url = `${API_URL}/${langPath}changes.json?since=${encodeURIComponent(
+		since
+	)}`;
+
+	try {
+		const manifest = await client.getJson(url, { retries: 1 });
+		if (!manifest || !Array.isArray(manifest.changed)) return null;
+
+		return new Set(manifest.changed);
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Find the section pages above changed pages
+ *
+ * Section pages embed their children as `items` in their own JSON, so a
+ * changed child makes the listing of every section above it stale.
+ *
+ * @param {Iterable<string>} uris - URIs of changed pages
+ * @param {Array<Object>} indexData - Pages listed in index.json
+ * @returns {Set<string>} URIs of ancestor section pages that aren't changed themselves
+ */
+export function findAncestorSections(uris, indexData) {
+	const changed = new Set(uris);
+	const sectionUris = new Set(
+		indexData
+			.filter((page) => page.intendedTemplate === 'section')
+			.map((page) => page.uri)
+	);
+	const ancestors = new Set();
+
+	for (const uri of changed) {
+		const segments = uri.split('/');
+		for (let length = segments.length - 1; length > 0; length--) {
+			const ancestor = segments.slice(0, length).join('/');
+			if (sectionUris.has(ancestor) && !changed.has(ancestor)) {
+				ancestors.add(ancestor);
+			}
+		}
+	}
+
+	return ancestors;
+}
+
+/**
+ * Create a predicate deciding whether a page from index.json must be fetched
+ *
+ * Both the change feed and `modified` timestamps only report the edited
+ * pages, so the section pages above them are fetched as well.
+ *
+ * @param {Object} options - Detector options
+ * @param {Set<string>|null} options.changedUris - URIs from the change manifest
+ * @param {Object} options.pageModified - Previously synced `modified` values keyed by page URL
+ * @param {Array<Object>} options.indexData - Pages listed in index.json
+ * @param {(page: Object) => string} options.getPageUrl - URL of a page from index.json
+ * @returns {{ strategy: 'feed'|'modified'|'hash', sectionUris: Set<string>, shouldFetch: (page: Object) => boolean }}
+ */
+export function createChangeDetector({
+	changedUris,
+	pageModified,
+	indexData,
+	getPageUrl,
+}) {
+	const hasModifiedTimestamps =
+		indexData.length > 0 &&
+		indexData.every((page) => page.modified !== undefined);
+
+	if (!changedUris && !hasModifiedTimestamps) {
+		return {
+			strategy: 'hash',
+			sectionUris: new Set(),
+			shouldFetch: () => true,
+		};
+	}
+
+	const uris =
+		changedUris ||
+		indexData
+			.filter(
+				(page) =>
+					String(pageModified[getPageUrl(page)]) !== String(page.modified)
+			)
+			.map((page) => page.uri);
+	const sectionUris = findAncestorSections(uris, indexData);
+	const fetchUris = new Set([...uris, ...sectionUris]);
+
+	return {
+		strategy: changedUris ? 'feed' : 'modified',
+		sectionUris,
+		shouldFetch: (page) => fetchUris.has(page.uri),
+	};
+}
@@ -0,0 +1,161 @@
+/**
+ * Content Schemas
+ *
+ * Declared shapes of the synced JSON files, in the schema format of
+ * `validateOptions` from baukasten-utils. They mirror what the types in
+ * `src/types/api.types.ts` and `src/types/blocks.types.ts` and the
+ * components reading them rely on.
+ */
+
+/**
+ * Build a custom validator that requires an array
+ *
+ * @returns {Function} Validator throwing if the value is not an array
+ */
+function array() {
+	return (value) => {
+		if (!Array.isArray(value)) {
+			throw new Error(`must be an array, got ${typeof value}`);
+		}
+	};
+}
+
+/**
+ * Build a custom validator that requires an object with the given keys
+ *
+ * @param {string[]} keys - Keys that must be present on the object
+ * @returns {Function} Validator throwing if the value is not such an object
+ */
+function objectWith(keys = []) {
+	return (value) => {
+		if (Array.isArray(value)) {
+			throw new Error('must be an object, got array');
+		}
+		const missing = keys.filter(
+			(key) => value[key] === undefined || value[key] === null
+		);
+		if (missing.length > 0) {
+			throw new Error(`is missing ${missing.join(', ')}`);
+		}
+	};
+}
+
+export const globalSchema = {
+	defaultLang: {
+		required: true,
+		type: 'object',
+		validate: objectWith(['code']),
+	},
+	translations: { required: true, validate: array() },
+	allLang: { validate: array() },
+	prefixDefaultLocale: { type: 'boolean' },
+	frontendUrl: { type: 'string' },
+	maintenanceToggle: { type: 'boolean' },
+	favicon: { required: true, type: 'object', validate: objectWith() },
+	fontSize: { validate: array() },
+	navHeader: { validate: array() },
+	navHamburger: { validate: array() },
+};
+
+export const indexEntrySchema = {
+	uri: { required: true, type: 'string' },
+};
+
+export const pageSchema = {
+	title: { required: true, type: 'string' },
+	uri: { required: true, type: 'string' },
+	intendedTemplate: { required: true, type: 'string' },
+	meta: {
+		required: true,
+		type: 'object',
+		validate: objectWith(['social']),
+	},
+	layouts: { required: true, validate: array() },
+	translations: { type: 'object' },
+};
+
+// Section pages render their items with `settings` instead of `layouts`
+export const sectionSchema = {
+	...pageSchema,
+	layouts: { validate: array() },
+	settings: {
+		required: true,
+		type: 'object',
+		validate: objectWith(['grid', 'title', 'text', 'caption']),
+	},
+	items: { validate: array() },
+	layoutPre: { validate: array() },
+	layoutPost: { validate: array() },
+};
+
+export const layoutSchema = {
+	content: {
+		required: true,
+		type: 'object',
+		validate: objectWith(['columns']),
+	},
+};
+
+// Rows of a grid block, each rendered like a layout's columns
+export const gridRowSchema = {
+	columns: { validate: array() },
+};
+
+// Columns of layouts, grid rows and columns blocks
+export const columnSchema = {
+	blocks: { required: true, validate: array() },
+};
+
+export const blockSchema = {
+	type: { required: true, type: 'string' },
+	content: { required: true, type: 'object' },
+};
+
+// Per block type, validated against `block.content`. Only lists the block
+// components iterate over are declared; an empty schema marks a known type.
+export const blockContentSchemas = {
+	grid: {
+		grid: { required: true, validate: array() },
+	},
+	columns: {
+		columns: { validate: array() },
+	},
+	code: {},
+	video: {},
+	vector: {},
+	line: {},
+	quoteSlider: {
+		acc: { validate: array() },
+	},
+	accordion: {
+		acc: { validate: array() },
+	},
+	iconlist: {
+		list: { required: true, validate: array() },
+	},
+	menu: {
+		nav: { validate: array() },
+	},
+	button: {},
+	buttonBar: {
+		buttons: { required: true, validate: array() },
+	},
+	title: {},
+	text: {},
+	image: {},
+	slider: {
+		images: { validate: array() },
+	},
+	gallery: {
+		images: { validate: array() },
+	},
+	divider: {},
+	card: {},
+	contactForm: {
+		fields: { validate: array() },
+	},
+	navigation: {},
+	featured: {
+		items: { validate: array() },
+	},
+};
@@ -0,0 +1,247 @@
+/**
+ * Content Validation
+ *
+ * Checks synced content against the declared schemas before it is swapped
+ * into `public/content`, so missing fields are reported per file instead of
+ * failing later inside `astro build`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { validateOptions } from '../../baukasten-utils/index.js';
+import {
+	globalSchema,
+	indexEntrySchema,
+	pageSchema,
+	sectionSchema,
+	layoutSchema,
+	gridRowSchema,
+	columnSchema,
+	blockSchema,
+	blockContentSchemas,
+} from './content-schemas.js';
+
+// Maximum number of problems printed in a report
+const MAX_REPORTED_PROBLEMS = 50;
+
+/**
+ * Error thrown when content validation is set to fail the sync
+ */
+export class ContentValidationError extends Error {
+	constructor(report) {
+		super(report);
+		this.name = 'ContentValidationError';
+	}
+}
+
+/**
+ * Validate a value against a schema, collecting problems under a location
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema in `validateOptions` format
+ * @param {string} location - Location shown in the report (e.g. 'layouts[0]')
+ * @param {string[]} problems - Collected problems
+ * @returns {boolean} True if the value matches the schema
+ */
+function check(value, schema, location, problems) {
+	const prefix = location ? `${location}: ` : '';
+
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		problems.push(`${prefix}must be an object`);
+		return false;
+	}
+
+	try {
+		validateOptions(value, schema, { fieldName: 'Field' });
+		return true;
+	} catch (error) {
+		for (const message of error.errors || [error.message]) {
+			problems.push(`${prefix}${message}`);
+		}
+		return false;
+	}
+}
+
+function checkColumns(columns, location, problems) {
+	if (!Array.isArray(columns)) return;
+
+	columns.forEach((column, index) => {
+		const columnLocation = `${location}.columns[${index}]`;
+		if (check(column, columnSchema, columnLocation, problems)) {
+			checkBlocks(column.blocks, columnLocation, problems);
+		}
+	});
+}
+
+function checkBlocks(blocks, location, problems) {
+	blocks.forEach((block, index) => {
+		const blockLocation = `${location}.blocks[${index}]`;
+		if (!check(block, blockSchema, blockLocation, problems)) return;
+
+		const contentSchema = blockContentSchemas[block.type];
+		if (!contentSchema) {
+			problems.push(`${blockLocation}: Unknown block type '${block.type}'`);
+			return;
+		}
+
+		const contentLocation = `${blockLocation} (${block.type})`;
+		if (!check(block.content, contentSchema, contentLocation, problems)) {
+			return;
+		}
+
+		// Grid and columns blocks contain further columns of blocks
+		if (block.type === 'grid') {
+			block.content.grid.forEach((row, rowIndex) => {
+				const rowLocation = `${contentLocation}.grid[${rowIndex}]`;
+				if (check(row, gridRowSchema, rowLocation, problems)) {
+					checkColumns(row.columns, rowLocation, problems);
+				}
+			});
+		} else if (block.type === 'columns') {
+			checkColumns(block.content.columns, contentLocation, problems);
+		}
+	});
+}
+
+function checkLayouts(layouts, location, problems) {
+	if (!Array.isArray(layouts)) return;
+
+	layouts.forEach((layout, index) => {
+		const layoutLocation = `${location}[${index}]`;
+		if (check(layout, layoutSchema, layoutLocation, problems)) {
+			checkColumns(
+				layout.content.columns,
+				`${layoutLocation}.content`,
+				problems
+			);
+		}
+	});
+}
+
+/**
+ * Validate a page (or section) JSON file
+ *
+ * @param {Object} page - Parsed page JSON
+ * @returns {string[]} Problems found
+ */
+export function validatePage(page) {
+	const problems = [];
+	const schema =
+		page?.intendedTemplate === 'section' ? sectionSchema : pageSchema;
+
+	check(page, schema, '', problems);
+	if (page && typeof page === 'object') {
+		checkLayouts(page.layouts, 'layouts', problems);
+		checkLayouts(page.layoutPre, 'layoutPre', problems);
+		checkLayouts(page.layoutPost, 'layoutPost', problems);
+	}
+
+	return problems;
+}
+
+/**
+ * Validate staged content of every language against the content schemas
+ *
+ * The root directory mirrors the default language directory, so only the
+ * language directories are checked.
+ *
+ * @param {string} stagingDir - Directory holding the synced content
+ * @param {string[]} languages - Language codes synced into their own directories
+ * @param {Object} options - Validation options
+ * @param {string[]} options.systemPages - Page URIs synced for every language
+ * @returns {{ files: number, problems: Array<{ file: string, message: string }> }}
+ */
+export function validateContent(
+	stagingDir,
+	languages,
+	{ systemPages = [] } = {}
+) {
+	const problems = [];
+	let files = 0;
+
+	const readJson = (relativePath) => {
+		try {
+			const data = JSON.parse(
+				fs.readFileSync(path.join(stagingDir, relativePath), 'utf8')
+			);
+			files++;
+			return data;
+		} catch (error) {
+			problems.push({ file: relativePath, message: error.message });
+			return null;
+		}
+	};
+
+	const addProblems = (file, messages) => {
+		for (const message of messages) {
+			problems.push({ file, message });
+		}
+	};
+
+	for (const lang of languages) {
+		const globalPath = path.join(lang, 'global.json');
+		const global = readJson(globalPath);
+		if (global) {
+			const globalProblems = [];
+			check(global, globalSchema, '', globalProblems);
+			addProblems(globalPath, globalProblems);
+		}
+
+		const indexPath = path.join(lang, 'index.json');
+		const index = readJson(indexPath);
+		if (!Array.isArray(index)) continue;
+
+		const indexedUris = new Set(index.map((entry) => entry?.uri));
+		const systemEntries = systemPages
+			.filter((uri) => !indexedUris.has(uri))
+			.map((uri) => ({ uri }));
+
+		for (const [position, entry] of [...index, ...systemEntries].entries()) {
+			const entryProblems = [];
+			if (!check(entry, indexEntrySchema, `[${position}]`, entryProblems)) {
+				addProblems(indexPath, entryProblems);
+				continue;
+			}
+
+			const pagePath = path.join(lang, `${entry.uri}.json`);
+			const page = readJson(pagePath);
+			if (page) {
+				addProblems(pagePath, validatePage(page));
+			}
+		}
+	}
+
+	return { files, problems };
+}
+
+/**
+ * Format validation problems as a readable report grouped by file
+ *
+ * @param {Array<{ file: string, message: string }>} problems - Problems found
+ * @returns {string} Report text
+ */
+export function formatValidationReport(problems) {
+	const byFile = new Map();
+	for (const { file, message } of problems.slice(0, MAX_REPORTED_PROBLEMS)) {
+		if (!byFile.has(file)) byFile.set(file, []);
+		byFile.get(file).push(message);
+	}
+
+	const fileCount = new Set(problems.map(({ file }) => file)).size;
+	const lines = [
+		`Content validation found ${problems.length} problem(s) in ${fileCount} file(s):`,
+	];
+	for (const [file, messages] of byFile) {
+		lines.push(`  ${file}`);
+		for (const message of messages) {
+			lines.push(`    - ${message}`);
+		}
+	}
+
+	const more = problems.length - MAX_REPORTED_PROBLEMS;
+	if (more > 0) {
+		lines.push(`  …and ${more} more`);
+	}
+
+	return lines.join('\n');
+}
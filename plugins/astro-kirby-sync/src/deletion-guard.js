@@ -0,0 +1,131 @@
+/**
+ * Deletion Guard
+ *
+ * Protects the live content from syncs that would remove a large share of
+ * it, e.g. when the CMS returns a truncated `index.json`. Files removed by a
+ * sync are kept in a trash folder until the next sync that removes files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Maximum number of files listed in logs and error messages
+const MAX_LISTED_FILES = 30;
+
+/**
+ * Error thrown when a sync would remove more content than allowed
+ */
+export class DeletionThresholdError extends Error {
+	constructor(message, removed) {
+		super(message);
+		this.name = 'DeletionThresholdError';
+		this.removed = removed;
+	}
+}
+
+/**
+ * Get the trash folder keeping the files removed by the last sync
+ *
+ * @returns {string} Absolute trash directory
+ */
+export function getTrashDir() {
+	return path.resolve('./.astro/kirby-content-trash');
+}
+
+/**
+ * Collect removed files and the number of live files from content changes
+ *
+ * @param {Object} changes - Changes keyed by language, as returned by `compareContent`
+ * @returns {{ removed: string[], liveFiles: number }} Removed paths relative to the content directory
+ */
+export function summarizeRemovals(changes) {
+	const removed = [];
+	let liveFiles = 0;
+
+	for (const [key, files] of Object.entries(changes)) {
+		const prefix = key === 'root' ? '' : `${key}/`;
+		removed.push(...files.removed.map((file) => `${prefix}${file}`));
+		liveFiles +=
+			files.removed.length + files.updated.length + files.unchanged.length;
+	}
+
+	return { removed, liveFiles };
+}
+
+/**
+ * Format a list of files for logs, truncated to a readable length
+ *
+ * @param {string[]} files - File paths
+ * @returns {string} One indented line per file
+ */
+export function formatFileList(files) {
+	const lines = files.slice(0, MAX_LISTED_FILES).map((file) => `  - ${file}`);
+	if (files.length > MAX_LISTED_FILES) {
+		lines.push(`  …and ${files.length - MAX_LISTED_FILES} more`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Abort when a sync would remove more than the allowed share of live files
+ *
+ * @param {Object} options - Check options
+ * @param {string[]} options.removed - Files the sync would remove
+ * @param {number} options.liveFiles - Number of files in the live content
+ * @param {number} options.threshold - Allowed share of removed files in percent (100 disables the check)
+ * @param {boolean} options.forced - Removal was explicitly allowed (FORCE_FULL_SYNC)
+ * @throws {DeletionThresholdError} If the threshold is exceeded
+ */
+export function checkDeletionThreshold({
+	removed,
+	liveFiles,
+	threshold,
+	forced = false,
+}) {
+	if (forced || threshold >= 100 || liveFiles === 0) return;
+
+	const share = (removed.length / liveFiles) * 100;
+	if (share <= threshold) return;
+
+	throw new DeletionThresholdError(
+		`Sync would remove ${removed.length} of ${liveFiles} content file(s) (${Math.round(
+			share
+		)}%), more than the allowed ${threshold}%. The CMS may have returned an incomplete index.json. ` +
+			`Run a full sync with FORCE_FULL_SYNC=true if the removal is intended.\n${formatFileList(
+				removed
+			)}`,
+		removed
+	);
+}
+
+/**
+ * Replace the trash folder with the files a sync is about to remove
+ *
+ * Must run before the staged content is swapped in, while the files still
+ * exist in the live content directory.
+ *
+ * @param {string} contentDir - Live content directory
+ * @param {string[]} removed - Paths relative to the content directory
+ * @returns {string} Trash directory
+ */
+export function copyToTrash(contentDir, removed) {
+	const trashDir = getTrashDir();
+	fs.rmSync(trashDir, { recursive: true, force: true });
+
+	for (const file of removed) {
+		const target = path.join(trashDir, file);
+		fs.mkdirSync(path.dirname(target), { recursive: true });
+		fs.copyFileSync(path.join(contentDir, file), target);
+	}
+
+	fs.writeFileSync(
+		path.join(trashDir, '.removed.json'),
+		JSON.stringify(
+			{ removedAt: new Date().toISOString(), files: removed },
+			null,
+			2
+		)
+	);
+
+	return trashDir;
+}
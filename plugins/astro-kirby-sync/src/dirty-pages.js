@@ -0,0 +1,245 @@
+/**
+ * Dirty Pages
+ *
+ * Pages reported as changed by the Kirby webhook (`netlify/functions/kirby-webhook.mjs`).
+ * Each page is stored as its own entry in a Netlify Blobs store, so
+ * concurrent hook calls never overwrite each other. The next build reads the
+ * entries, syncs only those pages and clears what it synced.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Netlify Blobs store shared by the webhook function and the build plugin
+export const DIRTY_PAGES_STORE = 'kirby-sync-dirty-pages';
+
+// Header carrying the payload signature (`sha256=<hex HMAC of "<timestamp>.<body>">`)
+export const SIGNATURE_HEADER = 'x-kirby-signature';
+
+// Header carrying the signing time in Unix seconds, covered by the signature
+export const TIMESTAMP_HEADER = 'x-kirby-timestamp';
+
+// Maximum age (and clock skew) of a signed request in seconds. Older
+// requests are rejected, so captured hooks can't be replayed later.
+export const SIGNATURE_MAX_AGE = 300;
+
+// Key marking that the next build must run a full sync
+const FULL_SYNC_KEY = 'full-sync';
+
+// Key prefix of dirty page entries, followed by `<lang>/<uri>`
+const PAGE_KEY_PREFIX = 'pages/';
+
+// Language segment of pages reported without a language (default language)
+const DEFAULT_LANG_KEY = '_';
+
+/**
+ * Sign a webhook payload with the shared secret
+ *
+ * @param {string} body - Raw request body
+ * @param {string|number} timestamp - Signing time in Unix seconds
+ * @param {string} secret - Shared webhook secret
+ * @returns {string} Signature in `sha256=<hex>` format
+ */
+export function signPayload(body, timestamp, secret) {
+	const digest = createHmac('sha256', secret)
+		.update(`${timestamp}.${body}`)
+		.digest('hex');
+	return `sha256=${digest}`;
+}
+
+/**
+ * Check that a signing timestamp is recent
+ *
+ * @param {string|null} timestamp - Value of the timestamp header (Unix seconds)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the timestamp is within `SIGNATURE_MAX_AGE`
+ */
+export function isFreshTimestamp(timestamp, now = Date.now()) {
+	if (typeof timestamp !== 'string' || !/^\d+$/.test(timestamp.trim())) {
+		return false;
+	}
+	const age = now / 1000 - Number(timestamp);
+	return Math.abs(age) <= SIGNATURE_MAX_AGE;
+}
+
+/**
+ * Verify a webhook payload signature and its timestamp in constant time
+ *
+ * @param {string} body - Raw request body
+ * @param {string|null} timestamp - Value of the timestamp header
+ * @param {string|null} signature - Value of the signature header
+ * @param {string} secret - Shared webhook secret
+ * @param {Object} options - Verification options
+ * @param {number} options.now - Current time in milliseconds (default: Date.now())
+ * @returns {boolean} True if the signature matches and the timestamp is recent
+ */
+export function verifySignature(
+	body,
+	timestamp,
+	signature,
+	secret,
+	{ now = Date.now() } = {}
+) {
+	if (!secret || typeof signature !== 'string') return false;
+	if (!isFreshTimestamp(timestamp, now)) return false;
+
+	const expected = Buffer.from(signPayload(body, timestamp.trim(), secret));
+	const received = Buffer.from(signature.trim());
+	return (
+		expected.length === received.length && timingSafeEqual(expected, received)
+	);
+}
+
+/**
+ * Parse a Kirby hook payload
+ *
+ * Accepted payloads:
+ * - `{ "uri": "blog/post-1", "lang": "de" }`
+ * - `{ "pages": [{ "uri": "about" }, { "uri": "ueber-uns", "lang": "de" }] }`
+ * - `{ "full": true }` for changes affecting every page (e.g. site settings)
+ *
+ * A missing `lang` refers to the default language.
+ *
+ * @param {*} payload - Parsed JSON body
+ * @returns {{ full: boolean, pages: Array<{ uri: string, lang: string|null }> }}
+ * @throws {Error} If the payload has an unexpected shape
+ */
+export function parseHookPayload(payload) {
+	if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+		throw new Error('Payload must be a JSON object');
+	}
+
+	if (payload.full === true) {
+		return { full: true, pages: [] };
+	}
+
+	const entries = Array.isArray(payload.pages) ? payload.pages : [payload];
+	if (entries.length === 0) {
+		throw new Error('Payload lists no pages');
+	}
+
+	const pages = entries.map((entry, index) => {
+		const uri = typeof entry?.uri === 'string' ? entry.uri.trim() : '';
+		const cleanUri = uri.replace(/^\/+|\/+$/g, '');
+		if (!cleanUri || cleanUri.split('/').includes('..')) {
+			throw new Error(`Page ${index} has no valid 'uri'`);
+		}
+
+		const lang = entry.lang ?? null;
+		if (lang !== null && !/^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(lang)) {
+			throw new Error(`Page ${index} has an invalid 'lang': ${lang}`);
+		}
+
+		return { uri: cleanUri, lang };
+	});
+
+	return { full: false, pages };
+}
+
+/**
+ * Record pages as dirty
+ *
+ * @param {Object} store - Netlify Blobs store
+ * @param {{ full: boolean, pages: Array<{ uri: string, lang: string|null }> }} change - Parsed hook payload
+ * @returns {Promise<void>}
+ */
+export async function markPagesDirty(store, { full = false, pages = [] }) {
+	const receivedAt = new Date().toISOString();
+
+	if (full) {
+		await store.setJSON(FULL_SYNC_KEY, { receivedAt });
+		return;
+	}
+
+	await Promise.all(
+		pages.map(({ uri, lang }) =>
+			store.setJSON(`${PAGE_KEY_PREFIX}${lang || DEFAULT_LANG_KEY}/${uri}`, {
+				uri,
+				lang,
+				receivedAt,
+			})
+		)
+	);
+}
+
+/**
+ * Read all pending dirty entries
+ *
+ * @param {Object} store - Netlify Blobs store
+ * @returns {Promise<{ full: boolean, pages: Array<{ key: string, uri: string, lang: string|null, receivedAt: string }>, entries: Array<{ key: string, receivedAt: string }> }>}
+ */
+export async function readDirtyPages(store) {
+	const fullSync = await store.get(FULL_SYNC_KEY, { type: 'json' });
+	const { blobs } = await store.list({ prefix: PAGE_KEY_PREFIX });
+
+	const pages = [];
+	for (const { key } of blobs) {
+		const entry = await store.get(key, { type: 'json' });
+		if (entry?.uri) pages.push({ key, ...entry });
+	}
+
+	const entries = pages.map(({ key, receivedAt }) => ({ key, receivedAt }));
+	if (fullSync) {
+		entries.push({ key: FULL_SYNC_KEY, receivedAt: fullSync.receivedAt });
+	}
+
+	return { full: Boolean(fullSync), pages, entries };
+}
+
+/**
+ * Remove dirty entries once they were synced
+ *
+ * Entries reported again after they were read (newer `receivedAt`) are kept
+ * for the next build.
+ *
+ * @param {Object} store - Netlify Blobs store
+ * @param {Array<{ key: string, receivedAt: string }>} entries - Entries returned by `readDirtyPages`
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function clearDirtyPages(store, entries) {
+	let removed = 0;
+
+	for (const { key, receivedAt } of entries) {
+		const current = await store.get(key, { type: 'json' });
+		if (current && current.receivedAt !== receivedAt) continue;
+		await store.delete(key);
+		removed++;
+	}
+
+	return removed;
+}
+
+/**
+ * Open the dirty pages store from a build
+ *
+ * `@netlify/blobs` is only configured on Netlify, so local builds and
+ * environments without Blobs return null and sync as usual.
+ *
+ * @returns {Promise<Object|null>} Netlify Blobs store or null
+ */
+export async function openDirtyPagesStore() {
+	try {
+		const { getStore } = await import('@netlify/blobs');
+		return getStore(DIRTY_PAGES_STORE);
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Group dirty pages by language code
+ *
+ * @param {Array<{ uri: string, lang: string|null }>} pages - Dirty pages
+ * @param {string} defaultLanguage - Code pages without a language belong to
+ * @returns {Map<string, Set<string>>} Dirty URIs keyed by language code
+ */
+export function groupDirtyPages(pages, defaultLanguage) {
+	const byLanguage = new Map();
+
+	for (const { uri, lang } of pages) {
+		const code = lang || defaultLanguage;
+		if (!byLanguage.has(code)) byLanguage.set(code, new Set());
+		byLanguage.get(code).add(uri);
+	}
+
+	return byLanguage;
+}
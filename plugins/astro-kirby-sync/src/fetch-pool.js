@@ -0,0 +1,179 @@
+/**
+ * Fetch Pool
+ *
+ * Bounded-concurrency worker pool for content sync requests with
+ * per-host rate limiting and aggregated progress reporting.
+ */
+
+import chalk from 'chalk';
+
+/**
+ * Sleep for the given number of milliseconds
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a per-host rate limiter that spaces requests evenly
+ *
+ * @param {number} requestsPerSecond - Allowed requests per second per host (0 disables limiting)
+ * @returns {(url: string) => Promise<void>} Function that resolves once a request slot is free
+ */
+export function createHostRateLimiter(requestsPerSecond = 0) {
+	const minInterval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+	const nextSlotByHost = new Map();
+
+	return async function waitForSlot(url) {
+		if (!minInterval) return;
+
+		const host = new URL(url).host;
+		const now = Date.now();
+		const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+		nextSlotByHost.set(host, slot + minInterval);
+
+		if (slot > now) {
+			await sleep(slot - now);
+		}
+	};
+}
+
+/**
+ * Create a worker pool shared by all languages of a sync run
+ *
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum number of tasks in flight
+ * @param {number} options.requestsPerSecond - Per-host rate limit (0 disables limiting)
+ * @param {Object} options.logger - Logger instance
+ * @returns {Object} Pool with run(), throttle(), recordRetry(), recordFailure() and summary()
+ */
+export function createFetchPool({
+	concurrency = 6,
+	requestsPerSecond = 0,
+	logger = console,
+} = {}) {
+	const boundedConcurrency = Math.max(1, concurrency);
+	const waitForSlot = createHostRateLimiter(requestsPerSecond);
+	const stats = {
+		requests: 0,
+		completed: 0,
+		failed: 0,
+		retries: 0,
+	};
+	const retriesByUrl = new Map();
+	const failures = [];
+
+	/**
+	 * Wait for a free rate-limit slot before sending a request to `url`
+	 *
+	 * @param {string} url - Request URL
+	 * @returns {Promise<void>}
+	 */
+	async function throttle(url) {
+		stats.requests++;
+		await waitForSlot(url);
+	}
+
+	/**
+	 * Process items with bounded concurrency, logging progress in 25% steps.
+	 * Stops scheduling new items after the first failure and rethrows it once
+	 * all in-flight tasks have settled.
+	 *
+	 * @param {Array} items - Items to process
+	 * @param {(item: any, index: number) => Promise<any>} worker - Task for a single item
+	 * @param {Object} runOptions - Options for this batch
+	 * @param {string} runOptions.label - Label used in progress output
+	 * @returns {Promise<Array>} Results in item order
+	 */
+	async function run(items, worker, { label = 'files' } = {}) {
+		const results = new Array(items.length);
+		const total = items.length;
+		let index = 0;
+		let done = 0;
+		let nextReport = 0.25;
+		let firstError = null;
+
+		const workers = Array.from(
+			{ length: Math.min(boundedConcurrency, total) },
+			async () => {
+				while (index < total && !firstError) {
+					const currentIndex = index++;
+
+					try {
+						results[currentIndex] = await worker(
+							items[currentIndex],
+							currentIndex
+						);
+						stats.completed++;
+					} catch (error) {
+						stats.failed++;
+						firstError = firstError || error;
+						return;
+					}
+
+					done++;
+					if (total > boundedConcurrency && done / total >= nextReport) {
+						logger.info(
+							chalk.gray(
+								`  ↳ Progress: ${done}/${total} ${label} (${Math.round(
+									(done / total) * 100
+								)}%)`
+							)
+						);
+						while (done / total >= nextReport) nextReport += 0.25;
+					}
+				}
+			}
+		);
+
+		await Promise.all(workers);
+
+		if (firstError) {
+			throw firstError;
+		}
+
+		return results;
+	}
+
+	return {
+		run,
+		throttle,
+
+		/**
+		 * Count a retried request towards the aggregated statistics
+		 *
+		 * @param {string} url - URL of the retried request
+		 */
+		recordRetry(url) {
+			stats.retries++;
+			if (url) retriesByUrl.set(url, (retriesByUrl.get(url) || 0) + 1);
+		},
+
+		/**
+		 * Record a request that failed after all retries
+		 *
+		 * @param {string} url - Request URL
+		 * @param {Error} error - Final error
+		 */
+		recordFailure(url, error) {
+			failures.push({ url, message: error.message });
+		},
+
+		/**
+		 * Get aggregated statistics for everything processed by this pool
+		 *
+		 * @returns {{requests: number, completed: number, failed: number, retries: number, concurrency: number, retriesByUrl: Object<string, number>, failures: Array<{url: string, message: string}>}}
+		 */
+		summary() {
+			return {
+				...stats,
+				concurrency: boundedConcurrency,
+				retriesByUrl: Object.fromEntries(retriesByUrl),
+				failures: [...failures],
+			};
+		},
+	};
+}
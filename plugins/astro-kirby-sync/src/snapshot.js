@@ -0,0 +1,597 @@
+/**
+ * Content Snapshots
+ *
+ * Packages synced content, media, fonts and the related cache state into a
+ * single versioned archive (gzipped tar), restores it into a working tree
+ * and compares two snapshots page by page.
+ *
+ * Files are streamed into and out of the archive one at a time, so large
+ * media libraries never have to fit into memory. The archive starts with a
+ * `snapshot.json` manifest, followed by the `content/`, `media/` and
+ * `fonts/` directories.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream';
+import { createGunzip, createGzip, gunzipSync, constants } from 'zlib';
+import tar from 'tar-stream';
+import { createStagingArea, verifyStagedContent } from './staging.js';
+
+export const SNAPSHOT_FORMAT = 'baukasten-content-snapshot';
+export const SNAPSHOT_VERSION = 2;
+
+// Name of the manifest entry, always the first entry of an archive
+const MANIFEST_NAME = 'snapshot.json';
+
+// Directories packaged into a snapshot, relative to the project root
+const SNAPSHOT_DIRECTORIES = {
+	content: 'public/content',
+	media: 'public/media',
+	fonts: 'public/fonts',
+};
+
+// Cache state files packaged into a snapshot, relative to the project root
+const SNAPSHOT_STATE_FILES = {
+	syncState: '.astro/kirby-sync-state.json',
+	hybridImagesManifest: '.netlify/hybrid-images-manifest.json',
+	fontCacheState: '.astro/font-cache-state.json',
+};
+
+/**
+ * List all files below a directory
+ *
+ * @param {string} dir - Directory to list
+ * @returns {string[]} Sorted POSIX paths relative to the directory
+ */
+function listDirectoryFiles(dir) {
+	const files = [];
+
+	function walk(currentDir) {
+		for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+			const fullPath = path.join(currentDir, entry.name);
+			if (entry.isDirectory()) {
+				walk(fullPath);
+			} else if (entry.isFile()) {
+				files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+			}
+		}
+	}
+
+	if (fs.existsSync(dir)) walk(dir);
+	return files.sort();
+}
+
+/**
+ * Resolve a relative path of an archive entry inside a directory
+ *
+ * @param {string} dir - Target directory
+ * @param {string} relativePath - POSIX path relative to the directory
+ * @returns {string} Absolute file path
+ * @throws {Error} If the path would leave the directory
+ */
+function resolveEntryPath(dir, relativePath) {
+	const filePath = path.resolve(dir, ...relativePath.split('/'));
+	if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+		throw new Error(`Snapshot contains an invalid path: ${relativePath}`);
+	}
+	return filePath;
+}
+
+/**
+ * Read a content file of a snapshot
+ *
+ * @param {string} filePath - File path
+ * @returns {*} Parsed JSON or the raw string if it isn't JSON
+ */
+function readContentFile(filePath) {
+	const text = fs.readFileSync(filePath, 'utf8');
+	try {
+		return JSON.parse(text);
+	} catch {
+		return text;
+	}
+}
+
+/**
+ * Hash a file in chunks, so large media files are never read at once
+ *
+ * @param {string} filePath - File path
+ * @returns {string} Hex SHA-1 of the file content
+ */
+function hashFile(filePath) {
+	const hash = crypto.createHash('sha1');
+	const buffer = Buffer.alloc(64 * 1024);
+	const fd = fs.openSync(filePath, 'r');
+	try {
+		let bytesRead;
+		while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length)) > 0) {
+			hash.update(buffer.subarray(0, bytesRead));
+		}
+	} finally {
+		fs.closeSync(fd);
+	}
+	return hash.digest('hex');
+}
+
+/**
+ * Language codes of a content directory, from its global.json
+ *
+ * @param {string} contentDir - Content directory
+ * @returns {string[]} Default language and translation codes
+ */
+function readLanguages(contentDir) {
+	const globalPath = path.join(contentDir, 'global.json');
+	const global = fs.existsSync(globalPath) ? readContentFile(globalPath) : null;
+	if (!global?.defaultLang?.code) return [];
+
+	return [
+		...new Set([
+			global.defaultLang.code,
+			...(global.translations || []).map((lang) => lang.code),
+		]),
+	];
+}
+
+/**
+ * Create a temporary directory for an extracted snapshot
+ *
+ * @returns {{ dir: string, cleanup: () => void }}
+ */
+function createExtractDir() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kirby-snapshot-'));
+	return {
+		dir,
+		cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+	};
+}
+
+/**
+ * Create a snapshot of the working tree
+ *
+ * Only the manifest is held in memory; files stay on disk until the
+ * snapshot is written.
+ *
+ * @param {Object} options - Snapshot options
+ * @param {string} options.root - Project root (default: current directory)
+ * @param {string} options.kirbyUrl - CMS the content was synced from
+ * @returns {Object} Snapshot with the manifest fields and the source directories
+ */
+export function createSnapshot({ root = process.cwd(), kirbyUrl = null } = {}) {
+	const contentDir = path.join(root, SNAPSHOT_DIRECTORIES.content);
+	if (!fs.existsSync(path.join(contentDir, 'global.json'))) {
+		throw new Error(
+			`No synced content found in ${contentDir}. Run a sync first or pass --sync.`
+		);
+	}
+
+	const directories = {};
+	const files = {};
+	for (const [name, relativeDir] of Object.entries(SNAPSHOT_DIRECTORIES)) {
+		directories[name] = path.join(root, relativeDir);
+		files[name] = listDirectoryFiles(directories[name]);
+	}
+
+	const state = {};
+	for (const [name, relativePath] of Object.entries(SNAPSHOT_STATE_FILES)) {
+		const filePath = path.join(root, relativePath);
+		if (fs.existsSync(filePath)) {
+			state[name] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		}
+	}
+
+	return {
+		format: SNAPSHOT_FORMAT,
+		version: SNAPSHOT_VERSION,
+		createdAt: new Date().toISOString(),
+		kirbyUrl,
+		lastSync: state.syncState?.lastSync || null,
+		files,
+		state,
+		directories,
+		cleanup: () => {},
+	};
+}
+
+/**
+ * Stream a file into the next archive entry
+ *
+ * @param {Object} pack - tar-stream pack stream
+ * @param {string} name - Entry name
+ * @param {string} filePath - Source file
+ * @returns {Promise<void>}
+ */
+function packFile(pack, name, filePath) {
+	return new Promise((resolve, reject) => {
+		const { size, mtime } = fs.statSync(filePath);
+		const entry = pack.entry({ name, size, mtime }, (error) =>
+			error ? reject(error) : resolve()
+		);
+		fs.createReadStream(filePath).on('error', reject).pipe(entry);
+	});
+}
+
+/**
+ * Write a snapshot to a gzipped tar archive
+ *
+ * @param {Object} snapshot - Snapshot from `createSnapshot`
+ * @param {string} archivePath - Archive file path
+ * @returns {Promise<number>} Archive size in bytes
+ */
+export async function writeSnapshot(snapshot, archivePath) {
+	const { directories, cleanup: _cleanup, ...manifest } = snapshot;
+	fs.mkdirSync(path.dirname(path.resolve(archivePath)), { recursive: true });
+
+	const pack = tar.pack();
+	const written = new Promise((resolve, reject) => {
+		pipeline(pack, createGzip(), fs.createWriteStream(archivePath), (error) =>
+			error ? reject(error) : resolve()
+		);
+	});
+
+	try {
+		pack.entry({ name: MANIFEST_NAME }, JSON.stringify(manifest, null, 2));
+		for (const [name, files] of Object.entries(snapshot.files)) {
+			for (const file of files) {
+				await packFile(
+					pack,
+					`${name}/${file}`,
+					path.join(directories[name], ...file.split('/'))
+				);
+			}
+		}
+		pack.finalize();
+	} catch (error) {
+		pack.destroy(error);
+	}
+
+	try {
+		await written;
+	} catch (error) {
+		fs.rmSync(archivePath, { force: true });
+		throw error;
+	}
+	return fs.statSync(archivePath).size;
+}
+
+/**
+ * Check the manifest of an archive
+ *
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} archivePath - Archive file path (for messages)
+ * @throws {Error} If the manifest is not a supported snapshot
+ */
+function checkManifest(manifest, archivePath) {
+	if (manifest?.format !== SNAPSHOT_FORMAT) {
+		throw new Error(`${archivePath} is not a content snapshot`);
+	}
+	if (manifest.version > SNAPSHOT_VERSION) {
+		throw new Error(
+			`${archivePath} uses snapshot version ${manifest.version}, this CLI supports up to ${SNAPSHOT_VERSION}`
+		);
+	}
+}
+
+/**
+ * Check whether an archive is a version 1 snapshot (gzipped JSON with
+ * base64 file contents) by decompressing only its first bytes
+ *
+ * @param {string} archivePath - Archive file path
+ * @returns {boolean} True for version 1 archives
+ */
+function isJsonArchive(archivePath) {
+	const buffer = Buffer.alloc(1024);
+	const fd = fs.openSync(archivePath, 'r');
+	let bytesRead;
+	try {
+		bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+	} finally {
+		fs.closeSync(fd);
+	}
+
+	const start = gunzipSync(buffer.subarray(0, bytesRead), {
+		finishFlush: constants.Z_SYNC_FLUSH,
+	});
+	return start.toString('utf8').trimStart().startsWith('{');
+}
+
+/**
+ * Extract a version 1 snapshot (gzipped JSON) into a directory
+ *
+ * @param {string} archivePath - Archive file path
+ * @param {string} dir - Target directory
+ * @returns {Object} Manifest fields of the snapshot
+ */
+function extractJsonArchive(archivePath, dir) {
+	const { directories, ...manifest } = JSON.parse(
+		gunzipSync(fs.readFileSync(archivePath))
+	);
+	checkManifest(manifest, archivePath);
+
+	manifest.files = {};
+	for (const [name, files] of Object.entries(directories || {})) {
+		if (!(name in SNAPSHOT_DIRECTORIES)) continue;
+		manifest.files[name] = Object.keys(files).sort();
+		for (const [relativePath, data] of Object.entries(files)) {
+			const filePath = resolveEntryPath(path.join(dir, name), relativePath);
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(filePath, Buffer.from(data, 'base64'));
+		}
+	}
+
+	return manifest;
+}
+
+/**
+ * Extract a tar archive into a directory, streaming one entry at a time
+ *
+ * @param {string} archivePath - Archive file path
+ * @param {string} dir - Target directory
+ * @returns {Promise<Object>} Manifest of the snapshot
+ */
+async function extractTarArchive(archivePath, dir) {
+	const extract = tar.extract();
+	pipeline(
+		fs.createReadStream(archivePath),
+		createGunzip(),
+		extract,
+		(error) => {
+			if (error) extract.destroy(error);
+		}
+	);
+
+	let manifest = null;
+	for await (const entry of extract) {
+		const { name, type } = entry.header;
+
+		if (!manifest) {
+			if (name !== MANIFEST_NAME) {
+				throw new Error(`${archivePath} is not a content snapshot`);
+			}
+			const chunks = [];
+			for await (const chunk of entry) chunks.push(chunk);
+			manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+			checkManifest(manifest, archivePath);
+			continue;
+		}
+
+		const [directory, ...rest] = name.split('/');
+		if (type !== 'file' || !(directory in SNAPSHOT_DIRECTORIES)) {
+			entry.resume();
+			continue;
+		}
+
+		const filePath = resolveEntryPath(
+			path.join(dir, directory),
+			rest.join('/')
+		);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		await new Promise((resolve, reject) => {
+			pipeline(entry, fs.createWriteStream(filePath), (error) =>
+				error ? reject(error) : resolve()
+			);
+		});
+	}
+
+	if (!manifest) {
+		throw new Error(`${archivePath} is not a content snapshot`);
+	}
+	return manifest;
+}
+
+/**
+ * Read a snapshot archive
+ *
+ * The files are extracted into a temporary directory; call `cleanup()` on
+ * the returned snapshot when done. Version 1 archives (gzipped JSON) are
+ * still supported.
+ *
+ * @param {string} archivePath - Archive file path
+ * @returns {Promise<Object>} Snapshot with the manifest fields, the extracted directories and `cleanup`
+ * @throws {Error} If the file is not a supported snapshot
+ */
+export async function readSnapshot(archivePath) {
+	if (!fs.existsSync(archivePath)) {
+		throw new Error(`Snapshot not found: ${archivePath}`);
+	}
+
+	const { dir, cleanup } = createExtractDir();
+	let manifest;
+	try {
+		manifest = isJsonArchive(archivePath)
+			? extractJsonArchive(archivePath, dir)
+			: await extractTarArchive(archivePath, dir);
+	} catch (error) {
+		cleanup();
+		if (error.message.includes(archivePath)) throw error;
+		throw new Error(`Unreadable snapshot ${archivePath}: ${error.message}`);
+	}
+
+	const directories = {};
+	for (const name of Object.keys(SNAPSHOT_DIRECTORIES)) {
+		directories[name] = path.join(dir, name);
+	}
+
+	return {
+		...manifest,
+		files: { content: [], media: [], fonts: [], ...manifest.files },
+		state: manifest.state || {},
+		directories,
+		cleanup,
+	};
+}
+
+/**
+ * Read a content directory as a snapshot, so it can be compared with archives
+ *
+ * @param {string} contentDir - Content directory (e.g. public/content)
+ * @returns {Object} Snapshot containing only content
+ */
+export function readContentDirectory(contentDir) {
+	if (!fs.existsSync(path.join(contentDir, 'global.json'))) {
+		throw new Error(`No synced content found in ${contentDir}`);
+	}
+
+	return {
+		format: SNAPSHOT_FORMAT,
+		version: SNAPSHOT_VERSION,
+		files: { content: listDirectoryFiles(contentDir) },
+		state: {},
+		directories: { content: contentDir },
+		cleanup: () => {},
+	};
+}
+
+/**
+ * Restore a snapshot into a working tree
+ *
+ * Content is staged, verified and swapped in atomically; media, fonts and
+ * cache state files are replaced afterwards.
+ *
+ * @param {Object} snapshot - Snapshot from `readSnapshot`
+ * @param {Object} options - Restore options
+ * @param {string} options.root - Project root (default: current directory)
+ * @returns {Object<string, number>} Number of restored files per directory
+ */
+export function restoreSnapshot(snapshot, { root = process.cwd() } = {}) {
+	const languages = readLanguages(snapshot.directories.content);
+	if (languages.length === 0) {
+		throw new Error('Snapshot contains no valid global.json');
+	}
+
+	const contentDir = path.join(root, SNAPSHOT_DIRECTORIES.content);
+	const staging = createStagingArea(contentDir);
+	try {
+		fs.cpSync(snapshot.directories.content, staging.dir, { recursive: true });
+		verifyStagedContent(staging.dir, languages);
+		staging.commit();
+	} catch (error) {
+		staging.discard();
+		throw error;
+	}
+
+	const restored = { content: snapshot.files.content.length };
+
+	for (const [name, relativeDir] of Object.entries(SNAPSHOT_DIRECTORIES)) {
+		if (name === 'content') continue;
+		const dir = path.join(root, relativeDir);
+		fs.rmSync(dir, { recursive: true, force: true });
+		if (fs.existsSync(snapshot.directories[name])) {
+			fs.cpSync(snapshot.directories[name], dir, { recursive: true });
+		}
+		restored[name] = snapshot.files[name]?.length || 0;
+	}
+
+	for (const [name, relativePath] of Object.entries(SNAPSHOT_STATE_FILES)) {
+		const filePath = path.join(root, relativePath);
+		if (snapshot.state[name]) {
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(filePath, JSON.stringify(snapshot.state[name], null, 2));
+		} else {
+			fs.rmSync(filePath, { force: true });
+		}
+	}
+
+	return restored;
+}
+
+/**
+ * Compare two snapshots page by page
+ *
+ * Content files are grouped by language directory ('' for the root), using
+ * the language codes from each snapshot's global.json, and changed pages
+ * list the top-level fields that differ. Media and fonts are compared by
+ * file hash.
+ *
+ * @param {Object} before - Snapshot to compare from
+ * @param {Object} after - Snapshot to compare to
+ * @returns {{ content: Object, files: Object, identical: boolean }}
+ */
+export function diffSnapshots(before, after) {
+	const content = {};
+	const beforeDir = before.directories.content;
+	const afterDir = after.directories.content;
+	const beforeContent = new Set(before.files.content || []);
+	const afterContent = new Set(after.files.content || []);
+	const allFiles = new Set([...beforeContent, ...afterContent]);
+	const languages = new Set([
+		...readLanguages(beforeDir),
+		...readLanguages(afterDir),
+	]);
+
+	const languageOf = (file) => {
+		const [first] = file.split('/');
+		return file.includes('/') && languages.has(first) ? first : '';
+	};
+	const entryFor = (lang) => {
+		content[lang] = content[lang] || { added: [], removed: [], changed: [] };
+		return content[lang];
+	};
+	const contentPath = (dir, file) => path.join(dir, ...file.split('/'));
+
+	for (const file of [...allFiles].sort()) {
+		const page = file.replace(/\.json$/, '');
+		const lang = languageOf(file);
+		const pageName = lang ? page.slice(lang.length + 1) : page;
+
+		if (!beforeContent.has(file)) {
+			entryFor(lang).added.push(pageName);
+		} else if (!afterContent.has(file)) {
+			entryFor(lang).removed.push(pageName);
+		} else {
+			const beforePath = contentPath(beforeDir, file);
+			const afterPath = contentPath(afterDir, file);
+			if (fs.readFileSync(beforePath).equals(fs.readFileSync(afterPath))) {
+				continue;
+			}
+
+			const oldData = readContentFile(beforePath);
+			const newData = readContentFile(afterPath);
+			const isObject = (value) =>
+				value && typeof value === 'object' && !Array.isArray(value);
+			const fields =
+				isObject(oldData) && isObject(newData)
+					? [...new Set([...Object.keys(oldData), ...Object.keys(newData)])]
+							.filter(
+								(key) =>
+									JSON.stringify(oldData[key]) !== JSON.stringify(newData[key])
+							)
+							.sort()
+					: [];
+			entryFor(lang).changed.push({ page: pageName, fields });
+		}
+	}
+
+	const files = {};
+	for (const name of Object.keys(SNAPSHOT_DIRECTORIES)) {
+		if (name === 'content') continue;
+		const oldFiles = before.files[name];
+		const newFiles = after.files[name];
+		// Content directories read from disk have no media or fonts to compare
+		if (!oldFiles || !newFiles) continue;
+
+		const oldSet = new Set(oldFiles);
+		const newSet = new Set(newFiles);
+		files[name] = { added: [], removed: [], changed: [] };
+		for (const file of [...new Set([...oldFiles, ...newFiles])].sort()) {
+			if (!oldSet.has(file)) files[name].added.push(file);
+			else if (!newSet.has(file)) files[name].removed.push(file);
+			else if (
+				hashFile(contentPath(before.directories[name], file)) !==
+				hashFile(contentPath(after.directories[name], file))
+			) {
+				files[name].changed.push(file);
+			}
+		}
+	}
+
+	const hasChanges = (entry) =>
+		entry.added.length + entry.removed.length + entry.changed.length > 0;
+	const identical =
+		!Object.values(content).some(hasChanges) &&
+		!Object.values(files).some(hasChanges);
+
+	return { content, files, identical };
+}
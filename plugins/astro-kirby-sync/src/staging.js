@@ -0,0 +1,164 @@
+/**
+ * Staging Area
+ *
+ * Content is synced into a staging directory, verified, and only then
+ * swapped into `public/content`. If anything fails before the swap, the
+ * previous snapshot stays untouched.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Move a directory, falling back to copy + remove across devices
+ *
+ * @param {string} from - Source directory
+ * @param {string} to - Target directory (must not exist)
+ */
+function moveDirectory(from, to) {
+	try {
+		fs.renameSync(from, to);
+	} catch (error) {
+		if (error.code !== 'EXDEV') throw error;
+		fs.cpSync(from, to, { recursive: true });
+		fs.rmSync(from, { recursive: true, force: true });
+	}
+}
+
+/**
+ * Create a fresh staging directory for a sync run
+ *
+ * @param {string} contentDir - Live content directory (e.g. public/content)
+ * @param {Object} options - Staging options
+ * @param {boolean} options.seed - Copy the current content into staging first (incremental sync)
+ * @returns {{ dir: string, commit: () => void, discard: () => void }}
+ */
+export function createStagingArea(contentDir, { seed = false } = {}) {
+	const workDir = path.resolve('./.astro');
+	const stagingDir = path.join(workDir, 'kirby-content-staging');
+	const backupDir = path.join(workDir, 'kirby-content-previous');
+
+	// Leftovers from an interrupted sync are never reused
+	fs.rmSync(stagingDir, { recursive: true, force: true });
+
+	if (seed && fs.existsSync(contentDir)) {
+		fs.cpSync(contentDir, stagingDir, { recursive: true });
+	} else {
+		fs.mkdirSync(stagingDir, { recursive: true });
+	}
+
+	return {
+		dir: stagingDir,
+
+		/**
+		 * Swap the staged content into place, restoring the previous
+		 * snapshot if the swap itself fails
+		 */
+		commit() {
+			fs.rmSync(backupDir, { recursive: true, force: true });
+
+			const hadPrevious = fs.existsSync(contentDir);
+			if (hadPrevious) {
+				moveDirectory(contentDir, backupDir);
+			}
+
+			try {
+				fs.mkdirSync(path.dirname(contentDir), { recursive: true });
+				moveDirectory(stagingDir, contentDir);
+			} catch (error) {
+				if (hadPrevious) {
+					fs.rmSync(contentDir, { recursive: true, force: true });
+					moveDirectory(backupDir, contentDir);
+				}
+				throw error;
+			}
+
+			fs.rmSync(backupDir, { recursive: true, force: true });
+		},
+
+		/**
+		 * Throw away the staged content, leaving the live content untouched
+		 */
+		discard() {
+			fs.rmSync(stagingDir, { recursive: true, force: true });
+		},
+	};
+}
+
+/**
+ * Verify that staged content is complete before it replaces the live content
+ *
+ * Checks that global.json and index.json exist and parse for the root and
+ * every language directory, and that every page listed in an index as well
+ * as every system page has a matching JSON file.
+ *
+ * @param {string} stagingDir - Staging directory
+ * @param {string[]} languages - Language codes synced into their own directories
+ * @param {Object} options - Verification options
+ * @param {string[]} options.systemPages - Page URIs required for every language
+ * @returns {{ files: number }} Number of verified files
+ * @throws {Error} Listing every problem found
+ */
+export function verifyStagedContent(
+	stagingDir,
+	languages,
+	{ systemPages = [] } = {}
+) {
+	const problems = [];
+	let files = 0;
+
+	const readJson = (relativePath) => {
+		const filePath = path.join(stagingDir, relativePath);
+		if (!fs.existsSync(filePath)) {
+			problems.push(`Missing ${relativePath}`);
+			return null;
+		}
+		try {
+			files++;
+			return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		} catch (error) {
+			problems.push(`Unreadable ${relativePath}: ${error.message}`);
+			return null;
+		}
+	};
+
+	for (const lang of ['', ...languages]) {
+		const global = readJson(path.join(lang, 'global.json'));
+		if (global && !global.defaultLang?.code) {
+			problems.push(`${path.join(lang, 'global.json')} has no defaultLang`);
+		}
+
+		const index = readJson(path.join(lang, 'index.json'));
+		if (!index) continue;
+		if (!Array.isArray(index)) {
+			problems.push(`${path.join(lang, 'index.json')} is not a page list`);
+			continue;
+		}
+
+		const indexedUris = new Set(index.map((page) => page?.uri));
+		const systemEntries = systemPages
+			.filter((uri) => !indexedUris.has(uri))
+			.map((uri) => ({ uri }));
+
+		for (const page of [...index, ...systemEntries]) {
+			const pagePath = path.join(lang, `${page.uri}.json`);
+			if (fs.existsSync(path.join(stagingDir, pagePath))) {
+				files++;
+			} else {
+				problems.push(`Missing ${pagePath}`);
+			}
+		}
+	}
+
+	if (problems.length > 0) {
+		const listed = problems.slice(0, 20);
+		const more = problems.length - listed.length;
+		throw new Error(
+			`Staged content is incomplete:\n  - ${listed.join('\n  - ')}${
+				more > 0 ? `\n  - …and ${more} more` : ''
+			}`
+		);
+	}
+
+	return { files };
+}
@@ -0,0 +1,275 @@
+/**
+ * Sync Report
+ *
+ * Machine-readable summary of a sync run (files added, updated, removed and
+ * unchanged per language, timings, retries and failures), written to
+ * `.netlify/kirby-sync-report.json` so deploy summaries and tooling can use
+ * it without parsing log output.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SYNC_REPORT_VERSION = 1;
+
+// Key of files synced into the content root (default language without prefix)
+const ROOT_KEY = 'root';
+
+/**
+ * Get the path of the sync report
+ *
+ * @returns {string} Absolute report path
+ */
+export function getSyncReportPath() {
+	return path.resolve('./.netlify/kirby-sync-report.json');
+}
+
+/**
+ * Read all JSON files below a directory
+ *
+ * @param {string} dir - Directory to read
+ * @returns {Map<string, Buffer>} File contents keyed by POSIX relative path
+ */
+function readJsonFiles(dir) {
+	const files = new Map();
+
+	function walk(currentDir) {
+		for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+			const fullPath = path.join(currentDir, entry.name);
+			if (entry.isDirectory()) {
+				walk(fullPath);
+			} else if (entry.isFile() && entry.name.endsWith('.json')) {
+				const relativePath = path
+					.relative(dir, fullPath)
+					.split(path.sep)
+					.join('/');
+				files.set(relativePath, fs.readFileSync(fullPath));
+			}
+		}
+	}
+
+	if (fs.existsSync(dir)) walk(dir);
+	return files;
+}
+
+/**
+ * Compare staged content with the live content, file by file
+ *
+ * Files in a language directory are grouped under the language code, all
+ * other files under 'root'.
+ *
+ * @param {string} liveDir - Live content directory (e.g. public/content)
+ * @param {string} stagingDir - Staged content about to be swapped in
+ * @param {string[]} languages - Language codes synced into their own directories
+ * @returns {Object<string, { added: string[], updated: string[], removed: string[], unchanged: string[] }>}
+ */
+export function compareContent(liveDir, stagingDir, languages) {
+	const liveFiles = readJsonFiles(liveDir);
+	const stagedFiles = readJsonFiles(stagingDir);
+	const languageDirs = new Set(languages);
+	const changes = {};
+
+	const entryFor = (file) => {
+		const [first, ...rest] = file.split('/');
+		const key = rest.length > 0 && languageDirs.has(first) ? first : ROOT_KEY;
+		changes[key] = changes[key] || {
+			added: [],
+			updated: [],
+			removed: [],
+			unchanged: [],
+		};
+		return {
+			entry: changes[key],
+			name: key === ROOT_KEY ? file : rest.join('/'),
+		};
+	};
+
+	const allFiles = new Set([...liveFiles.keys(), ...stagedFiles.keys()]);
+	for (const file of [...allFiles].sort()) {
+		const { entry, name } = entryFor(file);
+		if (!liveFiles.has(file)) {
+			entry.added.push(name);
+		} else if (!stagedFiles.has(file)) {
+			entry.removed.push(name);
+		} else if (liveFiles.get(file).equals(stagedFiles.get(file))) {
+			entry.unchanged.push(name);
+		} else {
+			entry.updated.push(name);
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Create a report collecting the results of a sync run
+ *
+ * @param {'full'|'incremental'|'partial'} mode - Kind of sync
+ * @param {Object} options - Report options
+ * @param {{ from: string, reason: string }|null} options.fallback - Sync this one replaced and why
+ * @param {boolean} options.dryRun - Changes were only listed, not applied
+ * @returns {Object} Report with recordLanguage(), recordChanges(), recordValidation(), finish() and data
+ */
+export function createSyncReport(
+	mode,
+	{ fallback = null, dryRun = false } = {}
+) {
+	const start = performance.now();
+	const data = {
+		version: SYNC_REPORT_VERSION,
+		mode,
+		dryRun,
+		status: 'running',
+		startedAt: new Date().toISOString(),
+		finishedAt: null,
+		durationMs: null,
+		fallback,
+		languages: {},
+		totals: { added: 0, updated: 0, removed: 0, unchanged: 0 },
+		validationProblems: 0,
+		requests: null,
+		failures: [],
+		error: null,
+	};
+
+	const languageEntry = (key) => {
+		data.languages[key] = data.languages[key] || {
+			durationMs: null,
+			added: [],
+			updated: [],
+			removed: [],
+			unchanged: [],
+		};
+		return data.languages[key];
+	};
+
+	return {
+		data,
+
+		/**
+		 * Record how long syncing a language directory took
+		 *
+		 * @param {string|null} lang - Language code, or null for the content root
+		 * @param {number} durationMs - Duration in milliseconds
+		 */
+		recordLanguage(lang, durationMs) {
+			languageEntry(lang || ROOT_KEY).durationMs = Math.round(durationMs);
+		},
+
+		/**
+		 * Record file changes as returned by `compareContent`
+		 *
+		 * @param {Object} changes - Changes keyed by language
+		 */
+		recordChanges(changes) {
+			for (const [key, files] of Object.entries(changes)) {
+				Object.assign(languageEntry(key), files);
+				for (const status of Object.keys(data.totals)) {
+					data.totals[status] += files[status].length;
+				}
+			}
+		},
+
+		/**
+		 * Record the number of problems found by content validation
+		 *
+		 * @param {number} problems - Problems let through in 'warn' mode
+		 */
+		recordValidation(problems) {
+			data.validationProblems = problems;
+		},
+
+		/**
+		 * Complete the report
+		 *
+		 * @param {Object} pool - Fetch pool of the sync run
+		 * @param {Error|null} error - Error that failed the sync
+		 * @returns {Object} Report data
+		 */
+		finish(pool, error = null) {
+			const { retriesByUrl, failures, ...requests } = pool.summary();
+			data.status = error ? 'failed' : 'success';
+			data.finishedAt = new Date().toISOString();
+			data.durationMs = Math.round(performance.now() - start);
+			data.requests = { ...requests, retriesByUrl };
+			data.failures = failures;
+			data.error = error ? error.message : null;
+			return data;
+		},
+	};
+}
+
+/**
+ * Write a sync report to disk
+ *
+ * A report that can't be written is logged but never fails the sync.
+ *
+ * @param {Object} data - Report data
+ * @param {Object} logger - Logger instance
+ * @param {string} filePath - Report path (default: .netlify/kirby-sync-report.json)
+ * @returns {string|null} Path of the written report
+ */
+export function writeSyncReport(data, logger, filePath = getSyncReportPath()) {
+	try {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+		return filePath;
+	} catch (error) {
+		logger.warn(`Could not write sync report ${filePath}: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Read the sync report of the current build
+ *
+ * @param {string} filePath - Report path (default: .netlify/kirby-sync-report.json)
+ * @returns {Object|null} Report data or null if none was written
+ */
+export function readSyncReport(filePath = getSyncReportPath()) {
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Summarize a sync report for the Netlify deploy summary (`utils.status.show`)
+ *
+ * @param {Object} data - Report data
+ * @returns {{ title: string, summary: string, text: string }}
+ */
+export function formatSyncStatus(data) {
+	const { added, updated, removed, unchanged } = data.totals;
+	const seconds = ((data.durationMs || 0) / 1000).toFixed(1);
+	const requests = data.requests || { requests: 0, retries: 0 };
+
+	const title = `Kirby content sync: ${data.mode}${
+		data.dryRun ? ' (dry run)' : ''
+	}${data.status === 'failed' ? ' (failed)' : ''}`;
+	const summary =
+		data.status === 'failed'
+			? `Sync failed after ${seconds}s: ${data.error}`
+			: `${added} added, ${updated} updated, ${removed} removed, ${unchanged} unchanged in ${seconds}s`;
+
+	const lines = Object.entries(data.languages).map(
+		([key, files]) =>
+			`${key}: +${files.added.length} ~${files.updated.length} -${
+				files.removed.length
+			}${files.durationMs !== null ? ` (${files.durationMs}ms)` : ''}`
+	);
+	lines.push(
+		`Requests: ${requests.requests}, retries: ${requests.retries}, failures: ${data.failures.length}`
+	);
+	if (data.validationProblems > 0) {
+		lines.push(`Content validation problems: ${data.validationProblems}`);
+	}
+	if (data.fallback) {
+		lines.push(
+			`Fell back from ${data.fallback.from} sync: ${data.fallback.reason}`
+		);
+	}
+
+	return { title, summary, text: lines.join('\n') };
+}
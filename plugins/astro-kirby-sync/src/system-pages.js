@@ -0,0 +1,40 @@
+/**
+ * System Pages
+ *
+ * Pages the sync fetches for every language even if index.json doesn't list
+ * them (`systemPages` option). The site reads the same list, e.g. to leave
+ * these pages out of the sitemaps, so it is shared through
+ * `KIRBY_SYNC_SYSTEM_PAGES`: the Netlify Build Plugin exports its
+ * `systemPages` input there before the Astro build starts.
+ *
+ * Free of Node imports so it can also be bundled into the site.
+ */
+
+export const SYSTEM_PAGES_ENV = 'KIRBY_SYNC_SYSTEM_PAGES';
+
+export const DEFAULT_SYSTEM_PAGES = ['maintenance', 'error'];
+
+/**
+ * Parse a comma-separated list of page URIs
+ *
+ * @param {string} value - e.g. `maintenance, error`
+ * @returns {string[]} Page URIs
+ */
+export function parseSystemPages(value) {
+	return value
+		.split(',')
+		.map((uri) => uri.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Get the configured system pages, falling back to the defaults
+ *
+ * @param {Object<string, string | undefined>} [env] - Environment variables
+ * @returns {string[]} Page URIs
+ */
+export function getSystemPages(env = process.env) {
+	return env[SYSTEM_PAGES_ENV]
+		? parseSystemPages(env[SYSTEM_PAGES_ENV])
+		: DEFAULT_SYSTEM_PAGES;
+}
@@ -0,0 +1,78 @@
+/**
+ * Translations Map
+ *
+ * Precomputed links between the translations of every page, written to
+ * `translations-map.json` by the sync so the language picker can resolve
+ * alternate URLs with a lookup instead of scanning page lists:
+ *
+ * `{ "en": { "about": { "en": "about", "de": "ueber-uns" } }, "de": { … } }`
+ *
+ * Free of Node APIs so it can also run in the browser.
+ */
+
+export const TRANSLATIONS_MAP_FILE = 'translations-map.json';
+
+/**
+ * Build the translations map from the page indexes of all languages
+ *
+ * A link is taken from either side (`translations` of the page or of its
+ * counterpart) and only kept when both pages exist.
+ *
+ * @param {Object<string, Array<{ uri: string, translations?: Object<string, string> }>>} indexes - index.json pages keyed by language code
+ * @returns {Object<string, Object<string, Object<string, string>>>} URIs keyed by language, URI and target language
+ */
+export function buildTranslationsMap(indexes) {
+	const map = {};
+
+	for (const [lang, pages] of Object.entries(indexes)) {
+		map[lang] = {};
+		for (const page of pages) {
+			map[lang][page.uri] = { [lang]: page.uri };
+		}
+	}
+
+	const link = (fromLang, fromUri, toLang, toUri) => {
+		if (map[fromLang]?.[fromUri] && map[toLang]?.[toUri]) {
+			map[fromLang][fromUri][toLang] ??= toUri;
+		}
+	};
+
+	for (const [lang, pages] of Object.entries(indexes)) {
+		for (const page of pages) {
+			for (const [targetLang, targetUri] of Object.entries(
+				page.translations || {}
+			)) {
+				if (targetLang === lang) continue;
+				link(lang, page.uri, targetLang, targetUri);
+				link(targetLang, targetUri, lang, page.uri);
+			}
+		}
+	}
+
+	return map;
+}
+
+/**
+ * Look up the URI of a page in another language
+ *
+ * @param {Object} map - Translations map
+ * @param {string} lang - Language of the page
+ * @param {string} uri - URI of the page
+ * @param {string} targetLang - Language to look up
+ * @returns {string|null} URI in the target language or null if not translated
+ */
+export function lookupTranslation(map, lang, uri, targetLang) {
+	return map?.[lang]?.[uri]?.[targetLang] ?? null;
+}
+
+/**
+ * Get all translations of a page, including the page itself
+ *
+ * @param {Object} map - Translations map
+ * @param {string} lang - Language of the page
+ * @param {string} uri - URI of the page
+ * @returns {Object<string, string>} URIs keyed by language code (a copy, empty if unknown)
+ */
+export function lookupTranslations(map, lang, uri) {
+	return { ...map?.[lang]?.[uri] };
+}
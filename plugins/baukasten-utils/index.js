@@ -6,6 +6,8 @@
 
 export * from './src/logger.js';
 export * from './src/kirby.js';
+export * from './src/auth.js';
+export * from './src/kirby-client.js';
 export * from './src/file.js';
 export * from './src/config.js';
 export * from './src/validation.js';
@@ -0,0 +1,264 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+	KirbyApiError,
+	NOT_MODIFIED,
+	createKirbyClient,
+	getRetryDelay,
+} from '../kirby-client.js';
+
+const BASE_URL = 'https://cms.example.com';
+
+const jsonResponse = (data, { status = 200, headers = {} } = {}) =>
+	new Response(JSON.stringify(data), { status, headers });
+
+// Fetch that never answers on its own and rejects when aborted
+const hangingFetch = (_url, { signal }) =>
+	new Promise((_resolve, reject) => {
+		signal.addEventListener('abort', () => {
+			const error = new Error('The operation was aborted');
+			error.name = 'AbortError';
+			reject(error);
+		});
+	});
+
+const createClient = (options = {}) =>
+	createKirbyClient({
+		baseUrl: BASE_URL,
+		env: {},
+		retryDelay: 1,
+		maxRetryDelay: 1,
+		...options,
+	});
+
+let fetchMock;
+
+beforeEach(() => {
+	fetchMock = vi.fn();
+	vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+	vi.restoreAllMocks();
+});
+
+describe('getRetryDelay', () => {
+	test('doubles the delay per attempt up to the maximum', () => {
+		vi.spyOn(Math, 'random').mockReturnValue(1);
+		const options = { retryDelay: 500, maxRetryDelay: 3000 };
+
+		expect(
+			[1, 2, 3, 4].map((attempt) => getRetryDelay(attempt, options))
+		).toEqual([500, 1000, 2000, 3000]);
+	});
+
+	test('adds jitter between half and the full backoff', () => {
+		vi.spyOn(Math, 'random').mockReturnValue(0);
+
+		expect(getRetryDelay(2, { retryDelay: 500, maxRetryDelay: 8000 })).toBe(
+			500
+		);
+	});
+});
+
+describe('KirbyApiError', () => {
+	test.each([
+		[{ code: 'TIMEOUT' }, true],
+		[{ code: 'NETWORK_ERROR' }, true],
+		[{ status: 429 }, true],
+		[{ status: 503 }, true],
+		[{ status: 404 }, false],
+		[{ status: 200, code: 'INVALID_JSON' }, false],
+	])('%j is retryable: %s', (details, retryable) => {
+		expect(new KirbyApiError('failed', details).retryable).toBe(retryable);
+	});
+});
+
+describe('createKirbyClient', () => {
+	test('resolves endpoints against the base URL', async () => {
+		fetchMock.mockResolvedValue(jsonResponse({ ok: true }));
+
+		expect(await createClient().getJson('/de/global.json')).toEqual({
+			ok: true,
+		});
+		expect(fetchMock).toHaveBeenCalledWith(
+			`${BASE_URL}/de/global.json`,
+			expect.objectContaining({
+				headers: { Accept: 'application/json' },
+			})
+		);
+	});
+
+	test('fails with a config error without a base URL', () => {
+		const client = createKirbyClient({ env: {} });
+
+		expect(() => client.getJson('global.json')).toThrow(
+			expect.objectContaining({ code: 'CONFIG_ERROR' })
+		);
+	});
+
+	test('retries retryable failures and reports each retry', async () => {
+		const onRetry = vi.fn();
+		fetchMock
+			.mockRejectedValueOnce(new TypeError('fetch failed'))
+			.mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+			.mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+		const data = await createClient({ onRetry }).getJson('global.json');
+
+		expect(data).toEqual({ ok: true });
+		expect(fetchMock).toHaveBeenCalledTimes(3);
+		expect(
+			onRetry.mock.calls.map(([, attempt, error]) => [attempt, error.code])
+		).toEqual([
+			[1, 'NETWORK_ERROR'],
+			[2, 'HTTP_ERROR'],
+		]);
+	});
+
+	test('gives up after the maximum number of attempts', async () => {
+		fetchMock.mockImplementation(async () => jsonResponse({}, { status: 500 }));
+
+		const error = await createClient({ retries: 2 })
+			.getJson('global.json')
+			.catch((caught) => caught);
+
+		expect(error).toBeInstanceOf(KirbyApiError);
+		expect(error).toMatchObject({ status: 500, attempts: 2 });
+		expect(fetchMock).toHaveBeenCalledTimes(2);
+	});
+
+	test('does not retry client errors', async () => {
+		fetchMock.mockResolvedValue(jsonResponse({}, { status: 404 }));
+
+		await expect(createClient().getJson('missing.json')).rejects.toMatchObject({
+			status: 404,
+			code: 'HTTP_ERROR',
+			attempts: 1,
+		});
+		expect(fetchMock).toHaveBeenCalledTimes(1);
+	});
+
+	test('waits for Retry-After up to the maximum delay', async () => {
+		vi.useFakeTimers();
+		try {
+			fetchMock
+				.mockResolvedValueOnce(
+					jsonResponse({}, { status: 429, headers: { 'Retry-After': '2' } })
+				)
+				.mockResolvedValueOnce(jsonResponse({ ok: true }));
+			const client = createClient({ retryDelay: 10, maxRetryDelay: 5000 });
+
+			const promise = client.getJson('global.json');
+			await vi.advanceTimersByTimeAsync(1999);
+			expect(fetchMock).toHaveBeenCalledTimes(1);
+			await vi.advanceTimersByTimeAsync(1);
+
+			expect(await promise).toEqual({ ok: true });
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	test('aborts attempts that exceed the timeout', async () => {
+		fetchMock.mockImplementation(hangingFetch);
+
+		await expect(
+			createClient({ timeout: 10, retries: 2 }).getJson('global.json')
+		).rejects.toMatchObject({ code: 'TIMEOUT', attempts: 2 });
+	});
+
+	test('reports invalid JSON without retrying', async () => {
+		fetchMock.mockResolvedValue(new Response('<html>'));
+
+		await expect(createClient().getJson('global.json')).rejects.toMatchObject({
+			code: 'INVALID_JSON',
+		});
+		expect(fetchMock).toHaveBeenCalledTimes(1);
+	});
+
+	test('shares concurrent requests for the same URL', async () => {
+		fetchMock.mockImplementation(async () => jsonResponse({ ok: true }));
+		const client = createClient({ cache: false });
+
+		const [first, second] = await Promise.all([
+			client.getJson('global.json'),
+			client.getJson(`${BASE_URL}/global.json`),
+		]);
+		await client.getJson('global.json');
+
+		expect(first).toBe(second);
+		expect(fetchMock).toHaveBeenCalledTimes(2);
+	});
+
+	test('caches responses until the cache is cleared', async () => {
+		fetchMock.mockImplementation(async () => jsonResponse({ ok: true }));
+		const client = createClient();
+
+		await client.getJson('global.json');
+		await client.getJson('global.json');
+		expect(fetchMock).toHaveBeenCalledTimes(1);
+
+		client.clearCache();
+		await client.getJson('global.json');
+		expect(fetchMock).toHaveBeenCalledTimes(2);
+	});
+
+	test('keeps preview responses apart and sends the preview token', async () => {
+		fetchMock.mockImplementation(async () => jsonResponse({ ok: true }));
+		const client = createClient({
+			env: { KIRBY_URL: BASE_URL, KIRBY_PREVIEW_TOKEN: 'draft-token' },
+		});
+
+		await client.getJson('global.json');
+		await client.getJson('global.json', { preview: true });
+
+		expect(fetchMock).toHaveBeenCalledTimes(2);
+		expect(fetchMock.mock.calls[0][1].headers).not.toHaveProperty(
+			'Authorization'
+		);
+		expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe(
+			'Bearer draft-token'
+		);
+	});
+
+	test('sends stored validators and resolves 304 to NOT_MODIFIED', async () => {
+		const url = `${BASE_URL}/global.json`;
+		const validators = {};
+		fetchMock
+			.mockResolvedValueOnce(
+				jsonResponse({ ok: true }, { headers: { ETag: '"v1"' } })
+			)
+			.mockResolvedValueOnce(new Response(null, { status: 304 }));
+		const client = createClient();
+
+		await client.getJson('global.json', { validators });
+		const result = await client.getJson('global.json', {
+			validators,
+			conditional: true,
+		});
+
+		expect(validators[url]).toEqual({ etag: '"v1"', lastModified: undefined });
+		expect(fetchMock.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+		expect(result).toBe(NOT_MODIFIED);
+	});
+});
+
+describe('getKirbyClient', () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+		vi.resetModules();
+	});
+
+	test('does not cache responses in development', async () => {
+		vi.stubEnv('NODE_ENV', 'development');
+		vi.resetModules();
+		const { getKirbyClient } = await import('../kirby-client.js');
+		fetchMock.mockImplementation(async () => jsonResponse({ ok: true }));
+
+		await getKirbyClient().getJson(`${BASE_URL}/global.json`);
+		await getKirbyClient().getJson(`${BASE_URL}/global.json`);
+
+		expect(fetchMock).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,82 @@
+/**
+ * Kirby CMS Authentication
+ *
+ * Builds the headers for authenticated requests to the Kirby CMS, so the
+ * JSON endpoints can be locked down. Credentials come from environment
+ * variables:
+ *
+ * - KIRBY_API_TOKEN: sent as `Authorization: Bearer <token>`
+ * - KIRBY_AUTH_USER / KIRBY_AUTH_PASSWORD: sent as Basic auth (ignored when a token is set)
+ * - KIRBY_PREVIEW_TOKEN: used instead of the above for preview requests, which
+ *   may include unpublished drafts. Builds never send it.
+ *
+ * Headers are only added for requests to the KIRBY_URL origin, so credentials
+ * never leak to third-party hosts (fonts, CDNs, remote images).
+ */
+
+/**
+ * Check whether a URL points to the Kirby CMS
+ *
+ * @param {string} url - Request URL
+ * @param {string} kirbyUrl - Kirby base URL
+ * @returns {boolean} True if both share the same origin
+ */
+export function isKirbyUrl(url, kirbyUrl) {
+	if (!url || !kirbyUrl) return false;
+
+	try {
+		return new URL(url).origin === new URL(kirbyUrl).origin;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Get the configured authentication method
+ *
+ * @param {Object} options - Options
+ * @param {boolean} options.preview - Use the preview credentials (drafts)
+ * @param {Object} options.env - Environment to read from (default: process.env)
+ * @returns {'preview-token'|'token'|'basic'|null} Authentication method or null
+ */
+export function getKirbyAuthMethod({
+	preview = false,
+	env = process.env,
+} = {}) {
+	if (preview && env.KIRBY_PREVIEW_TOKEN) return 'preview-token';
+	if (env.KIRBY_API_TOKEN) return 'token';
+	if (env.KIRBY_AUTH_USER && env.KIRBY_AUTH_PASSWORD) return 'basic';
+	return null;
+}
+
+/**
+ * Get the authentication headers for a request to the Kirby CMS
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Options
+ * @param {boolean} options.preview - Use the preview credentials (drafts)
+ * @param {Object} options.env - Environment to read from (default: process.env);
+ *   pass `import.meta.env` in the Astro runtime
+ * @returns {Object<string, string>} Headers to merge into the request (empty if none apply)
+ */
+export function getKirbyAuthHeaders(
+	url,
+	{ preview = false, env = process.env } = {}
+) {
+	if (!isKirbyUrl(url, env.KIRBY_URL)) return {};
+
+	switch (getKirbyAuthMethod({ preview, env })) {
+		case 'preview-token':
+			return { Authorization: `Bearer ${env.KIRBY_PREVIEW_TOKEN}` };
+		case 'token':
+			return { Authorization: `Bearer ${env.KIRBY_API_TOKEN}` };
+		case 'basic': {
+			const credentials = Buffer.from(
+				`${env.KIRBY_AUTH_USER}:${env.KIRBY_AUTH_PASSWORD}`
+			).toString('base64');
+			return { Authorization: `Basic ${credentials}` };
+		}
+		default:
+			return {};
+	}
+}
@@ -0,0 +1,351 @@
+/**
+ * Kirby HTTP Client
+ *
+ * The single way to request JSON from the Kirby CMS, shared by the Astro
+ * runtime (`src/lib/api.ts`) and all plugins:
+ *
+ * - Timeouts per attempt via AbortController
+ * - Retries with exponential backoff and jitter (network errors, timeouts, 408, 429, 5xx)
+ * - Deduplication of concurrent requests for the same URL
+ * - In-memory response cache for the lifetime of the client (one build; the
+ *   shared client doesn't cache in development)
+ * - Authentication headers (see auth.js)
+ * - Structured errors (KirbyApiError)
+ */
+
+import { getKirbyAuthHeaders } from './auth.js';
+
+// Returned by getJson when a conditional request is answered with 304
+export const NOT_MODIFIED = Symbol('not-modified');
+
+/**
+ * Error for failed requests to the Kirby CMS
+ *
+ * `code` is one of 'HTTP_ERROR', 'TIMEOUT', 'NETWORK_ERROR', 'INVALID_JSON',
+ * 'NOT_FOUND' (local content) or 'CONFIG_ERROR'; `status` is 0 when no
+ * HTTP response was received.
+ */
+export class KirbyApiError extends Error {
+	/**
+	 * @param {string} message - Error message
+	 * @param {Object} details - Error details
+	 * @param {string} details.url - Requested URL or endpoint
+	 * @param {number} [details.status] - HTTP status (0 without response)
+	 * @param {string} [details.code] - Error code
+	 * @param {number} [details.attempts] - Number of attempts made
+	 * @param {Error} [details.cause] - Underlying error
+	 */
+	constructor(
+		message,
+		{ url, status = 0, code = 'HTTP_ERROR', attempts = 1, cause } = {}
+	) {
+		super(message, cause ? { cause } : undefined);
+		this.name = 'KirbyApiError';
+		this.url = url;
+		this.status = status;
+		this.code = code;
+		this.attempts = attempts;
+	}
+
+	/**
+	 * Whether the request may succeed when sent again
+	 *
+	 * @returns {boolean}
+	 */
+	get retryable() {
+		if (this.code === 'TIMEOUT' || this.code === 'NETWORK_ERROR') return true;
+		return (
+			this.code === 'HTTP_ERROR' &&
+			(this.status === 408 || this.status === 429 || this.status >= 500)
+		);
+	}
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with jitter
+ *
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - Backoff options
+ * @param {number} options.retryDelay - Base delay in ms
+ * @param {number} options.maxRetryDelay - Upper bound in ms
+ * @returns {number} Delay in ms, between half and the full backoff
+ */
+export function getRetryDelay(attempt, { retryDelay, maxRetryDelay }) {
+	const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** (attempt - 1));
+	return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
+
+/**
+ * Read a Retry-After header in seconds
+ *
+ * @param {Response} response - HTTP response
+ * @returns {number} Delay in ms (0 if absent or not numeric)
+ */
+function getRetryAfter(response) {
+	const seconds = Number(response.headers.get('retry-after'));
+	return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a Kirby client
+ *
+ * @param {Object} options - Client options
+ * @param {string} [options.baseUrl] - Kirby base URL (default: KIRBY_URL)
+ * @param {Object} [options.env] - Environment for URL and credentials (default: process.env);
+ *   pass `import.meta.env` in the Astro runtime
+ * @param {boolean} [options.preview] - Send preview credentials by default
+ * @param {number} [options.timeout] - Timeout per attempt in ms (default: 15000)
+ * @param {number} [options.retries] - Maximum number of attempts (default: 3)
+ * @param {number} [options.retryDelay] - Base backoff delay in ms (default: 500)
+ * @param {number} [options.maxRetryDelay] - Maximum backoff delay in ms (default: 8000)
+ * @param {boolean} [options.cache] - Keep responses in memory (default: true)
+ * @param {Function} [options.throttle] - Awaited with the URL before every attempt (rate limiting)
+ * @param {Function} [options.onRetry] - Called with (url, attempt, error) before a retry
+ * @returns {{ resolveUrl: Function, getJson: Function, clearCache: Function }}
+ */
+export function createKirbyClient({
+	baseUrl,
+	env = process.env,
+	preview = false,
+	timeout = 15000,
+	retries = 3,
+	retryDelay = 500,
+	maxRetryDelay = 8000,
+	cache = true,
+	throttle = null,
+	onRetry = null,
+} = {}) {
+	const base = (baseUrl || env.KIRBY_URL || '').replace(/\/+$/, '');
+	const responses = new Map();
+	const inFlight = new Map();
+
+	/**
+	 * Resolve an endpoint (e.g. 'de/global.json') against the base URL
+	 *
+	 * @param {string} endpoint - Endpoint or absolute URL
+	 * @returns {string} Absolute URL
+	 * @throws {KirbyApiError} If no base URL is configured
+	 */
+	function resolveUrl(endpoint) {
+		if (/^https?:\/\//.test(endpoint)) return endpoint;
+		if (!base) {
+			throw new KirbyApiError('KIRBY_URL environment variable is not set', {
+				url: endpoint,
+				code: 'CONFIG_ERROR',
+			});
+		}
+		return `${base}/${endpoint.replace(/^\/+/, '')}`;
+	}
+
+	/**
+	 * Send a single attempt
+	 *
+	 * The timeout covers the whole attempt, including reading the body.
+	 *
+	 * @returns {Promise<*>} Parsed JSON or NOT_MODIFIED
+	 */
+	async function attemptRequest(url, { headers, validators, attempt }) {
+		const controller = new AbortController();
+		const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+		const failure = (error) =>
+			new KirbyApiError(
+				error.name === 'AbortError'
+					? `Request timed out after ${timeout}ms: ${url}`
+					: `Request failed: ${url}: ${error.message}`,
+				{
+					url,
+					code: error.name === 'AbortError' ? 'TIMEOUT' : 'NETWORK_ERROR',
+					attempts: attempt,
+					cause: error,
+				}
+			);
+
+		try {
+			let response;
+			try {
+				response = await fetch(url, { headers, signal: controller.signal });
+			} catch (error) {
+				throw failure(error);
+			}
+
+			if (
+				response.status === 304 &&
+				(headers['If-None-Match'] || headers['If-Modified-Since'])
+			) {
+				return NOT_MODIFIED;
+			}
+
+			if (!response.ok) {
+				const error = new KirbyApiError(`HTTP ${response.status} for ${url}`, {
+					url,
+					status: response.status,
+					attempts: attempt,
+				});
+				error.retryAfter = getRetryAfter(response);
+				throw error;
+			}
+
+			let body;
+			try {
+				body = await response.text();
+			} catch (error) {
+				throw failure(error);
+			}
+
+			let data;
+			try {
+				data = JSON.parse(body);
+			} catch (error) {
+				throw new KirbyApiError(`Invalid JSON from ${url}`, {
+					url,
+					status: response.status,
+					code: 'INVALID_JSON',
+					attempts: attempt,
+					cause: error,
+				});
+			}
+
+			if (validators) {
+				const etag = response.headers.get('etag');
+				const lastModified = response.headers.get('last-modified');
+				if (etag || lastModified) {
+					validators[url] = {
+						etag: etag || undefined,
+						lastModified: lastModified || undefined,
+					};
+				} else {
+					delete validators[url];
+				}
+			}
+
+			return data;
+		} finally {
+			clearTimeout(timeoutId);
+		}
+	}
+
+	/**
+	 * Send a request, retrying retryable failures
+	 *
+	 * @returns {Promise<*>} Parsed JSON or NOT_MODIFIED
+	 */
+	async function request(url, options) {
+		const maxAttempts = options.retries ?? retries;
+		const headers = {
+			Accept: 'application/json',
+			...getKirbyAuthHeaders(url, { preview: options.preview, env }),
+		};
+
+		const cached =
+			options.conditional && options.validators
+				? options.validators[url]
+				: null;
+		if (cached?.etag) headers['If-None-Match'] = cached.etag;
+		if (cached?.lastModified) {
+			headers['If-Modified-Since'] = cached.lastModified;
+		}
+
+		for (let attempt = 1; ; attempt++) {
+			try {
+				if (throttle) await throttle(url);
+				return await attemptRequest(url, {
+					headers,
+					validators: options.validators,
+					attempt,
+				});
+			} catch (error) {
+				if (!error.retryable || attempt >= maxAttempts) throw error;
+
+				const retryHandler = options.onRetry || onRetry;
+				if (retryHandler) retryHandler(url, attempt, error);
+				await sleep(
+					Math.max(
+						getRetryDelay(attempt, { retryDelay, maxRetryDelay }),
+						Math.min(error.retryAfter || 0, maxRetryDelay)
+					)
+				);
+			}
+		}
+	}
+
+	/**
+	 * Request JSON from the CMS
+	 *
+	 * Conditional requests (with `validators`) always go to the network; other
+	 * requests share in-flight promises and, with caching, earlier responses.
+	 *
+	 * @param {string} endpoint - Endpoint (e.g. 'de/global.json') or absolute URL
+	 * @param {Object} [options] - Request options
+	 * @param {boolean} [options.preview] - Send preview credentials (drafts)
+	 * @param {boolean} [options.cache] - Use the response cache
+	 * @param {number} [options.retries] - Maximum number of attempts
+	 * @param {Object} [options.validators] - ETag/Last-Modified map keyed by URL, updated from responses
+	 * @param {boolean} [options.conditional] - Send stored validators; a 304 resolves to NOT_MODIFIED
+	 * @param {Function} [options.onRetry] - Called with (url, attempt, error) before a retry
+	 * @returns {Promise<*>} Parsed JSON or NOT_MODIFIED
+	 * @throws {KirbyApiError} When the request fails
+	 */
+	function getJson(endpoint, options = {}) {
+		const url = resolveUrl(endpoint);
+		const requestOptions = { preview, ...options };
+
+		if (requestOptions.validators) {
+			return request(url, requestOptions);
+		}
+
+		const key = `${requestOptions.preview ? 'preview:' : ''}${url}`;
+		const useCache = requestOptions.cache ?? cache;
+		if (useCache && responses.has(key)) {
+			return Promise.resolve(responses.get(key));
+		}
+		if (inFlight.has(key)) {
+			return inFlight.get(key);
+		}
+
+		const promise = request(url, requestOptions)
+			.then((data) => {
+				if (useCache) responses.set(key, data);
+				return data;
+			})
+			.finally(() => inFlight.delete(key));
+		inFlight.set(key, promise);
+		return promise;
+	}
+
+	return {
+		resolveUrl,
+		getJson,
+
+		/**
+		 * Forget all cached responses
+		 */
+		clearCache() {
+			responses.clear();
+		},
+	};
+}
+
+let sharedClient = null;
+
+/**
+ * Get the client shared by everything running in this process (one build)
+ *
+ * A dev server keeps running while content is edited in the CMS, and config
+ * reloads must see those edits, so responses are only cached outside
+ * development.
+ *
+ * @returns {ReturnType<typeof createKirbyClient>} Client for KIRBY_URL, caching responses in builds
+ */
+export function getKirbyClient() {
+	if (!sharedClient) {
+		sharedClient = createKirbyClient({
+			cache: process.env.NODE_ENV !== 'development',
+		});
+	}
+	return sharedClient;
+}
@@ -4,9 +4,11 @@
  * Functions for interacting with the Kirby CMS
  */
 
-import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
 import dotenv from 'dotenv';
 import { validateUrl } from './validation.js';
+import { getKirbyClient } from './kirby-client.js';
 
 // Initialize environment variables
 dotenv.config();
@@ -38,56 +40,79 @@ export function getKirbyUrl({ validate = true, requireHttps = false } = {}) {
 }
 
 /**
- * Fetch JSON data from Kirby CMS with retry logic
+ * Check whether the build runs without a CMS (OFFLINE=true)
+ *
+ * In offline mode all content is read from a content snapshot directory
+ * instead of KIRBY_URL.
+ *
+ * @returns {boolean} True if offline mode is enabled
+ */
+export function isOfflineMode() {
+	return ['true', '1'].includes(process.env.OFFLINE);
+}
+
+/**
+ * Get the content snapshot directory used in offline mode
+ *
+ * @returns {string} Absolute path from KIRBY_SNAPSHOT_DIR (default: public/content)
+ */
+export function getSnapshotDir() {
+	return path.resolve(process.env.KIRBY_SNAPSHOT_DIR || './public/content');
+}
+
+/**
+ * Read a JSON file from the content snapshot
+ *
+ * @param {string} endpoint - The API endpoint (e.g. 'global.json' or 'de/index.json')
+ * @returns {Object} The parsed JSON content
+ * @throws {Error} If the file is not part of the snapshot
+ */
+export function readSnapshotJson(endpoint) {
+	const snapshotDir = getSnapshotDir();
+	const cleanEndpoint = endpoint.startsWith('/')
+		? endpoint.substring(1)
+		: endpoint;
+	const filePath = path.join(snapshotDir, cleanEndpoint);
+
+	if (!fs.existsSync(filePath)) {
+		throw new Error(
+			`Offline mode: ${cleanEndpoint} not found in content snapshot ${snapshotDir}`
+		);
+	}
+
+	return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Fetch JSON data from Kirby CMS
+ *
+ * Uses the shared Kirby client (see kirby-client.js): timeouts, retries with
+ * backoff, authentication and a response cache for the build (not in
+ * development, where the CMS content changes while the server runs). In
+ * offline mode the data is read from the content snapshot instead.
  *
  * @param {string} endpoint - The API endpoint (without leading slash)
  * @param {Object} options - Options for the fetch operation
- * @param {number} options.retries - Number of retry attempts (default: 3)
- * @param {number} options.delay - Delay between retries in ms (default: 1000)
+ * @param {number} options.retries - Maximum number of attempts (default: 3)
  * @param {Object} options.logger - Logger instance
  * @returns {Promise<Object>} The parsed JSON response
+ * @throws {KirbyApiError} If the request fails
  */
 export async function fetchFromKirby(
 	endpoint,
-	{ retries = 3, delay = 1000, logger = console } = {}
+	{ retries = 3, logger = console } = {}
 ) {
-	const kirbyUrl = getKirbyUrl();
-	if (!kirbyUrl) {
-		throw new Error('KIRBY_URL environment variable is not set');
+	if (isOfflineMode()) {
+		return readSnapshotJson(endpoint);
 	}
 
-	// Ensure endpoint doesn't start with a slash
-	const cleanEndpoint = endpoint.startsWith('/')
-		? endpoint.substring(1)
-		: endpoint;
-	const url = `${kirbyUrl}/${cleanEndpoint}`;
-
-	for (let attempt = 1; attempt <= retries; attempt++) {
-		try {
-			const response = await fetch(url);
-
-			if (!response.ok) {
-				if (attempt === retries) {
-					throw new Error(`HTTP error! status: ${response.status}`);
-				}
-				logger.warn(
-					`Attempt ${attempt}/${retries} failed with status ${response.status}. Retrying...`
-				);
-				await new Promise((resolve) => setTimeout(resolve, delay));
-				continue;
-			}
-
-			return await response.json();
-		} catch (error) {
-			if (attempt === retries) {
-				throw error;
-			}
+	return getKirbyClient().getJson(endpoint, {
+		retries,
+		onRetry: (_url, attempt, error) =>
 			logger.warn(
 				`Attempt ${attempt}/${retries} failed: ${error.message}. Retrying...`
-			);
-			await new Promise((resolve) => setTimeout(resolve, delay));
-		}
-	}
+			),
+	});
 }
 
 /**
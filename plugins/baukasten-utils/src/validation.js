@@ -82,10 +82,16 @@ export function sanitizePath(inputPath, { fieldName = 'Path' } = {}) {
  *
  * @param {Object} options - Plugin options to validate
  * @param {Object} schema - Validation schema
+ * @param {Object} settings - Validation settings
+ * @param {string} settings.fieldName - Field name for error messages (default: 'Option')
  * @returns {Object} The validated options
- * @throws {Error} If validation fails
+ * @throws {Error} If validation fails, with the individual messages in `error.errors`
  */
-export function validateOptions(options, schema) {
+export function validateOptions(
+	options,
+	schema,
+	{ fieldName = 'Option' } = {}
+) {
 	const errors = [];
 
 	for (const [key, validator] of Object.entries(schema)) {
@@ -93,7 +99,7 @@ export function validateOptions(options, schema) {
 
 		// Check required fields
 		if (validator.required && (value === undefined || value === null)) {
-			errors.push(`Option '${key}' is required`);
+			errors.push(`${fieldName} '${key}' is required`);
 			continue;
 		}
 
@@ -105,7 +111,7 @@ export function validateOptions(options, schema) {
 		// Type validation
 		if (validator.type && typeof value !== validator.type) {
 			errors.push(
-				`Option '${key}' must be of type ${validator.type}, got ${typeof value}`
+				`${fieldName} '${key}' must be of type ${validator.type}, got ${typeof value}`
 			);
 			continue;
 		}
@@ -113,10 +119,10 @@ export function validateOptions(options, schema) {
 		// Min/max for numbers
 		if (validator.type === 'number') {
 			if (validator.min !== undefined && value < validator.min) {
-				errors.push(`Option '${key}' must be >= ${validator.min}`);
+				errors.push(`${fieldName} '${key}' must be >= ${validator.min}`);
 			}
 			if (validator.max !== undefined && value > validator.max) {
-				errors.push(`Option '${key}' must be <= ${validator.max}`);
+				errors.push(`${fieldName} '${key}' must be <= ${validator.max}`);
 			}
 		}
 
@@ -125,15 +131,17 @@ export function validateOptions(options, schema) {
 			try {
 				validator.validate(value);
 			} catch (error) {
-				errors.push(`Option '${key}': ${error.message}`);
+				errors.push(`${fieldName} '${key}': ${error.message}`);
 			}
 		}
 	}
 
 	if (errors.length > 0) {
-		throw new Error(
+		const error = new Error(
 			`Plugin option validation failed:\n  - ${errors.join('\n  - ')}`
 		);
+		error.errors = errors;
+		throw error;
 	}
 
 	return options;
@@ -3,6 +3,11 @@ import path from 'path';
 import fetch from 'node-fetch';
 import chalk from 'chalk';
 import { createHash } from 'crypto';
+import {
+	isOfflineMode,
+	getKirbyAuthHeaders,
+	getKirbyClient,
+} from '../baukasten-utils/index.js';
 
 /**
  * Generate SHA-256 hash of font configuration
@@ -53,6 +58,7 @@ async function downloadFont(url, options = {}) {
 					signal: controller.signal,
 					headers: {
 						'User-Agent': 'Baukasten-Font-Downloader/1.0',
+						...getKirbyAuthHeaders(url),
 					},
 				});
 
@@ -131,6 +137,35 @@ function hasFontConfigChanged(fonts, cachedState) {
 	return !cachedState.configHash || cachedState.configHash !== newHash;
 }
 
+/**
+ * Use previously downloaded fonts in offline mode (OFFLINE=true)
+ *
+ * Fonts can't be downloaded without the CMS, so the existing fonts.json is
+ * kept. Without one, an empty font list is written so the build falls back
+ * to system fonts.
+ *
+ * @returns {number} Number of fonts available
+ */
+function useOfflineFonts() {
+	const fontsDir = path.resolve('./public/fonts');
+	const fontsJsonPath = path.join(fontsDir, 'fonts.json');
+
+	if (fs.existsSync(fontsJsonPath)) {
+		try {
+			const fontData = JSON.parse(fs.readFileSync(fontsJsonPath, 'utf8'));
+			return fontData.fonts?.length || 0;
+		} catch {
+			// Rewrite unreadable font data below
+		}
+	}
+
+	if (!fs.existsSync(fontsDir)) {
+		fs.mkdirSync(fontsDir, { recursive: true });
+	}
+	fs.writeFileSync(fontsJsonPath, JSON.stringify({ fonts: [] }));
+	return 0;
+}
+
 /**
  * Download fonts with caching support
  */
@@ -393,6 +428,20 @@ export default {
 			);
 		}
 
+		if (isOfflineMode()) {
+			const fontCount = useOfflineFonts();
+			console.warn(
+				fontCount > 0
+					? chalk.green(
+							`📴 [Font Downloader] Offline mode: using ${fontCount} previously downloaded font(s)`
+						)
+					: chalk.yellow(
+							'📴 [Font Downloader] Offline mode: no downloaded fonts found, using fallback fonts'
+						)
+			);
+			return;
+		}
+
 		// Download fonts (with caching logic)
 		try {
 			const API_URL = process.env.KIRBY_URL;
@@ -404,13 +453,7 @@ export default {
 			}
 
 			// Fetch global data
-			const globalBuffer = await downloadFont(`${API_URL}/global.json`, {
-				timeout: 30000,
-				maxRetries: 3,
-				retryDelay: 1000,
-			});
-
-			const global = JSON.parse(Buffer.from(globalBuffer).toString('utf-8'));
+			const global = await getKirbyClient().getJson(`${API_URL}/global.json`);
 			const fonts = global.font;
 
 			if (!fonts || fonts.length === 0) {
@@ -480,4 +523,4 @@ export default {
 };
 
 // Export functions for use in Astro integration
-export { downloadFontsWithCache, downloadFont };
+export { downloadFontsWithCache, downloadFont, useOfflineFonts };
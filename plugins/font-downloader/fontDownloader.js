@@ -1,3 +1,5 @@
+import { isOfflineMode, getKirbyClient } from '../baukasten-utils/index.js';
+
 // Simple Astro integration for font-downloader
 // Note: Uses dynamic imports to avoid bundling Netlify plugin code into SSR
 export default function fontDownloader(userOptions = {}) {
@@ -21,6 +23,24 @@ export default function fontDownloader(userOptions = {}) {
 					return;
 				}
 
+				// Offline builds keep previously downloaded fonts
+				if (isOfflineMode()) {
+					const { useOfflineFonts } = await import(
+						'./font-downloader-netlify.js'
+					);
+					const fontCount = useOfflineFonts();
+					if (fontCount > 0) {
+						logger.info(
+							`📴 [Font Downloader] Offline mode: using ${fontCount} previously downloaded font(s)`
+						);
+					} else {
+						logger.warn(
+							'📴 [Font Downloader] Offline mode: no downloaded fonts found, using fallback fonts'
+						);
+					}
+					return;
+				}
+
 				// Check if we're running on Netlify
 				if (process.env.NETLIFY) {
 					logger.info(
@@ -36,7 +56,7 @@ export default function fontDownloader(userOptions = {}) {
 
 				try {
 					// Dynamic import to avoid bundling into SSR
-					const { downloadFontsWithCache, downloadFont } = await import(
+					const { downloadFontsWithCache } = await import(
 						'./font-downloader-netlify.js'
 					);
 					const path = await import('path');
@@ -49,12 +69,8 @@ export default function fontDownloader(userOptions = {}) {
 					}
 
 					// Fetch global data
-					const globalBuffer = await downloadFont(
-						`${API_URL}/global.json`,
-						options
-					);
-					const global = JSON.parse(
-						Buffer.from(globalBuffer).toString('utf-8')
+					const global = await getKirbyClient().getJson(
+						`${API_URL}/global.json`
 					);
 					const fonts = global.font;
 
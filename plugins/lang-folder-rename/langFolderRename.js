@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { getGlobalConfig, isOfflineMode } from '../baukasten-utils/index.js';
 
 export default function langFolderRename() {
 	return {
@@ -10,7 +11,7 @@ export default function langFolderRename() {
 				try {
 					const pluginName = chalk.cyan.bold('🌐 [Lang Folder]');
 					const API_URL = process.env.KIRBY_URL;
-					if (!API_URL) {
+					if (!API_URL && !isOfflineMode()) {
 						logger.warn(
 							`${pluginName} ${chalk.yellow(
 								'⚠️ KIRBY_URL environment variable is not set'
@@ -19,8 +20,8 @@ export default function langFolderRename() {
 						return;
 					}
 
-					const response = await fetch(`${API_URL}/global.json`);
-					const global = await response.json();
+					// Reads from the content snapshot when OFFLINE=true
+					const global = await getGlobalConfig({ logger });
 					const translations = global.translations;
 
 					const pagesDir = path.resolve('./src/pages');
@@ -8,7 +8,9 @@ import {
 	ensureDirectoryExists,
 	getProjectRoot,
 	handleNetlifyError,
+	isOfflineMode,
 	sanitizePath,
+	getKirbyAuthHeaders,
 } from '../../baukasten-utils/index.js';
 import { validateNetlifyToml, checkCacheHeaders } from './validation.js';
 
@@ -207,7 +209,10 @@ async function downloadAsset(
 			// Set up timeout using AbortController
 			timeoutId = setTimeout(() => controller.abort(), timeout);
 
-			const headers = shouldUseConditional ? conditionalHeaders : {};
+			const headers = {
+				...getKirbyAuthHeaders(asset.downloadUrl),
+				...(shouldUseConditional ? conditionalHeaders : {}),
+			};
 			const response = await fetch(asset.downloadUrl, {
 				signal: controller.signal,
 				headers,
@@ -483,6 +488,12 @@ export default async function netlifyHybridImagesSetup({
 		return;
 	}
 
+	// Offline builds use the media already in the snapshot or public/media
+	if (isOfflineMode()) {
+		logger.info('Offline mode enabled. Skipping media download.');
+		return;
+	}
+
 	try {
 		const kirbyUrl = getKirbyUrl();
 
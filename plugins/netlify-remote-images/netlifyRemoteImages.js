@@ -10,6 +10,7 @@ import path from 'path';
 import dotenv from 'dotenv';
 import { bold, green, yellow } from 'kleur/colors';
 import { fileURLToPath } from 'url';
+import { isOfflineMode } from '../baukasten-utils/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, '../..');
@@ -22,6 +23,15 @@ export default function netlifyRemoteImages() {
 				try {
 					// Load environment variables
 					dotenv.config();
+
+					// Offline builds don't load images from the CMS
+					if (isOfflineMode()) {
+						logger.info(
+							yellow('Offline mode enabled. Skipping netlify.toml update.')
+						);
+						return;
+					}
+
 					const kirbyUrl = process.env.KIRBY_URL;
 
 					if (!kirbyUrl) {
@@ -9,6 +9,7 @@ import {
 	createPluginLogger,
 	getKirbyUrl,
 	handleNetlifyError,
+	isOfflineMode,
 } from '../../baukasten-utils/index.js';
 import { magenta } from 'kleur/colors';
 
@@ -37,6 +38,12 @@ export default async function netlifyRemoteImagesSetup({
 		return;
 	}
 
+	// Offline builds don't load images from the CMS
+	if (isOfflineMode()) {
+		logger.info('Offline mode enabled. Skipping netlify.toml update.');
+		return;
+	}
+
 	try {
 		// Get Kirby URL from environment variables
 		const kirbyUrl = getKirbyUrl();
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { PREVIEW_COOKIE, signPreviewToken } from '@lib/preview-token';
+import { onRequest } from '../middleware';
+
+const SECRET = 'preview-secret';
+
+vi.mock('@lib/api', () => ({
+	getData: async () => ({ maintenanceToggle: false }),
+}));
+
+const token = (payload = {}) =>
+	signPreviewToken({ exp: Date.now() / 1000 + 600, ...payload }, SECRET);
+
+// Minimal stand-in for the Astro API context of a request
+function createContext(path, { cookie } = {}) {
+	const cookies = new Map(cookie ? [[PREVIEW_COOKIE, cookie]] : []);
+	return {
+		url: new URL(path, 'https://example.com'),
+		locals: {},
+		cookies: {
+			get: (name) =>
+				cookies.has(name) ? { value: cookies.get(name) } : undefined,
+			set: vi.fn((name, value) => cookies.set(name, value)),
+			delete: vi.fn((name) => cookies.delete(name)),
+		},
+		redirect: vi.fn(
+			(location, status) =>
+				new Response(null, { status, headers: { Location: location } })
+		),
+		rewrite: vi.fn(async () => new Response('denied')),
+	};
+}
+
+// Run the middleware and report whether the request reached the page
+async function handle(context) {
+	const next = vi.fn(async () => new Response('page'));
+	const response = await onRequest(context, next);
+	return { response, passed: next.mock.calls.length > 0 };
+}
+
+beforeEach(() => {
+	vi.stubEnv('DEV', false);
+	vi.stubEnv('KIRBY_PREVIEW_SECRET', SECRET);
+});
+
+afterEach(() => {
+	vi.unstubAllEnvs();
+	vi.restoreAllMocks();
+});
+
+describe('preview access', () => {
+	test('moves a query token to a cookie and redirects without it', async () => {
+		const value = token();
+		const context = createContext(`/preview/en/about/?token=${value}&lang=en`);
+
+		const { response, passed } = await handle(context);
+
+		expect(passed).toBe(false);
+		expect(response.status).toBe(302);
+		expect(response.headers.get('Location')).toBe('/preview/en/about/?lang=en');
+		expect(context.cookies.set).toHaveBeenCalledWith(
+			PREVIEW_COOKIE,
+			value,
+			expect.objectContaining({
+				path: '/preview',
+				httpOnly: true,
+				secure: true,
+			})
+		);
+	});
+
+	test('lets requests with a valid cookie through', async () => {
+		const context = createContext('/preview/de/blog/post-1/', {
+			cookie: token({ scope: ['de/blog/*'] }),
+		});
+
+		expect((await handle(context)).passed).toBe(true);
+	});
+
+	test('rewrites requests outside the token scope to the access denied page', async () => {
+		const context = createContext('/preview/en/about/', {
+			cookie: token({ scope: ['de/blog/*'] }),
+		});
+
+		const { passed } = await handle(context);
+
+		expect(passed).toBe(false);
+		expect(context.rewrite).toHaveBeenCalledWith('/preview/access-denied/');
+		expect(context.locals.previewAccessError).toBe('scope');
+	});
+
+	test('checks diff views and live reload events against the page scope', async () => {
+		const cookie = token({ scope: ['de/blog/*'] });
+
+		expect(
+			(await handle(createContext('/preview/diff/de/blog/post-1/', { cookie })))
+				.passed
+		).toBe(true);
+		expect(
+			(
+				await handle(
+					createContext('/preview/events/?path=/preview/en/about/', { cookie })
+				)
+			).passed
+		).toBe(false);
+	});
+
+	test('denies expired tokens and removes their cookie', async () => {
+		const context = createContext('/preview/en/about/', {
+			cookie: token({ exp: Date.now() / 1000 - 1 }),
+		});
+
+		const { passed } = await handle(context);
+
+		expect(passed).toBe(false);
+		expect(context.locals.previewAccessError).toBe('expired');
+		expect(context.cookies.delete).toHaveBeenCalledWith(PREVIEW_COOKIE, {
+			path: '/preview',
+		});
+	});
+
+	test('fails closed without a secret in production', async () => {
+		vi.stubEnv('KIRBY_PREVIEW_SECRET', '');
+		const context = createContext('/preview/en/about/', { cookie: token() });
+
+		const { passed } = await handle(context);
+
+		expect(passed).toBe(false);
+		expect(context.locals.previewAccessError).toBe('not-configured');
+	});
+
+	test('leaves previews open without a secret in development', async () => {
+		vi.stubEnv('DEV', true);
+		vi.stubEnv('KIRBY_PREVIEW_SECRET', '');
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+		expect((await handle(createContext('/preview/en/about/'))).passed).toBe(
+			true
+		);
+	});
+
+	test('always shows the access denied page', async () => {
+		expect(
+			(await handle(createContext('/preview/access-denied/'))).passed
+		).toBe(true);
+	});
+});
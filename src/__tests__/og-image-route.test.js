@@ -0,0 +1,43 @@
+import { describe, expect, test, vi } from 'vitest';
+import { getStaticPaths } from '../pages/og/[lang]/[...uri].png';
+
+// The site title is translated in the global.json of each language
+const globals = {
+	'/en/global.json': { siteTitle: 'Example' },
+	'/de/global.json': { siteTitle: 'Beispiel' },
+};
+const pages = {
+	en: [
+		{ uri: 'about', title: 'About us', meta: {} },
+		{
+			uri: 'press',
+			title: 'Press',
+			meta: { social: { 'og:image': 'https://example.com/press.jpg' } },
+		},
+	],
+	de: [{ uri: 'ueber-uns', title: 'Über uns', meta: {} }],
+};
+
+vi.mock('@lib/api', () => ({
+	getLanguageContext: async () => ({
+		allLangs: [{ code: 'en' }, { code: 'de' }],
+	}),
+	getData: async (uri) => globals[uri],
+	getAllPages: async (lang) => pages[lang].map(({ uri }) => ({ uri })),
+	getPage: async (uri, lang) => pages[lang].find((page) => page.uri === uri),
+}));
+
+describe('og image route', () => {
+	test('renders pages without a CMS image with the site title of their language', async () => {
+		expect(await getStaticPaths()).toEqual([
+			{
+				params: { lang: 'en', uri: 'about' },
+				props: { title: 'About us', siteTitle: 'Example' },
+			},
+			{
+				params: { lang: 'de', uri: 'ueber-uns' },
+				props: { title: 'Über uns', siteTitle: 'Beispiel' },
+			},
+		]);
+	});
+});
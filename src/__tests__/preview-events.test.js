@@ -0,0 +1,126 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { getData } from '@lib/api';
+import { GET } from '../pages/preview/events';
+
+let content;
+
+vi.mock('@lib/api', () => ({
+	getLanguages: async () => ({ allLang: [{ code: 'en' }, { code: 'de' }] }),
+	getData: vi.fn(async (uri) => content[uri.split('?')[0]]),
+}));
+
+// Open the event stream of a preview page and read it to the end, letting
+// the polling timers run
+async function connect(path, { lastEventId, query = {} } = {}) {
+	const url = new URL('https://example.com/preview/events/');
+	url.search = new URLSearchParams({ path, ...query }).toString();
+	const request = new Request(url, {
+		headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {},
+	});
+
+	const response = await GET({ url, request });
+	const text = response.text();
+	await vi.advanceTimersByTimeAsync(10000);
+	return { response, events: parseEvents(await text) };
+}
+
+const parseEvents = (text) =>
+	text
+		.split('\n\n')
+		.filter((block) => block.startsWith('event:'))
+		.map((block) =>
+			Object.fromEntries(
+				block.split('\n').map((line) => line.split(/: (.*)/s).slice(0, 2))
+			)
+		);
+
+beforeEach(() => {
+	vi.useFakeTimers();
+	content = {
+		'/en/about.json': { title: 'About' },
+		'/en/global.json': { siteTitle: 'Example' },
+	};
+});
+
+afterEach(() => {
+	vi.useRealTimers();
+	vi.resetAllMocks();
+});
+
+describe('preview events', () => {
+	test('sends the content hash and ends the stream without changes', async () => {
+		const { response, events } = await connect('/preview/en/about/');
+
+		expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+		expect(events).toEqual([
+			{
+				event: 'ready',
+				id: expect.stringMatching(/^[0-9a-f]{40}$/),
+				data: JSON.stringify({ path: '/preview/en/about/' }),
+			},
+		]);
+		// Page and global data, read initially and every two seconds after
+		expect(getData).toHaveBeenCalledWith('/en/about.json');
+		expect(getData).toHaveBeenCalledWith('/en/global.json');
+		expect(getData).toHaveBeenCalledTimes(8);
+	});
+
+	test('sends a change event when the content changes', async () => {
+		getData.mockImplementation(async (uri) => {
+			const data = content[uri];
+			// Edited in the CMS after the first poll
+			content['/en/about.json'] = { title: 'About us' };
+			return data;
+		});
+
+		const { events } = await connect('/preview/en/about/');
+
+		expect(events.map(({ event }) => event)).toEqual(['ready', 'change']);
+		expect(events[1].id).not.toBe(events[0].id);
+	});
+
+	test('uses the hash as Last-Event-ID for reconnecting browsers', async () => {
+		const [ready] = (await connect('/preview/en/about/')).events;
+
+		const unchanged = await connect('/preview/en/about/', {
+			lastEventId: ready.id,
+		});
+		expect(unchanged.events).toEqual([ready]);
+
+		content['/en/about.json'] = { title: 'About us' };
+		const changed = await connect('/preview/en/about/', {
+			lastEventId: ready.id,
+		});
+		expect(changed.events).toEqual([
+			expect.objectContaining({ event: 'change', data: ready.data }),
+		]);
+		expect(changed.events[0].id).not.toBe(ready.id);
+	});
+
+	test('polls the changes version of the page', async () => {
+		await connect('/preview/en/about/', {
+			query: { _version: 'changes', _token: 'abc' },
+		});
+
+		expect(getData).toHaveBeenCalledWith(
+			'/en/about.json?_version=changes&_token=abc'
+		);
+	});
+
+	test('ends the stream when the browser goes away', async () => {
+		const abort = new AbortController();
+		const url = new URL('https://example.com/preview/events/?path=/preview/');
+		const request = new Request(url, { signal: abort.signal });
+
+		const response = await GET({ url, request });
+		const text = response.text();
+		await vi.advanceTimersByTimeAsync(0);
+		abort.abort();
+		await vi.advanceTimersByTimeAsync(0);
+		const calls = getData.mock.calls.length;
+		await vi.advanceTimersByTimeAsync(10000);
+
+		expect(await text).toContain('event: ready');
+		expect(getData.mock.calls).toHaveLength(calls);
+	});
+});
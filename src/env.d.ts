@@ -1,2 +1,11 @@
 /// <reference path="../.astro/types.d.ts" />
 /// <reference types="astro/client" />
+
+declare namespace App {
+	interface Locals {
+		// Preview state of the request, set by the middleware
+		preview?: import('@lib/preview-context').PreviewContext;
+		// Why the middleware denied access to a preview route
+		previewAccessError?: import('@lib/preview-token').PreviewAccessError;
+	}
+}
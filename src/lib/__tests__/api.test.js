@@ -0,0 +1,169 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { getGlobal } from '../api';
+import {
+	createPreviewContext,
+	runWithPreviewContext,
+} from '../preview-context';
+
+const inRequest = (pathname, fn) =>
+	runWithPreviewContext(
+		createPreviewContext(pathname, { isolateContent: true }),
+		fn
+	);
+
+// The cache mode is read when the module loads, so it is loaded anew
+async function loadApi({ dev }) {
+	vi.stubEnv('DEV', dev);
+	vi.resetModules();
+	return import('../api');
+}
+
+describe('content cache', () => {
+	afterEach(() => {
+		vi.unstubAllEnvs();
+		vi.resetModules();
+	});
+
+	test('memoizes content for the whole build outside requests', async () => {
+		const api = await loadApi({ dev: false });
+
+		expect(await api.getGlobal()).toBe(await api.getGlobal());
+	});
+
+	test('reads content anew outside requests in development', async () => {
+		const api = await loadApi({ dev: true });
+
+		expect(await api.getGlobal()).not.toBe(await api.getGlobal());
+	});
+
+	test('gives isolated requests their own cache', async () => {
+		const readTwice = async () => [await getGlobal(), await getGlobal()];
+
+		const [[first, again], [other]] = await Promise.all([
+			inRequest('/about/', readTwice),
+			inRequest('/de/ueber-uns/', readTwice),
+		]);
+
+		expect(first).toBe(again);
+		expect(other).not.toBe(first);
+		expect(other).toEqual(first);
+	});
+});
+
+describe('getAlternateLinks', () => {
+	const BASE_URL = 'https://example.com';
+	const languages = [{ code: 'en' }, { code: 'de' }, { code: 'fr' }];
+	const about = { en: 'about', de: 'ueber-uns', fr: 'a-propos' };
+	let root;
+
+	// Content snapshot of a build with three languages
+	function writeContent(files) {
+		for (const [file, data] of Object.entries(files)) {
+			const filePath = path.join(root, 'public/content', file);
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(filePath, JSON.stringify(data));
+		}
+	}
+
+	beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+		vi.spyOn(process, 'cwd').mockReturnValue(root);
+		writeContent({
+			'global.json': {
+				defaultLang: languages[0],
+				translations: languages.slice(1),
+				allLang: languages,
+				prefixDefaultLocale: false,
+				paginationElements: 2,
+			},
+			'translations-map.json': Object.fromEntries(
+				Object.entries(about).map(([code, uri]) => [code, { [uri]: about }])
+			),
+			'en/about.json': { items: Array(3).fill({}) },
+			'de/ueber-uns.json': { items: Array(3).fill({}) },
+			'fr/a-propos.json': { items: Array(2).fill({}) },
+		});
+	});
+
+	afterEach(() => {
+		vi.unstubAllEnvs();
+		vi.restoreAllMocks();
+		vi.resetModules();
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	const links = (alternates) =>
+		alternates.map(({ hreflang, href }) => `${hreflang} ${href}`);
+
+	test('links every translation and the default language', async () => {
+		const api = await loadApi({ dev: false });
+
+		expect(
+			links(
+				await api.getAlternateLinks({
+					lang: 'de',
+					uri: 'ueber-uns',
+					baseUrl: `${BASE_URL}/`,
+				})
+			)
+		).toEqual([
+			`en ${BASE_URL}/about/`,
+			`de ${BASE_URL}/de/ueber-uns/`,
+			`fr ${BASE_URL}/fr/a-propos/`,
+			`x-default ${BASE_URL}/about/`,
+		]);
+	});
+
+	test('leaves out translations that are not indexable', async () => {
+		const api = await loadApi({ dev: false });
+		const isIndexable = vi.fn(async (uri) => uri !== 'a-propos');
+
+		expect(
+			links(
+				await api.getAlternateLinks({
+					lang: 'en',
+					uri: 'about',
+					baseUrl: BASE_URL,
+					isIndexable,
+				})
+			)
+		).toEqual([
+			`en ${BASE_URL}/about/`,
+			`de ${BASE_URL}/de/ueber-uns/`,
+			`x-default ${BASE_URL}/about/`,
+		]);
+		expect(isIndexable).toHaveBeenCalledWith('a-propos', 'fr');
+
+		// A single language left needs no alternates
+		expect(
+			await api.getAlternateLinks({
+				lang: 'en',
+				uri: 'about',
+				baseUrl: BASE_URL,
+				isIndexable: async (uri) => uri === 'about',
+			})
+		).toEqual([]);
+	});
+
+	test('leaves out languages with fewer pages of a section', async () => {
+		const api = await loadApi({ dev: false });
+
+		expect(
+			links(
+				await api.getAlternateLinks({
+					lang: 'en',
+					uri: 'about',
+					baseUrl: BASE_URL,
+					pageNumber: 2,
+				})
+			)
+		).toEqual([
+			`en ${BASE_URL}/about/2/`,
+			`de ${BASE_URL}/de/ueber-uns/2/`,
+			`x-default ${BASE_URL}/about/2/`,
+		]);
+	});
+});
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+
+let global;
+
+vi.mock('@lib/api', () => ({
+	getGlobal: async () => global,
+	getLanguageContext: async (lang) => ({ currentLang: lang ?? 'en' }),
+	getAllPages: async () => [{ uri: 'about' }],
+}));
+
+// Fixed-width outlines instead of a real font file
+vi.mock('fontkit', () => {
+	const glyphPath = {
+		scale: () => glyphPath,
+		translate: () => glyphPath,
+		toSVG: () => 'M0 0L10 0L10 10Z',
+	};
+	return {
+		create: vi.fn(() => ({
+			unitsPerEm: 1000,
+			layout: (text) => ({
+				glyphs: [...text].map(() => ({ path: glyphPath })),
+				positions: [...text].map(() => ({
+					xAdvance: 500,
+					xOffset: 0,
+					yOffset: 0,
+				})),
+				advanceWidth: text.length * 500,
+			}),
+		})),
+	};
+});
+
+let root;
+let ogImage;
+
+const cacheDir = () => path.join(root, 'node_modules/.cache/og-images');
+const cachedImages = () =>
+	fs.existsSync(cacheDir()) ? fs.readdirSync(cacheDir()) : [];
+
+const writeFont = (name, data) => {
+	fs.mkdirSync(path.join(root, 'public/fonts'), { recursive: true });
+	fs.writeFileSync(path.join(root, 'public/fonts', name), data);
+};
+
+beforeEach(async () => {
+	root = fs.mkdtempSync(path.join(os.tmpdir(), 'og-image-test-'));
+	vi.spyOn(process, 'cwd').mockReturnValue(root);
+	global = { colorWhite: '#ffffff', colorBlack: '#000000' };
+	// The cache directory and the font cache belong to the module instance
+	vi.resetModules();
+	ogImage = await import('../og-image');
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('getOgImage', () => {
+	test('renders a PNG once per content hash', async () => {
+		const input = { title: 'About us', siteTitle: 'Example' };
+
+		const image = await ogImage.getOgImage(input);
+		expect(image.subarray(1, 4).toString()).toBe('PNG');
+		expect(cachedImages()).toHaveLength(1);
+
+		// Later builds read the cached file instead of rendering again
+		const [file] = cachedImages();
+		fs.writeFileSync(path.join(cacheDir(), file), 'cached');
+		expect((await ogImage.getOgImage(input)).toString()).toBe('cached');
+	});
+
+	test('renders again when the text or the brand colors change', async () => {
+		await ogImage.getOgImage({ title: 'About us' });
+		await ogImage.getOgImage({ title: 'About us', siteTitle: 'Example' });
+		global = { ...global, colorPrimary: '#ff0000' };
+		await ogImage.getOgImage({ title: 'About us', siteTitle: 'Example' });
+
+		expect(cachedImages()).toHaveLength(3);
+	});
+
+	test('uses the font of the h1 headlines', async () => {
+		const { create } = await import('fontkit');
+		writeFont('headline.woff2', 'headline font');
+		global = {
+			...global,
+			font: [
+				{ name: 'Body', url1: '/fonts/body.woff' },
+				{
+					name: 'Headline',
+					url1: '/fonts/headline.woff',
+					url2: 'https://cms.example.com/media/headline.woff2',
+				},
+			],
+			headlines: { h1: { font: 'Headline' } },
+		};
+
+		await ogImage.getOgImage({ title: 'About us' });
+
+		expect(create).toHaveBeenCalledWith(Buffer.from('headline font'));
+	});
+
+	test('includes the font file in the content hash', async () => {
+		global = { ...global, font: [{ name: 'Body', url1: '/fonts/body.woff' }] };
+
+		// Without the downloaded file the system font is used
+		await ogImage.getOgImage({ title: 'About us' });
+		writeFont('body.woff', 'body font');
+		vi.resetModules();
+		ogImage = await import('../og-image');
+		await ogImage.getOgImage({ title: 'About us' });
+
+		expect(cachedImages()).toHaveLength(2);
+	});
+});
+
+describe('getOgImageUrl', () => {
+	const page = (overrides) => ({
+		uri: 'about',
+		lang: 'de',
+		meta: { social: {} },
+		...overrides,
+	});
+
+	test('points pages without a CMS image to the generated one', async () => {
+		expect(await ogImage.getOgImageUrl(page(), 'https://example.com')).toBe(
+			'https://example.com/og/de/about.png'
+		);
+	});
+
+	test('leaves out pages with a CMS image or missing from the index', async () => {
+		expect(
+			await ogImage.getOgImageUrl(
+				page({ meta: { social: { 'og:image': 'https://example.com/a.jpg' } } }),
+				'https://example.com'
+			)
+		).toBeNull();
+		expect(
+			await ogImage.getOgImageUrl(
+				page({ uri: 'hidden' }),
+				'https://example.com'
+			)
+		).toBeNull();
+	});
+});
@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+	DeployedContentUnavailableError,
+	diffPreviewPage,
+	loadDeployedData,
+} from '../preview-diff';
+
+const ORIGIN = 'https://example.com';
+
+const text = (id, value) => ({ id, type: 'text', content: { text: value } });
+
+// Page with one layout holding the given blocks in a single column
+const page = (blocks) => ({
+	uri: 'about',
+	title: 'About',
+	layouts: [{ id: 'layout-1', content: { columns: [{ blocks }] } }],
+});
+
+const grid = (id, blocks) => ({
+	id,
+	type: 'grid',
+	content: { grid: [{ columns: [{ blocks }] }] },
+});
+
+// Id and diff status of each block
+const marks = (blocks) =>
+	blocks.map(({ id, content }) => [
+		id,
+		content.metadata?.attributes?.['data-diff'],
+	]);
+
+describe('diffPreviewPage', () => {
+	test('marks added, changed and removed blocks', () => {
+		const { live, deployed, summary } = diffPreviewPage(
+			page([text('a', 'Hello'), text('b', 'New text'), text('c', 'Added')]),
+			page([text('a', 'Hello'), text('b', 'Old text'), text('d', 'Removed')])
+		);
+
+		// The layout changed too, as its list of blocks differs
+		expect(summary).toEqual({ added: 1, changed: 2, removed: 1 });
+		expect(marks(live.layouts[0].content.columns[0].blocks)).toEqual([
+			['a', undefined],
+			['b', 'changed'],
+			['c', 'added'],
+		]);
+		expect(marks(deployed.layouts[0].content.columns[0].blocks)).toEqual([
+			['a', undefined],
+			['b', 'changed'],
+			['d', 'removed'],
+		]);
+		expect(live.layouts[0].attributes).toEqual({ 'data-diff': 'changed' });
+	});
+
+	test('compares blocks nested in grid blocks on their own', () => {
+		const { live, summary } = diffPreviewPage(
+			page([grid('grid-1', [text('a', 'Changed'), text('b', 'Same')])]),
+			page([grid('grid-1', [text('a', 'Original'), text('b', 'Same')])])
+		);
+		const [gridBlock] = live.layouts[0].content.columns[0].blocks;
+
+		expect(summary).toEqual({ added: 0, changed: 1, removed: 0 });
+		expect(gridBlock.content.metadata).toBeUndefined();
+		expect(
+			gridBlock.content.grid[0].columns[0].blocks.map(
+				({ content }) => content.metadata?.classes
+			)
+		).toEqual(['preview-diff preview-diff--changed', undefined]);
+	});
+
+	test('marks everything as added for pages that are not deployed', () => {
+		const { live, deployed, summary } = diffPreviewPage(
+			page([text('a', 'Hello')]),
+			null
+		);
+
+		expect(deployed).toBeNull();
+		expect(summary).toEqual({ added: 2, changed: 0, removed: 0 });
+		expect(live.layouts[0].attributes).toEqual({ 'data-diff': 'added' });
+	});
+
+	test('leaves the passed pages unchanged', () => {
+		const live = page([text('a', 'Hello')]);
+
+		diffPreviewPage(live, null);
+
+		expect(live).toEqual(page([text('a', 'Hello')]));
+	});
+});
+
+describe('loadDeployedData', () => {
+	let fetchMock;
+
+	beforeEach(() => {
+		fetchMock = vi.fn();
+		vi.stubGlobal('fetch', fetchMock);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	test('loads the page from the deployed content', async () => {
+		fetchMock.mockResolvedValue(Response.json({ uri: 'about' }));
+
+		expect(await loadDeployedData(ORIGIN, '/en/about.json')).toEqual({
+			uri: 'about',
+		});
+		expect(fetchMock.mock.calls[0][0]).toBe(`${ORIGIN}/content/en/about.json`);
+	});
+
+	test('returns null for pages missing from a deployed snapshot', async () => {
+		fetchMock
+			.mockResolvedValueOnce(new Response(null, { status: 404 }))
+			.mockResolvedValueOnce(Response.json({ siteTitle: 'Example' }));
+
+		expect(await loadDeployedData(ORIGIN, '/en/new-page.json')).toBeNull();
+		expect(fetchMock.mock.calls[1][0]).toBe(`${ORIGIN}/content/global.json`);
+	});
+
+	test('fails when no snapshot is deployed at all', async () => {
+		fetchMock.mockImplementation(
+			async () => new Response(null, { status: 404 })
+		);
+
+		await expect(
+			loadDeployedData(ORIGIN, '/en/about.json')
+		).rejects.toBeInstanceOf(DeployedContentUnavailableError);
+	});
+
+	test('fails on other HTTP errors', async () => {
+		fetchMock.mockResolvedValue(new Response(null, { status: 500 }));
+
+		await expect(loadDeployedData(ORIGIN, '/en/about.json')).rejects.toThrow(
+			'HTTP 500'
+		);
+	});
+});
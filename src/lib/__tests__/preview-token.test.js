@@ -0,0 +1,100 @@
+import { describe, expect, test } from 'vitest';
+import {
+	PREVIEW_COOKIE_MAX_AGE,
+	getPreviewCookieMaxAge,
+	isInPreviewScope,
+	signPreviewToken,
+	verifyPreviewToken,
+} from '../preview-token';
+
+const SECRET = 'preview-secret';
+const NOW = Date.UTC(2024, 4, 1, 12);
+const exp = NOW / 1000 + 600;
+
+describe('verifyPreviewToken', () => {
+	test('accepts a token signed with the secret', () => {
+		const payload = { exp, scope: ['de/*'] };
+
+		expect(
+			verifyPreviewToken(signPreviewToken(payload, SECRET), SECRET, NOW)
+		).toEqual({ valid: true, payload });
+	});
+
+	test('rejects expired tokens', () => {
+		const token = signPreviewToken({ exp: NOW / 1000 }, SECRET);
+
+		expect(verifyPreviewToken(token, SECRET, NOW)).toEqual({
+			valid: false,
+			reason: 'expired',
+		});
+	});
+
+	test('rejects tampered payloads and foreign signatures', () => {
+		const [, signature] = signPreviewToken({ exp }, SECRET).split('.');
+		const widened = Buffer.from(
+			JSON.stringify({ exp: exp + 86400, scope: ['*'] })
+		).toString('base64url');
+
+		expect(
+			verifyPreviewToken(`${widened}.${signature}`, SECRET, NOW)
+		).toMatchObject({ reason: 'invalid' });
+		expect(
+			verifyPreviewToken(signPreviewToken({ exp }, 'other-secret'), SECRET, NOW)
+		).toMatchObject({ reason: 'invalid' });
+	});
+
+	test.each([
+		['not-a-token'],
+		['a.b.c'],
+		[signPreviewToken({ scope: ['*'] }, SECRET)],
+		[`e30.${'x'.repeat(43)}`],
+	])('rejects malformed token %s', (token) => {
+		expect(verifyPreviewToken(token, SECRET, NOW)).toEqual({
+			valid: false,
+			reason: 'invalid',
+		});
+	});
+
+	test('reports missing tokens and a missing secret', () => {
+		expect(verifyPreviewToken(undefined, SECRET, NOW)).toMatchObject({
+			reason: 'missing',
+		});
+		expect(
+			verifyPreviewToken(signPreviewToken({ exp }, SECRET), '', NOW)
+		).toMatchObject({ reason: 'not-configured' });
+	});
+});
+
+describe('isInPreviewScope', () => {
+	const scope = (...entries) => ({ exp, scope: entries });
+
+	test('allows every page without a scope', () => {
+		expect(isInPreviewScope({ exp }, 'de/blog/post-1')).toBe(true);
+	});
+
+	test('matches exact paths and wildcards below a path', () => {
+		const payload = scope('/en/about/', 'de/blog/*');
+
+		expect(isInPreviewScope(payload, 'en/about/')).toBe(true);
+		expect(isInPreviewScope(payload, 'de/blog')).toBe(true);
+		expect(isInPreviewScope(payload, 'de/blog/post-1/')).toBe(true);
+		expect(isInPreviewScope(payload, 'de/blogger')).toBe(false);
+		expect(isInPreviewScope(payload, 'en/about/team')).toBe(false);
+	});
+
+	test('treats the preview root as the home page', () => {
+		expect(isInPreviewScope(scope('home'), '/')).toBe(true);
+		expect(isInPreviewScope(scope('*'), 'anything/below')).toBe(true);
+		expect(isInPreviewScope(scope(), '')).toBe(false);
+	});
+});
+
+describe('getPreviewCookieMaxAge', () => {
+	test('lasts until the token expires, up to the maximum', () => {
+		expect(getPreviewCookieMaxAge({ exp }, NOW)).toBe(600);
+		expect(getPreviewCookieMaxAge({ exp: exp + 86400 }, NOW)).toBe(
+			PREVIEW_COOKIE_MAX_AGE
+		);
+		expect(getPreviewCookieMaxAge({ exp: NOW / 1000 - 1 }, NOW)).toBe(0);
+	});
+});
@@ -0,0 +1,102 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { getData, getPageWithFallback } from '@lib/api';
+import {
+	getPreviewVersionOptions,
+	getVersionQuery,
+	loadPreviewData,
+} from '../preview';
+
+const published = { uri: 'about', title: 'About', status: 'listed' };
+const changes = { uri: 'about', title: 'About (edited)', status: 'listed' };
+
+vi.mock('@lib/api', () => ({
+	getLanguages: async () => ({ allLang: [{ code: 'en' }, { code: 'de' }] }),
+	getData: vi.fn(async (uri) => {
+		if (uri.endsWith('global.json')) return { siteTitle: 'Example' };
+		throw new Error(`Unexpected request ${uri}`);
+	}),
+	getPageWithFallback: vi.fn(async () => published),
+}));
+
+afterEach(() => {
+	vi.clearAllMocks();
+	vi.restoreAllMocks();
+});
+
+describe('getPreviewVersionOptions', () => {
+	test('reads the version and token of Kirby preview links', () => {
+		const options = getPreviewVersionOptions(
+			new URL(
+				'https://example.com/preview/en/about/?_version=changes&_token=abc'
+			)
+		);
+
+		expect(options).toEqual({ version: 'changes', versionToken: 'abc' });
+		expect(getVersionQuery(options)).toBe('?_version=changes&_token=abc');
+	});
+
+	test('shows the published version by default', () => {
+		const options = getPreviewVersionOptions(
+			new URL('https://example.com/preview/en/about/?_version=other')
+		);
+
+		expect(options).toEqual({ version: 'latest', versionToken: undefined });
+		expect(getVersionQuery(options)).toBe('');
+	});
+});
+
+describe('loadPreviewData', () => {
+	const changesOptions = { version: 'changes', versionToken: 'abc' };
+
+	test('loads the published version', async () => {
+		const state = await loadPreviewData('en/about');
+
+		expect(state).toMatchObject({
+			pageData: published,
+			currentLangCode: 'en',
+			endpointSlug: 'about',
+			version: 'latest',
+			isDraft: false,
+			versionUnavailable: false,
+		});
+		expect(getPageWithFallback).toHaveBeenCalledWith('about', 'en');
+	});
+
+	test('requests the changes version with the token', async () => {
+		getData.mockResolvedValueOnce(changes);
+
+		const state = await loadPreviewData('de/about', changesOptions);
+
+		expect(getData).toHaveBeenCalledWith(
+			'/de/about.json?_version=changes&_token=abc'
+		);
+		expect(getPageWithFallback).not.toHaveBeenCalled();
+		expect(state).toMatchObject({
+			pageData: changes,
+			version: 'changes',
+			versionUnavailable: false,
+		});
+	});
+
+	test('falls back to the published version when changes fail to load', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		getData.mockRejectedValueOnce(new Error('HTTP 403'));
+
+		const state = await loadPreviewData('en/about', changesOptions);
+
+		expect(state).toMatchObject({
+			pageData: published,
+			version: 'latest',
+			versionUnavailable: true,
+			errorState: false,
+		});
+	});
+
+	test('marks pages that were never published as drafts', async () => {
+		getData.mockResolvedValueOnce({ ...changes, status: 'draft' });
+
+		const state = await loadPreviewData('en/about', changesOptions);
+
+		expect(state).toMatchObject({ version: 'changes', isDraft: true });
+	});
+});
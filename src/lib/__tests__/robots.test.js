@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'vitest';
+import {
+	DEFAULT_AI_CRAWLERS,
+	buildRobotsTxt,
+	isStagingContext,
+} from '../robots';
+
+const SITEMAP_URL = 'https://example.com/sitemap-index.xml';
+
+const build = (global, context = 'production') =>
+	buildRobotsTxt(global, { sitemapUrl: SITEMAP_URL, context });
+
+describe('isStagingContext', () => {
+	test.each([
+		['deploy-preview', true],
+		['branch-deploy', true],
+		['production', false],
+		['dev', false],
+		[undefined, false],
+	])('%s is staging: %s', (context, staging) => {
+		expect(isStagingContext(context)).toBe(staging);
+	});
+});
+
+describe('buildRobotsTxt', () => {
+	test('allows everything but internal paths by default', () => {
+		expect(build({})).toBe(
+			[
+				'User-agent: *',
+				'Allow: /',
+				'Disallow: /preview',
+				'Disallow: /.netlify',
+				'',
+				`Sitemap: ${SITEMAP_URL}`,
+			].join('\n')
+		);
+	});
+
+	test('disallows everything without a sitemap on staging deploys', () => {
+		const robotsTxt = build(
+			{ robotsRules: [{ userAgent: 'Googlebot', allow: '/' }] },
+			'deploy-preview'
+		);
+
+		expect(robotsTxt).toBe('User-agent: *\nDisallow: /');
+	});
+
+	test('adds disallowed paths from lists and comma-separated fields', () => {
+		const robotsTxt = build({ robotsDisallow: '/intern, /drafts\n/preview' });
+
+		expect(robotsTxt.split('\n\n')[0]).toBe(
+			[
+				'User-agent: *',
+				'Allow: /',
+				'Disallow: /preview',
+				'Disallow: /.netlify',
+				'Disallow: /intern',
+				'Disallow: /drafts',
+			].join('\n')
+		);
+	});
+
+	test('repeats the internal paths in groups of single crawlers', () => {
+		const robotsTxt = build({
+			robotsRules: [
+				{
+					userAgent: 'Googlebot, Bingbot',
+					allow: ['/blog'],
+					disallow: '/search',
+					crawlDelay: 10,
+				},
+				{ userAgent: '' },
+			],
+		});
+
+		expect(robotsTxt.split('\n\n')).toEqual([
+			expect.stringContaining('User-agent: *'),
+			[
+				'User-agent: Googlebot',
+				'User-agent: Bingbot',
+				'Allow: /blog',
+				'Disallow: /preview',
+				'Disallow: /.netlify',
+				'Disallow: /search',
+				'Crawl-delay: 10',
+			].join('\n'),
+			`Sitemap: ${SITEMAP_URL}`,
+		]);
+	});
+
+	test('blocks the default AI crawlers unless own ones are set', () => {
+		const blockedAgents = (global) =>
+			build({ robotsBlockAiCrawlers: true, ...global })
+				.split('\n\n')[1]
+				.split('\n')
+				.filter((line) => line.startsWith('User-agent:'))
+				.map((line) => line.replace('User-agent: ', ''));
+
+		expect(blockedAgents({})).toEqual(DEFAULT_AI_CRAWLERS);
+		expect(blockedAgents({ robotsAiCrawlers: ['GPTBot', 'CCBot'] })).toEqual([
+			'GPTBot',
+			'CCBot',
+		]);
+		expect(
+			build({ robotsBlockAiCrawlers: true, robotsAiCrawlers: 'GPTBot' })
+		).toContain('User-agent: GPTBot\nDisallow: /\n\nSitemap:');
+	});
+});
@@ -0,0 +1,183 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import {
+	getSitemapEntries,
+	isIndexablePage,
+	renderSitemap,
+	toLastmod,
+} from '../sitemap';
+
+const BASE_URL = 'https://example.com';
+
+// Pages per language, keyed by uri, plus the uri of each translation
+const pages = {
+	en: {
+		home: {},
+		about: { modified: 1714564800 },
+		secret: {},
+		blog: { intendedTemplate: 'section', items: Array(7).fill({}) },
+		error: {},
+	},
+	de: {
+		home: {},
+		'ueber-uns': {},
+		geheim: { meta: { robots: 'noindex, nofollow' } },
+		blog: { intendedTemplate: 'section', items: Array(7).fill({}) },
+		error: {},
+	},
+};
+const translations = [
+	{ en: 'home', de: 'home' },
+	{ en: 'about', de: 'ueber-uns' },
+	{ en: 'secret', de: 'geheim' },
+	{ en: 'blog', de: 'blog' },
+	{ en: 'error', de: 'error' },
+];
+
+vi.mock('@lib/api', async (importOriginal) => {
+	const { getLanguagePath } = await importOriginal();
+	const languageContext = {
+		defaultLang: 'en',
+		prefixDefaultLocale: false,
+		allLangs: [{ code: 'en' }, { code: 'de' }],
+	};
+	const loadPage = async (uri, lang) => {
+		if (!(uri in pages[lang])) throw new Error(`Not found: ${lang}/${uri}`);
+		return {
+			uri,
+			intendedTemplate: 'default',
+			meta: {},
+			...pages[lang][uri],
+		};
+	};
+
+	return {
+		getLanguagePath,
+		getGlobal: async () => ({
+			frontendUrl: `${BASE_URL}/`,
+			paginationElements: 6,
+		}),
+		getLanguageContext: async () => languageContext,
+		getAllPages: async (lang) =>
+			Object.keys(pages[lang]).map((uri) => ({ uri })),
+		getPage: vi.fn(loadPage),
+		getSection: loadPage,
+		// Like the real one: translations rejected by isIndexable are left out
+		getAlternateLinks: async ({ lang, uri, pageNumber = 1, isIndexable }) => {
+			const translation = translations.find((entry) => entry[lang] === uri);
+			const codes = [];
+			for (const code of ['en', 'de']) {
+				if (await isIndexable(translation[code], code)) codes.push(code);
+			}
+			if (codes.length < 2) return [];
+
+			const suffix = pageNumber > 1 ? `${pageNumber}/` : '';
+			const hrefFor = (code) =>
+				`${BASE_URL}${getLanguagePath(code, translation[code], languageContext)}${suffix}`;
+			return [
+				...codes.map((code) => ({ hreflang: code, href: hrefFor(code) })),
+				{ hreflang: 'x-default', href: hrefFor('en') },
+			];
+		},
+	};
+});
+
+afterEach(() => {
+	vi.unstubAllEnvs();
+	vi.clearAllMocks();
+});
+
+describe('getSitemapEntries', () => {
+	test('leaves out system pages and pages with noindex', async () => {
+		const entries = await getSitemapEntries('de');
+
+		expect(entries.map(({ loc }) => loc)).toEqual([
+			`${BASE_URL}/de/`,
+			`${BASE_URL}/de/ueber-uns/`,
+			`${BASE_URL}/de/blog/`,
+			`${BASE_URL}/de/blog/2/`,
+		]);
+	});
+
+	test('only lists alternates of pages in the sitemaps', async () => {
+		const entries = await getSitemapEntries('en');
+		const alternatesOf = (path) =>
+			entries
+				.find(({ loc }) => loc === `${BASE_URL}${path}`)
+				.alternates.map(({ hreflang }) => hreflang);
+
+		expect(entries.map(({ loc }) => loc)).not.toContain(`${BASE_URL}/error/`);
+		expect(alternatesOf('/about/')).toEqual(['en', 'de', 'x-default']);
+		expect(alternatesOf('/blog/2/')).toEqual(['en', 'de', 'x-default']);
+		// The German translation has noindex, so no language is left to link
+		expect(alternatesOf('/secret/')).toEqual([]);
+	});
+
+	test('leaves out the system pages configured for the content sync', async () => {
+		vi.stubEnv('KIRBY_SYNC_SYSTEM_PAGES', 'error, blog');
+
+		const entries = await getSitemapEntries('de');
+
+		expect(entries.map(({ loc }) => loc)).toEqual([
+			`${BASE_URL}/de/`,
+			`${BASE_URL}/de/ueber-uns/`,
+		]);
+	});
+
+	test('loads the pages once for all sitemaps of a static build', async () => {
+		vi.stubEnv('DEV', false);
+		vi.resetModules();
+		const sitemap = await import('../sitemap');
+		const api = await import('@lib/api');
+
+		await sitemap.getSitemapEntries('en');
+		await sitemap.getSitemapEntries('de');
+
+		// Every page except the system pages, in both languages
+		expect(api.getPage).toHaveBeenCalledTimes(8);
+	});
+
+	test('adds lastmod from the page', async () => {
+		const entries = await getSitemapEntries('en');
+
+		expect(entries[1].lastmod).toBe('2024-05-01T12:00:00.000Z');
+	});
+});
+
+describe('isIndexablePage', () => {
+	test.each([
+		['ueber-uns', true],
+		['geheim', false],
+		['error', false],
+		['missing', false],
+	])('checks de/%s', async (uri, expected) => {
+		expect(await isIndexablePage(uri, 'de')).toBe(expected);
+	});
+});
+
+describe('toLastmod', () => {
+	test.each([
+		[1714564800, '2024-05-01T12:00:00.000Z'],
+		['1714564800000', '2024-05-01T12:00:00.000Z'],
+		['2024-05-01 12:00:00Z', '2024-05-01T12:00:00.000Z'],
+		['not a date', undefined],
+		['', undefined],
+	])('converts %j', (modified, expected) => {
+		expect(toLastmod(modified)).toBe(expected);
+	});
+});
+
+describe('renderSitemap', () => {
+	test('escapes URLs and renders hreflang links', () => {
+		const xml = renderSitemap([
+			{
+				loc: `${BASE_URL}/?a=1&b=2`,
+				alternates: [{ hreflang: 'de', href: `${BASE_URL}/de/` }],
+			},
+		]);
+
+		expect(xml).toContain(`<loc>${BASE_URL}/?a=1&amp;b=2</loc>`);
+		expect(xml).toContain(
+			`<xhtml:link rel="alternate" hreflang="de" href="${BASE_URL}/de/" />`
+		);
+	});
+});
@@ -0,0 +1,184 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import {
+	getStructuredData,
+	registerStructuredDataGenerator,
+	removeStructuredDataGenerator,
+	serializeJsonLd,
+} from '../structured-data';
+
+const BASE_URL = 'https://example.com';
+
+const indexPages = {
+	en: [
+		{ uri: 'home', title: 'Welcome' },
+		{ uri: 'blog', title: 'Blog', intendedTemplate: 'section' },
+	],
+	de: [
+		{ uri: 'home', title: 'Startseite' },
+		{ uri: 'blog', title: 'Neuigkeiten', intendedTemplate: 'section' },
+	],
+};
+
+vi.mock('@lib/api', async (importOriginal) => {
+	const { getLanguagePath } = await importOriginal();
+	return {
+		getLanguagePath,
+		getAllPages: async (lang) => indexPages[lang],
+		getLanguageContext: async () => ({
+			defaultLang: 'en',
+			prefixDefaultLocale: false,
+		}),
+		getPage: async (uri, lang) => {
+			const entry = indexPages[lang].find((page) => page.uri === uri);
+			if (!entry) throw new Error(`Page not found: ${uri}`);
+			return entry;
+		},
+	};
+});
+
+const accordion = (title, text) => ({
+	type: 'accordion',
+	content: { acc: [{ title, text }] },
+});
+
+// Layout with one column holding the given blocks
+const layout = (blocks) => ({ content: { columns: [{ blocks }] } });
+
+const getNodes = async (page, lang = 'en') => {
+	const data = await getStructuredData({
+		page,
+		lang,
+		global: { siteTitle: 'Example' },
+		baseUrl: BASE_URL,
+		url: `${BASE_URL}/${page.uri}/`,
+	});
+	return data['@graph'];
+};
+
+const findNode = (nodes, type) => nodes.find((node) => node['@type'] === type);
+
+describe('getStructuredData', () => {
+	test('combines the nodes into one graph', async () => {
+		const data = await getStructuredData({
+			page: { uri: 'home', title: 'Welcome' },
+			lang: 'en',
+			global: { siteTitle: 'Example' },
+			baseUrl: BASE_URL,
+			url: `${BASE_URL}/`,
+		});
+
+		expect(data).toEqual({
+			'@context': 'https://schema.org',
+			'@graph': [
+				{
+					'@type': 'WebSite',
+					'@id': `${BASE_URL}/#website`,
+					url: BASE_URL,
+					name: 'Example',
+					inLanguage: 'en',
+				},
+			],
+		});
+	});
+
+	test('names the first breadcrumb after the home page of the language', async () => {
+		const nodes = await getNodes(
+			{ uri: 'blog/post', title: 'Beitrag', meta: {} },
+			'de'
+		);
+
+		expect(findNode(nodes, 'BreadcrumbList').itemListElement).toEqual([
+			{
+				'@type': 'ListItem',
+				position: 1,
+				name: 'Startseite',
+				item: `${BASE_URL}/de/`,
+			},
+			{
+				'@type': 'ListItem',
+				position: 2,
+				name: 'Neuigkeiten',
+				item: `${BASE_URL}/de/blog/`,
+			},
+			{
+				'@type': 'ListItem',
+				position: 3,
+				name: 'Beitrag',
+				item: `${BASE_URL}/de/blog/post/`,
+			},
+		]);
+		expect(findNode(nodes, 'Article')).toMatchObject({
+			headline: 'Beitrag',
+			inLanguage: 'de',
+		});
+	});
+
+	test('collects FAQ entries from columns and grid blocks', async () => {
+		const nodes = await getNodes({
+			uri: 'faq',
+			title: 'FAQ',
+			layouts: [
+				layout([accordion('<p>Opening hours?</p>', 'From 9 to 5.')]),
+				layout([
+					{
+						type: 'columns',
+						content: {
+							columns: [
+								{ blocks: [accordion('Parking?', 'Behind the house.')] },
+							],
+						},
+					},
+					{
+						type: 'grid',
+						content: {
+							grid: [
+								{
+									columns: [
+										{ blocks: [accordion('Pets?', 'Dogs are welcome.')] },
+									],
+								},
+								{ columns: [{ blocks: [accordion('Title only', '')] }] },
+							],
+						},
+					},
+				]),
+			],
+		});
+
+		expect(
+			findNode(nodes, 'FAQPage').mainEntity.map(({ name }) => name)
+		).toEqual(['Opening hours?', 'Parking?', 'Pets?']);
+	});
+});
+
+describe('generator registry', () => {
+	afterEach(() => {
+		removeStructuredDataGenerator('event');
+	});
+
+	test('adds registered generators and drops removed ones', async () => {
+		registerStructuredDataGenerator('event', ({ page }) => ({
+			'@type': 'Event',
+			name: page.title,
+		}));
+
+		const nodes = await getNodes({ uri: 'concert', title: 'Concert' });
+		expect(findNode(nodes, 'Event')).toEqual({
+			'@type': 'Event',
+			name: 'Concert',
+		});
+
+		removeStructuredDataGenerator('event');
+		expect(findNode(await getNodes({ uri: 'concert' }), 'Event')).toBe(
+			undefined
+		);
+	});
+});
+
+describe('serializeJsonLd', () => {
+	test('escapes markup that could close the script element', () => {
+		expect(serializeJsonLd({ name: '</script><script>' })).toBe(
+			'{"name":"\\u003c/script>\\u003cscript>"}'
+		);
+	});
+});
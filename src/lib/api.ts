@@ -1,5 +1,16 @@
 import path from 'path';
 import { isPreviewMode, ensureTrailingSlash } from '@lib/helpers';
+import { getPreviewContext } from '@lib/preview-context';
+import {
+	createKirbyClient,
+	KirbyApiError,
+} from '../../plugins/baukasten-utils/src/kirby-client.js';
+import {
+	TRANSLATIONS_MAP_FILE,
+	buildTranslationsMap,
+	lookupTranslation,
+	lookupTranslations,
+} from '../../plugins/astro-kirby-sync/src/translations-map.js';
 import type {
 	KirbyError,
 	Language,
@@ -10,6 +21,8 @@ import type {
 	FontSizeItem,
 	PageData,
 	SectionData,
+	TranslationsMap,
+	AlternateLink,
 } from '@app-types';
 
 // Re-export types for backward compatibility
@@ -23,6 +36,8 @@ export type {
 	FontSizeItem,
 	PageData,
 	SectionData,
+	TranslationsMap,
+	AlternateLink,
 };
 
 // Re-export font functions from the new fonts.ts file
@@ -30,7 +45,17 @@ export { getFonts, getSizes } from './fonts';
 
 const API_URL = import.meta.env.KIRBY_URL;
 const DEV_MODE = import.meta.env.DEV;
+// Offline mode reads the content snapshot prepared by astro-kirby-sync
+const OFFLINE_MODE = ['true', '1'].includes(import.meta.env.OFFLINE ?? '');
 const DEBUG = import.meta.env.DEBUG_MODE ?? false;
+// Dev and preview must always show the latest content, so responses aren't
+// cached; concurrent requests for the same file are still shared
+const kirby = createKirbyClient({
+	baseUrl: API_URL,
+	env: import.meta.env,
+	cache: false,
+});
+
 // Simple debug logger that only logs when DEBUG is true
 function debugLog(message: string) {
 	if (DEBUG) {
@@ -42,17 +67,9 @@ function debugLog(message: string) {
 // ERROR HANDLING
 // ============================================================================
 
-class KirbyApiError extends Error implements KirbyError {
-	url: string;
-	status: number;
-
-	constructor(message: string, status: number, url: string) {
-		super(message);
-		this.status = status;
-		this.url = url;
-		this.name = 'KirbyApiError';
-	}
-}
+// Failed requests and missing content files throw KirbyApiError (status,
+// url, code), shared with the plugins
+export { KirbyApiError };
 
 // ============================================================================
 // CORE API FUNCTIONS
@@ -71,6 +88,11 @@ function isProdMode(): boolean {
  * @returns A string indicating the current data source mode
  */
 function getDataSourceMode(): 'api' | 'local' {
+	if (OFFLINE_MODE) {
+		// Offline mode never contacts the CMS, not even in dev or preview
+		return 'local';
+	}
+
 	if (isProdMode()) {
 		// Production mode ALWAYS uses local files
 		return 'local';
@@ -93,15 +115,8 @@ async function fetchData<T>(uri: string): Promise<T> {
 		);
 
 		try {
-			const response = await fetch(API_URL + uri, {
-				method: 'GET',
-			});
-
-			if (response.status !== 200) {
-				throw new KirbyApiError(await response.text(), response.status, uri);
-			}
-
-			return response.json() as Promise<T>;
+			// Preview requests use the preview credentials, which may see drafts
+			return (await kirby.getJson(uri, { preview: isPreviewMode() })) as T;
 		} catch (error) {
 			console.error(`Error fetching from API: ${uri}`, error);
 			throw error;
@@ -169,7 +184,12 @@ Content files are missing or corrupted.
 ---------------------------------------------------------------`);
 		}
 
-		throw new KirbyApiError(`Failed to load content file: ${uri}`, 404, uri);
+		throw new KirbyApiError(`Failed to load content file: ${uri}`, {
+			url: uri,
+			status: 404,
+			code: 'NOT_FOUND',
+			cause: error as Error,
+		});
 	}
 }
 
@@ -178,6 +198,40 @@ export async function getData<T>(uri: string): Promise<T> {
 	return fetchData<T>(uri);
 }
 
+// ============================================================================
+// CONTENT CACHE
+// ============================================================================
+
+// Memoized global.json, index.json and translations map reads. A static
+// build reads the same files for every page and language, so they are loaded
+// once per build. Dev and preview requests must see the latest content: the
+// middleware gives each of them its own cache through the request context,
+// so concurrent requests never share or clear each other's entries. Dev code
+// running outside a request (e.g. getStaticPaths) isn't memoized at all.
+const contentCache = new Map<string, Promise<unknown>>();
+
+function memoize<T>(key: string, load: () => Promise<T>): Promise<T> {
+	const cache =
+		getPreviewContext()?.contentCache ?? (DEV_MODE ? null : contentCache);
+	if (!cache) return load();
+
+	// Preview requests may see drafts, so they never share entries with others
+	const cacheKey = `${isPreviewMode() ? 'preview:' : ''}${key}`;
+
+	if (!cache.has(cacheKey)) {
+		const promise = load();
+		cache.set(cacheKey, promise);
+		// Failed reads are retried on the next call
+		promise.catch(() => cache.delete(cacheKey));
+	}
+
+	return cache.get(cacheKey) as Promise<T>;
+}
+
+function cachedFetchData<T>(uri: string): Promise<T> {
+	return memoize(uri, () => fetchData<T>(uri));
+}
+
 /**
  * Log once per session when the data source changes
  * Only logs in development mode and only once to avoid console spam
@@ -189,7 +243,9 @@ function logDataSourceOnce() {
 		const sourceInfo =
 			mode === 'api'
 				? `Using live API: ${API_URL}`
-				: 'Using local content files';
+				: OFFLINE_MODE
+					? 'Offline mode: using content snapshot'
+					: 'Using local content files';
 
 		console.warn(`[Baukasten] ${sourceInfo}`);
 		if (DEBUG) {
@@ -206,7 +262,7 @@ function logDataSourceOnce() {
 
 export async function getGlobal(): Promise<GlobalData> {
 	logDataSourceOnce();
-	return fetchData<GlobalData>('/global.json');
+	return cachedFetchData<GlobalData>('/global.json');
 }
 
 export async function getFrontendUrl(): Promise<string> {
@@ -235,7 +291,7 @@ export async function getLanguages(): Promise<LanguageData> {
 // Get all pages for a specific language or default
 export async function getAllPages(lang?: string): Promise<PageData[]> {
 	const path = lang ? `/${lang}/index.json` : '/index.json';
-	return fetchData<PageData[]>(path);
+	return cachedFetchData<PageData[]>(path);
 }
 
 // Get specific page data
@@ -392,6 +448,47 @@ export async function getLanguageContext(currentLang?: string): Promise<{
 	};
 }
 
+/**
+ * Get the translations map (page URIs keyed by language, URI and target language)
+ * Builds read translations-map.json from the sync; dev and preview derive it
+ * from the page indexes of all languages
+ */
+export async function getTranslationsMap(): Promise<TranslationsMap> {
+	if (getDataSourceMode() === 'local') {
+		return cachedFetchData<TranslationsMap>(`/${TRANSLATIONS_MAP_FILE}`);
+	}
+
+	return memoize(TRANSLATIONS_MAP_FILE, async () => {
+		const { allLangs } = await getLanguageContext();
+		const indexes = await Promise.all(
+			allLangs.map(async (lang: Language) => [
+				lang.code,
+				await getAllPages(lang.code),
+			])
+		);
+		return buildTranslationsMap(Object.fromEntries(indexes));
+	});
+}
+
+/**
+ * Get the path of a page in a language, respecting prefixDefaultLocale
+ */
+export function getLanguagePath(
+	langCode: string,
+	uri: string,
+	{
+		defaultLang,
+		prefixDefaultLocale,
+	}: { defaultLang: string; prefixDefaultLocale: boolean }
+): string {
+	const prefix =
+		langCode === defaultLang && !prefixDefaultLocale ? '' : `/${langCode}`;
+	if (uri === 'home') {
+		return prefix ? ensureTrailingSlash(prefix) : '/';
+	}
+	return ensureTrailingSlash(`${prefix}/${uri}`);
+}
+
 /**
  * Get the URL for a page in a specific language
  */
@@ -406,45 +503,97 @@ export async function getLocalizedPageUrl({
 	currentPageSlug: string;
 	isHome?: boolean;
 }): Promise<string> {
-	const { defaultLang, prefixDefaultLocale } = await getLanguageContext();
+	const languageContext = await getLanguageContext();
 
 	// Home page handling
 	if (isHome || currentPageSlug === 'home') {
-		return targetLangCode === defaultLang && !prefixDefaultLocale
-			? '/'
-			: ensureTrailingSlash(`/${targetLangCode}`);
+		return getLanguagePath(targetLangCode, 'home', languageContext);
 	}
 
 	try {
-		// Get pages in target language
-		const targetPages = await getAllPages(targetLangCode);
-		const currentPages = await getAllPages(currentLang);
-
-		const currentPage = currentPages.find((page) => {
-			const uri = page.uri.split('/').pop();
-			return uri === currentPageSlug || page.uri === currentPageSlug;
-		});
-
-		// Find matching page in target language
-		const targetPage = targetPages.find(
-			(page) =>
-				currentPage?.translations?.[targetLangCode] === page.uri ||
-				page.translations?.[currentLang] === currentPage?.uri
+		const targetUri = lookupTranslation(
+			await getTranslationsMap(),
+			currentLang,
+			currentPageSlug,
+			targetLangCode
 		);
 
-		if (targetPage) {
-			return targetLangCode === defaultLang && !prefixDefaultLocale
-				? ensureTrailingSlash(`/${targetPage.uri}`)
-				: ensureTrailingSlash(`/${targetLangCode}/${targetPage.uri}`);
+		if (targetUri) {
+			return getLanguagePath(targetLangCode, targetUri, languageContext);
 		}
 	} catch (error) {
 		console.error('Error fetching translations:', error);
 	}
 
 	// Fallback to language root if no translation found
-	return targetLangCode === defaultLang && !prefixDefaultLocale
-		? '/'
-		: ensureTrailingSlash(`/${targetLangCode}`);
+	return getLanguagePath(targetLangCode, 'home', languageContext);
+}
+
+/**
+ * Get the hreflang alternates of a page, including x-default
+ * For section pagination pages, languages whose section has fewer pages are left out,
+ * as are translations rejected by `isIndexable` (e.g. pages with `noindex`).
+ * Returns an empty list for pages without translations.
+ */
+export async function getAlternateLinks({
+	lang,
+	uri,
+	baseUrl,
+	pageNumber = 1,
+	isIndexable,
+}: {
+	lang?: string;
+	uri: string;
+	baseUrl: string;
+	pageNumber?: number;
+	isIndexable?: (uri: string, lang: string) => Promise<boolean>;
+}): Promise<AlternateLink[]> {
+	const languageContext = await getLanguageContext(lang);
+	const { allLangs, defaultLang, currentLang } = languageContext;
+
+	// Every language has a home page
+	const translations: Record<string, string> =
+		uri === 'home'
+			? Object.fromEntries(allLangs.map((l: Language) => [l.code, 'home']))
+			: lookupTranslations(await getTranslationsMap(), currentLang, uri);
+
+	if (isIndexable) {
+		for (const [code, targetUri] of Object.entries(translations)) {
+			if (!(await isIndexable(targetUri, code))) {
+				delete translations[code];
+			}
+		}
+	}
+
+	if (pageNumber > 1) {
+		const { paginationElements = 6 } = await getGlobal();
+		for (const [code, targetUri] of Object.entries(translations)) {
+			const section = await getSection(targetUri, code).catch(() => null);
+			const items = section?.items?.length ?? 0;
+			if (items <= (pageNumber - 1) * paginationElements) {
+				delete translations[code];
+			}
+		}
+	}
+
+	if (Object.keys(translations).length < 2) {
+		return [];
+	}
+
+	const origin = baseUrl.replace(/\/+$/, '');
+	const pageSuffix = pageNumber > 1 ? `${pageNumber}/` : '';
+	const hrefFor = (code: string) =>
+		`${origin}${getLanguagePath(code, translations[code], languageContext)}${pageSuffix}`;
+
+	const links = allLangs
+		.filter((l: Language) => translations[l.code])
+		.map((l: Language) => ({ hreflang: l.code, href: hrefFor(l.code) }));
+
+	if (translations[defaultLang]) {
+		links.push({ hreflang: 'x-default', href: hrefFor(defaultLang) });
+	}
+
+	return links;
 }
 
 /**
@@ -1,4 +1,5 @@
 import type { AstroGlobal } from 'astro';
+import { getPreviewContext } from '@lib/preview-context';
 
 /**
  * Checks if the current page is the home page
@@ -16,17 +17,15 @@ export function checkIsHome(pageContext: AstroGlobal): boolean {
 
 /**
  * Determines if the current request is in preview mode
- * Preview mode is only available on the server and when the path includes /preview/
+ * Pass Astro.locals in components; library code reads the state the
+ * middleware stored for the current request
+ * @param locals - Optional Astro.locals of the request
  * @returns boolean indicating if preview mode is active
  */
-export function isPreviewMode(): boolean {
+export function isPreviewMode(locals?: App.Locals): boolean {
 	const isServer = typeof window === 'undefined';
-	const astroPath = process.env.ASTRO_PATH;
-	return (
-		isServer &&
-		!!astroPath &&
-		(astroPath.includes('/preview/') || astroPath === '/preview')
-	);
+	const context = locals?.preview ?? getPreviewContext();
+	return isServer && !!context?.enabled;
 }
 
 /**
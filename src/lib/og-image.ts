@@ -0,0 +1,363 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getAllPages, getGlobal, getLanguageContext } from '@lib/api';
+import { isPreviewMode } from '@lib/helpers';
+import type { GlobalData, PageData } from '@app-types';
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+// Bump when the layout changes so cached images are rendered again
+const LAYOUT_VERSION = 1;
+
+// Rendered images keyed by content hash; node_modules is kept between builds
+const CACHE_DIR = path.resolve('node_modules/.cache/og-images');
+
+const PADDING = 80;
+const LOGO_MAX_WIDTH = 400;
+const LOGO_MAX_HEIGHT = 96;
+const MAX_TITLE_LINES = 4;
+
+export interface OgImageInput {
+	title: string;
+	siteTitle?: string;
+}
+
+// A glyph outline source (subset of a fontkit font)
+interface OutlineFont {
+	unitsPerEm: number;
+	layout(text: string): {
+		glyphs: Array<{ path: { scale(x: number, y: number): any } }>;
+		positions: Array<{ xAdvance: number; xOffset: number; yOffset: number }>;
+		advanceWidth: number;
+	};
+}
+
+interface LoadedFont {
+	font: OutlineFont;
+	hash: string;
+}
+
+// ============================================================================
+// PAGES AND URLS
+// ============================================================================
+
+/**
+ * Whether a page gets a generated image: the CMS provides no `og:image`
+ */
+export function needsOgImage(page: PageData): boolean {
+	return !page.meta?.social?.['og:image'];
+}
+
+/**
+ * Path of the generated image of a page, e.g. `/og/en/blog/post.png`
+ */
+export function getOgImagePath(lang: string, uri: string): string {
+	return `/og/${lang}/${uri}.png`;
+}
+
+/**
+ * Get the absolute URL of the generated image of a page, or null if the CMS
+ * provides an image, the page has no generated image (not in index.json) or
+ * this is a preview (images are only rendered at build time)
+ */
+export async function getOgImageUrl(
+	page: PageData,
+	baseUrl: string
+): Promise<string | null> {
+	if (isPreviewMode() || !page.uri || !needsOgImage(page)) return null;
+
+	const { currentLang } = await getLanguageContext(page.lang);
+	const pages = await getAllPages(currentLang);
+	if (!pages.some((entry) => entry.uri === page.uri)) return null;
+
+	return `${baseUrl}${getOgImagePath(currentLang, page.uri)}`;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function escapeXml(value: string): string {
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function hash(value: string | Buffer): string {
+	return createHash('sha256').update(value).digest('hex');
+}
+
+const fontCache = new Map<string, Promise<LoadedFont | null>>();
+
+/**
+ * Load the headline font (or the first font) downloaded to `public/fonts`
+ */
+function loadFont(global: GlobalData): Promise<LoadedFont | null> {
+	const fonts = global.font ?? [];
+	const font =
+		fonts.find((item) => item.name === global.headlines?.h1?.font) ?? fonts[0];
+	const url = font?.url2 || font?.url1;
+	if (!url) return Promise.resolve(null);
+
+	const file = path.resolve('public/fonts', path.basename(url));
+	if (!fontCache.has(file)) {
+		fontCache.set(
+			file,
+			(async () => {
+				if (!fs.existsSync(file)) return null;
+				const fontkit = await import('fontkit');
+				const buffer = fs.readFileSync(file);
+				return {
+					font: fontkit.create(buffer) as unknown as OutlineFont,
+					hash: hash(buffer),
+				};
+			})().catch((error) => {
+				console.warn(
+					`[OG Image] Could not load font ${file}: ${error.message}`
+				);
+				return null;
+			})
+		);
+	}
+	return fontCache.get(file) as Promise<LoadedFont | null>;
+}
+
+const logoCache = new Map<string, Promise<Buffer | null>>();
+
+/**
+ * Get the logo as image data: inline SVG source, a file in `public` or a
+ * remote URL
+ */
+function loadLogo(global: GlobalData): Promise<Buffer | null> {
+	const logo = global.logoFile;
+	const key = logo?.source || logo?.src;
+	if (!key) return Promise.resolve(null);
+
+	if (!logoCache.has(key)) {
+		logoCache.set(key, fetchLogo(logo));
+	}
+	return logoCache.get(key) as Promise<Buffer | null>;
+}
+
+async function fetchLogo(
+	logo: NonNullable<GlobalData['logoFile']>
+): Promise<Buffer | null> {
+	try {
+		if (logo.source) return Buffer.from(logo.source);
+		if (!logo.src) return null;
+		if (logo.src.startsWith('/')) {
+			return fs.readFileSync(path.resolve('public', logo.src.slice(1)));
+		}
+		const response = await fetch(logo.src, {
+			signal: AbortSignal.timeout(15000),
+		});
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+		return Buffer.from(await response.arrayBuffer());
+	} catch (error) {
+		console.warn(
+			`[OG Image] Could not load logo ${logo.src}: ${(error as Error).message}`
+		);
+		return null;
+	}
+}
+
+/**
+ * Break text into lines no wider than maxWidth, ending the last line with an
+ * ellipsis when the text doesn't fit into maxLines
+ */
+function wrapText(
+	text: string,
+	measure: (value: string) => number,
+	maxWidth: number,
+	maxLines: number
+): string[] {
+	const lines: string[] = [];
+	let line = '';
+
+	for (const word of text.split(/\s+/).filter(Boolean)) {
+		const candidate = line ? `${line} ${word}` : word;
+		if (!line || measure(candidate) <= maxWidth) {
+			line = candidate;
+		} else {
+			lines.push(line);
+			line = word;
+		}
+	}
+	if (line) lines.push(line);
+
+	if (lines.length <= maxLines) return lines;
+
+	const kept = lines.slice(0, maxLines);
+	let last = kept[maxLines - 1];
+	while (last.includes(' ') && measure(`${last} …`) > maxWidth) {
+		last = last.slice(0, last.lastIndexOf(' '));
+	}
+	kept[maxLines - 1] = `${last} …`;
+	return kept;
+}
+
+/**
+ * Render text as SVG: glyph outlines with a downloaded font, or a <text>
+ * element with a system font as fallback
+ */
+function renderText(
+	lines: string[],
+	{
+		font,
+		fontSize,
+		x,
+		y,
+		lineHeight,
+		color,
+	}: {
+		font: OutlineFont | null;
+		fontSize: number;
+		x: number;
+		y: number;
+		lineHeight: number;
+		color: string;
+	}
+): string {
+	if (!font) {
+		return lines
+			.map(
+				(line, index) =>
+					`<text x="${x}" y="${y + index * lineHeight}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="${color}">${escapeXml(line)}</text>`
+			)
+			.join('');
+	}
+
+	const scale = fontSize / font.unitsPerEm;
+	const paths = lines.flatMap((line, index) => {
+		const run = font.layout(line);
+		const baseline = y + index * lineHeight;
+		let cursor = x;
+
+		return run.glyphs.map((glyph, glyphIndex) => {
+			const position = run.positions[glyphIndex];
+			const d = glyph.path
+				.scale(scale, -scale)
+				.translate(
+					cursor + position.xOffset * scale,
+					baseline - position.yOffset * scale
+				)
+				.toSVG();
+			cursor += position.xAdvance * scale;
+			return d;
+		});
+	});
+
+	return `<path fill="${color}" d="${paths.join(' ')}"/>`;
+}
+
+/**
+ * Render the branded image of a page: logo, title, site title and an accent
+ * bar in the brand colors
+ */
+async function renderOgImage(
+	{ title, siteTitle }: OgImageInput,
+	{
+		global,
+		font,
+		logo,
+	}: { global: GlobalData; font: OutlineFont | null; logo: Buffer | null }
+): Promise<Buffer> {
+	const { default: sharp } = await import('sharp');
+
+	const background = global.colorWhite || '#ffffff';
+	const textColor = global.colorBlack || '#111111';
+	const accent = global.colorPrimary || textColor;
+
+	// Average glyph width of a sans-serif font when there's no font to measure
+	const measure = (fontSize: number) => (value: string) =>
+		font
+			? (font.layout(value).advanceWidth * fontSize) / font.unitsPerEm
+			: value.length * fontSize * 0.55;
+
+	// Use the largest size that fits the title into the lines available
+	const maxWidth = OG_IMAGE_WIDTH - PADDING * 2;
+	let fontSize = 72;
+	let lines = wrapText(title, measure(fontSize), maxWidth, MAX_TITLE_LINES);
+	while (fontSize > 48 && lines.length > 2) {
+		fontSize -= 12;
+		lines = wrapText(title, measure(fontSize), maxWidth, MAX_TITLE_LINES);
+	}
+
+	const lineHeight = Math.round(fontSize * 1.15);
+	const titleTop = 200;
+	const titleBottom = 520;
+	const blockHeight = lineHeight * (lines.length - 1) + fontSize;
+	const firstBaseline =
+		titleTop + (titleBottom - titleTop - blockHeight) / 2 + fontSize;
+
+	const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" viewBox="0 0 ${OG_IMAGE_WIDTH} ${OG_IMAGE_HEIGHT}">
+<rect width="100%" height="100%" fill="${escapeXml(background)}"/>
+${renderText(lines, { font, fontSize, x: PADDING, y: firstBaseline, lineHeight, color: escapeXml(textColor) })}
+${siteTitle && siteTitle !== title ? renderText([siteTitle], { font, fontSize: 32, x: PADDING, y: 570, lineHeight: 32, color: escapeXml(accent) }) : ''}
+<rect y="${OG_IMAGE_HEIGHT - 24}" width="100%" height="24" fill="${escapeXml(accent)}"/>
+</svg>`;
+
+	const layers: Array<{ input: Buffer; left: number; top: number }> = [];
+	if (logo) {
+		try {
+			const logoImage = await sharp(logo)
+				.resize({
+					width: LOGO_MAX_WIDTH,
+					height: LOGO_MAX_HEIGHT,
+					fit: 'inside',
+				})
+				.png()
+				.toBuffer();
+			layers.push({ input: logoImage, left: PADDING, top: 72 });
+		} catch (error) {
+			console.warn(
+				`[OG Image] Could not render logo: ${(error as Error).message}`
+			);
+		}
+	}
+
+	return sharp(Buffer.from(svg)).composite(layers).png().toBuffer();
+}
+
+/**
+ * Get the image of a page, rendered once per content hash
+ *
+ * The hash covers everything the image is made of (text, colors, logo, font
+ * file and layout version), so unchanged pages reuse the cached image in
+ * later builds.
+ */
+export async function getOgImage(input: OgImageInput): Promise<Buffer> {
+	const global = await getGlobal();
+	const [loadedFont, logo] = await Promise.all([
+		loadFont(global),
+		loadLogo(global),
+	]);
+
+	const key = hash(
+		JSON.stringify({
+			version: LAYOUT_VERSION,
+			input,
+			colors: [global.colorWhite, global.colorBlack, global.colorPrimary],
+			logo: logo ? hash(logo) : null,
+			font: loadedFont?.hash ?? null,
+		})
+	);
+	const file = path.join(CACHE_DIR, `${key}.png`);
+
+	if (fs.existsSync(file)) {
+		return fs.readFileSync(file);
+	}
+
+	const image = await renderOgImage(input, {
+		global,
+		font: loadedFont?.font ?? null,
+		logo,
+	});
+	fs.mkdirSync(CACHE_DIR, { recursive: true });
+	fs.writeFileSync(file, image);
+	return image;
+}
@@ -0,0 +1,66 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+// Preview state of a request, set by the middleware in Astro.locals.preview
+export interface PreviewContext {
+	enabled: boolean;
+	// Content memoized for this request only (dev and preview SSR, see
+	// memoize in api.ts); without it the build-wide cache is used
+	contentCache?: Map<string, Promise<unknown>>;
+}
+
+// ============================================================================
+// REQUEST CONTEXT
+// ============================================================================
+
+// Carries the preview state of the current request into library code
+// (fetchData, getFonts, …) that has no access to Astro.locals. Concurrent
+// requests on one server instance each see their own state.
+const storage = new AsyncLocalStorage<PreviewContext>();
+
+/**
+ * Checks if a path belongs to the preview routes
+ * @param pathname - The URL pathname
+ */
+export function isPreviewPath(pathname: string): boolean {
+	return pathname === '/preview' || pathname.startsWith('/preview/');
+}
+
+/**
+ * Creates the preview state of a request
+ * @param pathname - The URL pathname of the request
+ * @param options.isolateContent - Give the request its own content cache
+ */
+export function createPreviewContext(
+	pathname: string,
+	{ isolateContent = false }: { isolateContent?: boolean } = {}
+): PreviewContext {
+	const context: PreviewContext = { enabled: isPreviewPath(pathname) };
+	if (isolateContent) {
+		context.contentCache = new Map();
+	}
+	return context;
+}
+
+/**
+ * Runs a function (the rest of the request) with the given preview state
+ * @param context - Preview state of the request
+ * @param fn - Function to run
+ */
+export function runWithPreviewContext<T>(
+	context: PreviewContext,
+	fn: () => T
+): T {
+	return storage.run(context, fn);
+}
+
+/**
+ * Gets the preview state of the current request
+ * @returns The preview state, or undefined outside a request (e.g. getStaticPaths)
+ */
+export function getPreviewContext(): PreviewContext | undefined {
+	return storage.getStore();
+}
@@ -0,0 +1,257 @@
+import type { PageData } from '@app-types';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+export type PreviewDiffStatus = 'added' | 'changed' | 'removed';
+
+export interface PreviewDiffSummary {
+	added: number;
+	changed: number;
+	removed: number;
+}
+
+export interface PreviewDiff {
+	// Live version with added and changed layouts and blocks marked
+	live: PageData;
+	// Deployed version with removed and changed layouts and blocks marked,
+	// null if the page isn't deployed yet
+	deployed: PageData | null;
+	summary: PreviewDiffSummary;
+}
+
+// Class on marked layouts and blocks, plus a modifier per status
+// (`preview-diff--added`, …); blocks also get `data-diff="<status>"`
+export const PREVIEW_DIFF_CLASS = 'preview-diff';
+
+type LayoutNode = Record<string, any>;
+type BlockNode = Record<string, any>;
+
+// ============================================================================
+// DEPLOYED CONTENT
+// ============================================================================
+
+/**
+ * Error thrown when the site has no deployed content snapshot at all, so
+ * there is nothing to compare against
+ */
+export class DeployedContentUnavailableError extends Error {
+	constructor(message: string) {
+		super(message);
+		this.name = 'DeployedContentUnavailableError';
+	}
+}
+
+async function fetchDeployed(origin: string, endpoint: string) {
+	return fetch(`${origin}/content${endpoint}`, {
+		signal: AbortSignal.timeout(15000),
+	});
+}
+
+/**
+ * Loads the deployed version of a content file, i.e. the `public/content`
+ * snapshot of the last build as served by the site itself
+ *
+ * A missing file only means a new page if the snapshot itself exists, which
+ * is checked through its global.json.
+ * @param origin - Origin of the site (e.g. Astro.url.origin)
+ * @param endpoint - Content path, e.g. `/en/about.json`
+ * @returns The content, or null if the file isn't deployed (new page)
+ * @throws DeployedContentUnavailableError if no snapshot is deployed
+ */
+export async function loadDeployedData<T>(
+	origin: string,
+	endpoint: string
+): Promise<T | null> {
+	const response = await fetchDeployed(origin, endpoint);
+	if (response.status === 404) {
+		const snapshot = await fetchDeployed(origin, '/global.json');
+		if (snapshot.status === 404) {
+			throw new DeployedContentUnavailableError(
+				'No deployed content snapshot found (/content/global.json is missing)'
+			);
+		}
+		return null;
+	}
+	if (!response.ok) {
+		throw new Error(
+			`Failed to load deployed content ${endpoint}: HTTP ${response.status}`
+		);
+	}
+	return (await response.json()) as T;
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Visits every layout and block of a page, including blocks nested in
+ * columns blocks and in the rows of grid blocks
+ */
+function visitLayouts(
+	page: PageData | null,
+	onLayout: (layout: LayoutNode) => void,
+	onBlock: (block: BlockNode) => void
+): void {
+	const visitColumns = (columns: any[] = []) => {
+		for (const column of columns) {
+			for (const block of column?.blocks ?? []) {
+				onBlock(block);
+				if (block.type === 'columns') {
+					visitColumns(block.content?.columns);
+				}
+				if (block.type === 'grid') {
+					for (const row of block.content?.grid ?? []) {
+						visitColumns(row?.columns);
+					}
+				}
+			}
+		}
+	};
+
+	for (const layout of page?.layouts ?? []) {
+		onLayout(layout);
+		visitColumns(layout?.content?.columns);
+	}
+}
+
+/**
+ * Serializes a layout or block for comparison. Nested blocks are reduced to
+ * their ids at any depth (columns, and the rows of grid blocks), so a changed
+ * block only marks itself and not its containers.
+ */
+function getSignature(content: unknown): string {
+	return JSON.stringify(content, (key, value) =>
+		key === 'blocks' && Array.isArray(value)
+			? value.map((block) => block?.id)
+			: value
+	);
+}
+
+/**
+ * Collects the signatures of all layouts and blocks of a page by id
+ */
+function getSignatures(page: PageData | null): Map<string, string> {
+	const signatures = new Map<string, string>();
+	visitLayouts(
+		page,
+		(layout) => {
+			if (layout?.id) signatures.set(layout.id, getSignature(layout));
+		},
+		(block) => {
+			if (block?.id) {
+				signatures.set(block.id, getSignature(block.content));
+			}
+		}
+	);
+	return signatures;
+}
+
+function getStatus(
+	id: string | undefined,
+	signature: string,
+	other: Map<string, string>,
+	missingStatus: PreviewDiffStatus
+): PreviewDiffStatus | null {
+	if (!id) return null;
+	if (!other.has(id)) return missingStatus;
+	return other.get(id) === signature ? null : 'changed';
+}
+
+function getDiffClasses(
+	classes: string | undefined,
+	status: PreviewDiffStatus
+): string {
+	return [classes, PREVIEW_DIFF_CLASS, `${PREVIEW_DIFF_CLASS}--${status}`]
+		.filter(Boolean)
+		.join(' ');
+}
+
+/**
+ * Returns a copy of a page with differing layouts and blocks marked through
+ * their classes and attributes, which Layouts.astro and the block components
+ * already render
+ */
+function markPage(
+	page: PageData,
+	other: Map<string, string>,
+	missingStatus: PreviewDiffStatus,
+	summary: PreviewDiffSummary
+): PageData {
+	const marked = structuredClone(page);
+
+	// Marks don't change the signatures of containers, which only see the ids
+	// of their blocks
+	visitLayouts(
+		marked,
+		(layout) => {
+			const status = getStatus(
+				layout?.id,
+				getSignature(layout),
+				other,
+				missingStatus
+			);
+			if (!status) return;
+			summary[status]++;
+			layout.classes = getDiffClasses(layout.classes, status);
+			layout.attributes = { ...layout.attributes, 'data-diff': status };
+		},
+		(block) => {
+			const status = getStatus(
+				block?.id,
+				getSignature(block.content),
+				other,
+				missingStatus
+			);
+			if (!status) return;
+			summary[status]++;
+			const metadata = block.content?.metadata ?? {};
+			block.content = {
+				...block.content,
+				metadata: {
+					...metadata,
+					classes: getDiffClasses(metadata.classes, status),
+					attributes: { ...metadata.attributes, 'data-diff': status },
+				},
+			};
+		}
+	);
+
+	return marked;
+}
+
+/**
+ * Compares the live and the deployed version of a page by the ids and
+ * content of their layouts and blocks (layouts → columns → blocks)
+ *
+ * Layouts and blocks only in the live version are `added`, only in the
+ * deployed version `removed`, and in both with different content `changed`.
+ * Changed ones are counted once in the summary.
+ * @param live - Page from the CMS API
+ * @param deployed - Page from the deployed content, null for new pages
+ */
+export function diffPreviewPage(
+	live: PageData,
+	deployed: PageData | null
+): PreviewDiff {
+	const liveSignatures = getSignatures(live);
+	const deployedSignatures = getSignatures(deployed);
+
+	const summary: PreviewDiffSummary = { added: 0, changed: 0, removed: 0 };
+	const liveMarked = markPage(live, deployedSignatures, 'added', summary);
+
+	// Changes were counted on the live side already
+	const deployedSummary: PreviewDiffSummary = {
+		added: 0,
+		changed: 0,
+		removed: 0,
+	};
+	const deployedMarked = deployed
+		? markPage(deployed, liveSignatures, 'removed', deployedSummary)
+		: null;
+	summary.removed = deployedSummary.removed;
+
+	return { live: liveMarked, deployed: deployedMarked, summary };
+}
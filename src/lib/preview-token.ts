@@ -0,0 +1,148 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+export interface PreviewTokenPayload {
+	// Expiry as Unix timestamp in seconds
+	exp: number;
+	// Allowed preview paths relative to /preview/ (e.g. 'de/blog/*'); all if omitted
+	scope?: string[];
+	[key: string]: unknown;
+}
+
+export type PreviewAccessError =
+	| 'missing'
+	| 'invalid'
+	| 'expired'
+	| 'scope'
+	| 'not-configured';
+
+export type PreviewTokenResult =
+	| { valid: true; payload: PreviewTokenPayload }
+	| { valid: false; reason: PreviewAccessError };
+
+// Query parameter carrying the token on links from the CMS
+export const PREVIEW_TOKEN_PARAM = 'token';
+
+// Cookie keeping the token while editors click around the preview
+export const PREVIEW_COOKIE = 'kirby_preview';
+
+// Upper bound for the cookie lifetime in seconds (shorter if the token expires earlier)
+export const PREVIEW_COOKIE_MAX_AGE = 60 * 60;
+
+// ============================================================================
+// SIGNING AND VERIFICATION
+// ============================================================================
+
+function sign(data: string, secret: string): string {
+	return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a preview token: `<base64url JSON payload>.<base64url HMAC-SHA256>`
+ *
+ * Tokens are normally issued by Kirby; this is the reference implementation.
+ * @param payload - Expiry and scope of the token
+ * @param secret - Shared preview secret (KIRBY_PREVIEW_SECRET)
+ */
+export function signPreviewToken(
+	payload: PreviewTokenPayload,
+	secret: string
+): string {
+	const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+	return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Verify the signature and expiry of a preview token
+ * @param token - Token from the query string or cookie
+ * @param secret - Shared preview secret
+ * @param now - Current time in ms (for tests)
+ */
+export function verifyPreviewToken(
+	token: string | undefined | null,
+	secret: string | undefined,
+	now = Date.now()
+): PreviewTokenResult {
+	if (!secret) return { valid: false, reason: 'not-configured' };
+	if (!token) return { valid: false, reason: 'missing' };
+
+	const [data, signature, ...rest] = token.split('.');
+	if (!data || !signature || rest.length > 0) {
+		return { valid: false, reason: 'invalid' };
+	}
+
+	const expected = Buffer.from(sign(data, secret));
+	const received = Buffer.from(signature);
+	if (
+		expected.length !== received.length ||
+		!timingSafeEqual(expected, received)
+	) {
+		return { valid: false, reason: 'invalid' };
+	}
+
+	let payload: PreviewTokenPayload;
+	try {
+		payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+	} catch {
+		return { valid: false, reason: 'invalid' };
+	}
+
+	if (typeof payload?.exp !== 'number') {
+		return { valid: false, reason: 'invalid' };
+	}
+	if (payload.exp * 1000 <= now) {
+		return { valid: false, reason: 'expired' };
+	}
+
+	return { valid: true, payload };
+}
+
+// ============================================================================
+// SCOPE
+// ============================================================================
+
+function normalizePath(path: string): string {
+	return path.replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Check if a preview path is covered by the token scope
+ *
+ * Scope entries are paths relative to /preview/ (`en/about`); a trailing `*`
+ * matches everything below (`de/blog/*`), and `*` alone matches every page.
+ * @param payload - Verified token payload
+ * @param previewPath - Path below /preview/, e.g. 'de/blog/post-1'
+ */
+export function isInPreviewScope(
+	payload: PreviewTokenPayload,
+	previewPath: string
+): boolean {
+	if (!Array.isArray(payload.scope)) return true;
+
+	const path = normalizePath(previewPath) || 'home';
+	return payload.scope.some((entry) => {
+		const pattern = normalizePath(String(entry));
+		if (pattern === '*') return true;
+		if (pattern.endsWith('*')) {
+			const prefix = normalizePath(pattern.slice(0, -1));
+			return path === prefix || path.startsWith(`${prefix}/`);
+		}
+		return path === pattern;
+	});
+}
+
+/**
+ * Get the lifetime of the preview cookie for a token, in seconds
+ * @param payload - Verified token payload
+ * @param now - Current time in ms (for tests)
+ */
+export function getPreviewCookieMaxAge(
+	payload: PreviewTokenPayload,
+	now = Date.now()
+): number {
+	const remaining = Math.floor(payload.exp - now / 1000);
+	return Math.max(0, Math.min(remaining, PREVIEW_COOKIE_MAX_AGE));
+}
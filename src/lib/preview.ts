@@ -5,6 +5,7 @@ import {
 	type GlobalData,
 	type PageData,
 } from '@lib/api';
+import type { PreviewVersion } from '@app-types';
 
 // ============================================================================
 // TYPE DEFINITIONS
@@ -17,8 +18,24 @@ export interface PreviewState {
 	sectionPageData?: any;
 	currentLangCode?: string;
 	endpointSlug: string;
+	// Version of the page that was loaded
+	version: PreviewVersion;
+	// The page is a draft that was never published
+	isDraft: boolean;
+	// Changes were requested but couldn't be loaded, so the published version is shown
+	versionUnavailable: boolean;
 }
 
+export interface PreviewVersionOptions {
+	version?: PreviewVersion;
+	// Token from Kirby authorizing access to the changes version
+	versionToken?: string;
+}
+
+// Query parameters Kirby adds to preview URLs of the changes version
+export const PREVIEW_VERSION_PARAM = '_version';
+export const PREVIEW_VERSION_TOKEN_PARAM = '_token';
+
 // ============================================================================
 // PREVIEW MODE DETECTION
 // ============================================================================
@@ -59,6 +76,85 @@ export function parsePreviewPath(slug?: string): {
 	};
 }
 
+/**
+ * Resolves a preview slug to its language and page, using the languages
+ * configured in the CMS (unlike parsePreviewPath, a first segment that isn't
+ * a language code belongs to the page URI)
+ * @param slug - The URL slug below /preview/
+ */
+export async function resolvePreviewSlug(slug?: string): Promise<{
+	currentLangCode?: string;
+	endpointSlug: string;
+}> {
+	if (!slug) {
+		return { currentLangCode: undefined, endpointSlug: 'home' };
+	}
+
+	const languages = await getLanguages();
+	const langCodes = languages.allLang
+		.map((lang: any) => (typeof lang === 'string' ? lang : lang?.code || ''))
+		.filter(Boolean);
+
+	const slugParts = slug.split('/');
+	if (slugParts.length > 0 && langCodes.includes(slugParts[0])) {
+		const [currentLangCode, ...rest] = slugParts;
+		return {
+			currentLangCode,
+			endpointSlug: rest.length > 0 ? rest.join('/') : 'home',
+		};
+	}
+
+	return { currentLangCode: undefined, endpointSlug: slug };
+}
+
+/**
+ * Gets the page JSON endpoint of a preview page
+ * @param langCode - Optional language code
+ * @param endpointSlug - The page URI
+ */
+export function getPreviewEndpoint(
+	langCode: string | undefined,
+	endpointSlug: string
+): string {
+	return langCode
+		? `/${langCode}/${endpointSlug}.json`
+		: `/${endpointSlug}.json`;
+}
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+/**
+ * Reads the requested content version from a preview URL
+ * (`?_version=changes&_token=…`, as in Kirby's preview links)
+ * @param url - The preview request URL
+ */
+export function getPreviewVersionOptions(url: URL): PreviewVersionOptions {
+	const version = url.searchParams.get(PREVIEW_VERSION_PARAM);
+	return {
+		version: version === 'changes' ? 'changes' : 'latest',
+		versionToken:
+			url.searchParams.get(PREVIEW_VERSION_TOKEN_PARAM) ?? undefined,
+	};
+}
+
+/**
+ * Builds the query string requesting the changes version of a page JSON
+ * @param options - Requested version and token
+ * @returns Query string with leading `?`, or '' for the published version
+ */
+export function getVersionQuery({
+	version,
+	versionToken,
+}: PreviewVersionOptions): string {
+	if (version !== 'changes') return '';
+
+	const params = new URLSearchParams({ [PREVIEW_VERSION_PARAM]: 'changes' });
+	if (versionToken) params.set(PREVIEW_VERSION_TOKEN_PARAM, versionToken);
+	return `?${params}`;
+}
+
 // ============================================================================
 // DATA LOADING
 // ============================================================================
@@ -72,58 +168,67 @@ export function parsePreviewPath(slug?: string): {
  *
  * Handles all error states and provides fallbacks where possible
  *
+ * With `version: 'changes'` the page JSON is requested with Kirby's version
+ * parameters, so editors see their unsaved changes. If that fails, the
+ * published version is shown and `versionUnavailable` is set.
+ *
  * @param slug - The URL slug to load data for
+ * @param options - Content version to load (default: published)
  */
-export async function loadPreviewData(slug?: string): Promise<PreviewState> {
+export async function loadPreviewData(
+	slug?: string,
+	options: PreviewVersionOptions = {}
+): Promise<PreviewState> {
 	const state: PreviewState = {
 		errorState: false,
 		endpointSlug: 'home',
+		version: 'latest',
+		isDraft: false,
+		versionUnavailable: false,
 	};
 
 	try {
-		// Get languages and determine current language
-		const languages = await getLanguages();
-		const langCodes = languages.allLang
-			.map((lang: any) => (typeof lang === 'string' ? lang : lang?.code || ''))
-			.filter(Boolean);
-
-		// Parse the path and determine language/slug
-		if (!slug) {
-			state.currentLangCode = undefined;
-			state.endpointSlug = 'home';
-		} else {
-			const slugParts = slug.split('/');
-			if (slugParts.length > 0 && langCodes.includes(slugParts[0])) {
-				state.currentLangCode = slugParts[0];
-				slugParts.shift();
-				state.endpointSlug =
-					slugParts.length > 0 ? slugParts.join('/') : 'home';
-			} else {
-				state.currentLangCode = undefined;
-				state.endpointSlug = slug;
-			}
-		}
+		// Determine language and page from the path
+		const { currentLangCode, endpointSlug } = await resolvePreviewSlug(slug);
+		state.currentLangCode = currentLangCode;
+		state.endpointSlug = endpointSlug;
 
 		try {
+			const endpoint = getPreviewEndpoint(
+				state.currentLangCode,
+				state.endpointSlug
+			);
+
+			// Load the changes version, falling back to the published version
+			if (options.version === 'changes') {
+				try {
+					state.pageData = await getData<PageData>(
+						`${endpoint}${getVersionQuery(options)}`
+					);
+					state.version = 'changes';
+				} catch (versionError) {
+					console.warn(
+						`Could not load changes version of ${endpoint}:`,
+						versionError
+					);
+					state.versionUnavailable = true;
+				}
+			}
+
 			// Load page and global data
-			state.pageData = await getPageWithFallback(
+			state.pageData ??= await getPageWithFallback(
 				state.endpointSlug,
 				state.currentLangCode
 			);
+			state.isDraft = state.pageData?.status === 'draft';
 			state.globalData = state.currentLangCode
 				? await getData<GlobalData>(`/${state.currentLangCode}/global.json`)
 				: await getData<GlobalData>(`/global.json`);
 
 			// Handle section pages with pagination
 			if (state.pageData?.intendedTemplate === 'section') {
-				const endpoint = state.currentLangCode
-					? `/${state.currentLangCode}/${state.endpointSlug}.json`
-					: `/${state.endpointSlug}.json`;
-
-				const sectionResult = await getData<PageData & { items: PageData[] }>(
-					endpoint
-				);
-				const items = sectionResult.items || [];
+				// The section JSON is the page JSON, including its items
+				const items: PageData[] = state.pageData.items || [];
 				const pageSize = state.globalData?.paginationElements || 10;
 
 				state.sectionPageData = {
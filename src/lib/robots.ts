@@ -0,0 +1,103 @@
+import type { GlobalData } from '@app-types';
+
+// Crawlers collecting training data for AI models, blocked when
+// `robotsBlockAiCrawlers` is enabled and no own list is set
+export const DEFAULT_AI_CRAWLERS = [
+	'GPTBot',
+	'ChatGPT-User',
+	'OAI-SearchBot',
+	'ClaudeBot',
+	'Claude-Web',
+	'anthropic-ai',
+	'Google-Extended',
+	'Applebot-Extended',
+	'CCBot',
+	'PerplexityBot',
+	'Bytespider',
+	'Meta-ExternalAgent',
+	'Amazonbot',
+	'cohere-ai',
+	'Diffbot',
+	'Omgilibot',
+];
+
+// Paths never crawled, in every user-agent group
+const ALWAYS_DISALLOWED = ['/preview', '/.netlify'];
+
+// Netlify contexts of staging deploys, which must never be indexed
+const STAGING_CONTEXTS = ['deploy-preview', 'branch-deploy'];
+
+/**
+ * Normalize a Kirby tags/list field (array, or comma- or newline-separated string)
+ */
+function toList(value?: string[] | string): string[] {
+	const items = Array.isArray(value) ? value : (value ?? '').split(/[\n,]/);
+	return items.map((item) => item.trim()).filter(Boolean);
+}
+
+function renderGroup(
+	userAgents: string[],
+	{
+		allow = [],
+		disallow = [],
+		crawlDelay,
+	}: { allow?: string[]; disallow?: string[]; crawlDelay?: number }
+): string {
+	return [
+		...userAgents.map((agent) => `User-agent: ${agent}`),
+		...allow.map((path) => `Allow: ${path}`),
+		...disallow.map((path) => `Disallow: ${path}`),
+		...(crawlDelay ? [`Crawl-delay: ${crawlDelay}`] : []),
+	].join('\n');
+}
+
+/**
+ * Check whether the build is a Netlify deploy preview or branch deploy
+ */
+export function isStagingContext(context = process.env.CONTEXT): boolean {
+	return STAGING_CONTEXTS.includes(context ?? '');
+}
+
+/**
+ * Build robots.txt from the robots settings in global.json
+ * Staging contexts disallow everything and list no sitemap.
+ */
+export function buildRobotsTxt(
+	global: GlobalData,
+	{ sitemapUrl, context }: { sitemapUrl: string; context?: string }
+): string {
+	if (isStagingContext(context)) {
+		return renderGroup(['*'], { disallow: ['/'] });
+	}
+
+	const disallow = [
+		...new Set([...ALWAYS_DISALLOWED, ...toList(global.robotsDisallow)]),
+	];
+	const groups = [renderGroup(['*'], { allow: ['/'], disallow })];
+
+	// Crawlers with an own group ignore the `*` group, so the paths that are
+	// never crawled are repeated there
+	for (const rule of global.robotsRules ?? []) {
+		if (!rule.userAgent) continue;
+		groups.push(
+			renderGroup(toList(rule.userAgent), {
+				allow: toList(rule.allow),
+				disallow: [
+					...new Set([...ALWAYS_DISALLOWED, ...toList(rule.disallow)]),
+				],
+				crawlDelay: Number(rule.crawlDelay) || undefined,
+			})
+		);
+	}
+
+	if (global.robotsBlockAiCrawlers) {
+		const aiCrawlers = toList(global.robotsAiCrawlers);
+		groups.push(
+			renderGroup(aiCrawlers.length > 0 ? aiCrawlers : DEFAULT_AI_CRAWLERS, {
+				disallow: ['/'],
+			})
+		);
+	}
+
+	return [...groups, `Sitemap: ${sitemapUrl}`].join('\n\n');
+}
@@ -0,0 +1,243 @@
+import {
+	getGlobal,
+	getAllPages,
+	getPage,
+	getSection,
+	getLanguageContext,
+	getLanguagePath,
+	getAlternateLinks,
+} from '@lib/api';
+import { getSystemPages } from '../../plugins/astro-kirby-sync/src/system-pages.js';
+import type { AlternateLink, PageData } from '@app-types';
+
+export interface SitemapEntry {
+	loc: string;
+	lastmod?: string;
+	alternates: AlternateLink[];
+}
+
+// ============================================================================
+// XML RENDERING
+// ============================================================================
+
+function escapeXml(value: string): string {
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Render a sitemap index pointing to the per-language sitemaps
+ */
+export function renderSitemapIndex(sitemaps: string[]): string {
+	const items = sitemaps
+		.map((loc) => `\t<sitemap>\n\t\t<loc>${escapeXml(loc)}</loc>\n\t</sitemap>`)
+		.join('\n');
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${items}
+</sitemapindex>`;
+}
+
+/**
+ * Render a sitemap with hreflang alternates (xhtml:link) per URL
+ */
+export function renderSitemap(entries: SitemapEntry[]): string {
+	const items = entries
+		.map(({ loc, lastmod, alternates }) => {
+			const lines = [`\t\t<loc>${escapeXml(loc)}</loc>`];
+			if (lastmod) {
+				lines.push(`\t\t<lastmod>${lastmod}</lastmod>`);
+			}
+			for (const { hreflang, href } of alternates) {
+				lines.push(
+					`\t\t<xhtml:link rel="alternate" hreflang="${escapeXml(
+						hreflang
+					)}" href="${escapeXml(href)}" />`
+				);
+			}
+			return `\t<url>\n${lines.join('\n')}\n\t</url>`;
+		})
+		.join('\n');
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${items}
+</urlset>`;
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Get the frontend origin sitemap URLs are built from (without trailing slash)
+ */
+export async function getSitemapBaseUrl(): Promise<string> {
+	const { frontendUrl } = await getGlobal();
+	return frontendUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Convert a Kirby `modified` value (Unix seconds, milliseconds or a date
+ * string) to a W3C date for <lastmod>
+ */
+export function toLastmod(modified: unknown): string | undefined {
+	if (modified === undefined || modified === null || modified === '') {
+		return undefined;
+	}
+
+	let date: Date;
+	if (typeof modified === 'number' || /^\d+$/.test(String(modified))) {
+		const value = Number(modified);
+		// Kirby reports seconds; values this large are already milliseconds
+		date = new Date(value < 1e12 ? value * 1000 : value);
+	} else {
+		date = new Date(String(modified));
+	}
+
+	return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function isNoindex(page: PageData): boolean {
+	return String(page.meta?.robots ?? '').includes('noindex');
+}
+
+// The system pages the content sync keeps for every language
+// (`systemPages` of astro-kirby-sync) are never indexed
+function isSystemPage(uri: string): boolean {
+	return getSystemPages().includes(uri);
+}
+
+/**
+ * Check whether a page may be indexed: it loads and is neither a system page
+ * nor marked `noindex`. Passed to `getAlternateLinks` as `isIndexable`, so
+ * hreflang links in page meta tags match the alternates of the sitemaps.
+ */
+export async function isIndexablePage(
+	uri: string,
+	lang: string
+): Promise<boolean> {
+	if (isSystemPage(uri)) return false;
+	const page = await getPage(uri, lang).catch(() => null);
+	return page !== null && !isNoindex(page);
+}
+
+interface SitemapPage {
+	indexEntry: PageData;
+	page: PageData;
+}
+
+/**
+ * Load the pages of a language that belong into the sitemaps, leaving out
+ * system pages, pages with `noindex` and pages that fail to load
+ */
+async function getIndexablePages(lang: string): Promise<SitemapPage[]> {
+	const pages: SitemapPage[] = [];
+
+	for (const indexEntry of await getAllPages(lang)) {
+		if (isSystemPage(indexEntry.uri)) continue;
+		const page = await getPage(indexEntry.uri, lang).catch(() => null);
+		if (!page || isNoindex(page)) continue;
+		pages.push({ indexEntry, page });
+	}
+
+	return pages;
+}
+
+interface IndexableContent {
+	// Indexable pages keyed by language code
+	pages: Map<string, SitemapPage[]>;
+	// `<lang>/<uri>` of the indexable pages of every language, for the alternates
+	keys: Set<string>;
+}
+
+async function loadIndexableContent(): Promise<IndexableContent> {
+	const { allLangs } = await getLanguageContext();
+	const pages = new Map<string, SitemapPage[]>();
+	const keys = new Set<string>();
+
+	for (const { code } of allLangs) {
+		const languagePages = await getIndexablePages(code);
+		for (const { page } of languagePages) {
+			keys.add(`${code}/${page.uri}`);
+		}
+		pages.set(code, languagePages);
+	}
+
+	return { pages, keys };
+}
+
+// Every language sitemap needs the indexable pages of all languages, so a
+// static build loads them once. Dev requests always see the latest content.
+let indexableContent: Promise<IndexableContent> | null = null;
+
+function getIndexableContent(): Promise<IndexableContent> {
+	if (import.meta.env.DEV) return loadIndexableContent();
+
+	if (!indexableContent) {
+		indexableContent = loadIndexableContent();
+		// A failed load is retried by the next sitemap
+		indexableContent.catch(() => {
+			indexableContent = null;
+		});
+	}
+	return indexableContent;
+}
+
+/**
+ * Get the sitemap entries of a language: every page except system pages and
+ * pages with `noindex`, plus the additional pages of paginated sections.
+ * Hreflang alternates only point to pages that are listed themselves.
+ */
+export async function getSitemapEntries(lang: string): Promise<SitemapEntry[]> {
+	const baseUrl = await getSitemapBaseUrl();
+	const languageContext = await getLanguageContext(lang);
+	const { paginationElements = 6 } = await getGlobal();
+	const { pages, keys } = await getIndexableContent();
+	// Alternates only point to pages listed in the sitemaps
+	const isIndexable = async (uri: string, code: string) =>
+		keys.has(`${code}/${uri}`);
+	const entries: SitemapEntry[] = [];
+
+	for (const { indexEntry, page } of pages.get(lang) ?? []) {
+		const lastmod = toLastmod(page.modified ?? indexEntry.modified);
+		const path = getLanguagePath(lang, page.uri, languageContext);
+		entries.push({
+			loc: `${baseUrl}${path}`,
+			lastmod,
+			alternates: await getAlternateLinks({
+				lang,
+				uri: page.uri,
+				baseUrl,
+				isIndexable,
+			}),
+		});
+
+		if (page.intendedTemplate !== 'section') continue;
+
+		const section = await getSection(page.uri, lang);
+		const pageCount = Math.ceil(
+			(section.items?.length ?? 0) / paginationElements
+		);
+		for (let pageNumber = 2; pageNumber <= pageCount; pageNumber++) {
+			entries.push({
+				loc: `${baseUrl}${path}${pageNumber}/`,
+				lastmod,
+				alternates: await getAlternateLinks({
+					lang,
+					uri: page.uri,
+					baseUrl,
+					pageNumber,
+					isIndexable,
+				}),
+			});
+		}
+	}
+
+	return entries;
+}
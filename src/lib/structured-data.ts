@@ -0,0 +1,307 @@
+import {
+	getAllPages,
+	getLanguageContext,
+	getLanguagePath,
+	getPage,
+} from '@lib/api';
+import { toLastmod } from '@lib/sitemap';
+import type { GlobalData, PageData, OpeningHoursItem } from '@app-types';
+
+// A JSON-LD node (without @context, which is added once for the whole graph)
+export type JsonLdNode = Record<string, unknown>;
+
+export interface StructuredDataContext {
+	page: PageData;
+	global: GlobalData;
+	lang: string;
+	// Frontend origin without trailing slash
+	baseUrl: string;
+	// Absolute URL of the page
+	url: string;
+}
+
+export type StructuredDataGenerator = (
+	context: StructuredDataContext
+) =>
+	| JsonLdNode
+	| JsonLdNode[]
+	| null
+	| Promise<JsonLdNode | JsonLdNode[] | null>;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function stripTags(html: string): string {
+	return html
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+// Drop empty values so optional fields don't end up as null in the output
+function compact(node: JsonLdNode): JsonLdNode {
+	return Object.fromEntries(
+		Object.entries(node).filter(
+			([, value]) =>
+				value !== undefined &&
+				value !== null &&
+				value !== '' &&
+				!(Array.isArray(value) && value.length === 0)
+		)
+	);
+}
+
+function getPublisher(page: PageData): Record<string, string> | undefined {
+	return page.meta?.org || page.meta?.person;
+}
+
+function getPublisherId(baseUrl: string): string {
+	return `${baseUrl}/#publisher`;
+}
+
+/**
+ * Collect all blocks of a page, including blocks nested in columns blocks
+ * and in the rows of grid blocks
+ */
+function collectBlocks(page: PageData): Array<Record<string, any>> {
+	const blocks: Array<Record<string, any>> = [];
+	const visit = (columns: any[] = []) => {
+		for (const column of columns) {
+			for (const block of column?.blocks ?? []) {
+				blocks.push(block);
+				if (block.type === 'columns') {
+					visit(block.content?.columns);
+				}
+				if (block.type === 'grid') {
+					for (const row of block.content?.grid ?? []) {
+						visit(row?.columns);
+					}
+				}
+			}
+		}
+	};
+
+	const layouts = [
+		...(page.layouts ?? []),
+		...(page.layoutPre ?? []),
+		...(page.layoutPost ?? []),
+	];
+	for (const layout of layouts) {
+		visit(layout?.content?.columns);
+	}
+
+	return blocks;
+}
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+// Organization or Person publishing the site (meta.org / meta.person)
+const organization: StructuredDataGenerator = ({ page, baseUrl }) => {
+	const publisher = getPublisher(page);
+	if (!publisher) return null;
+
+	return compact({
+		'@type': publisher['@type'] || 'Organization',
+		'@id': getPublisherId(baseUrl),
+		name: publisher.name,
+		url: baseUrl,
+		email: publisher.email,
+		logo: publisher.logo,
+		image: publisher.avatar,
+	});
+};
+
+const website: StructuredDataGenerator = ({ page, global, baseUrl, lang }) =>
+	compact({
+		'@type': 'WebSite',
+		'@id': `${baseUrl}/#website`,
+		url: baseUrl,
+		name: global.siteTitle,
+		inLanguage: lang,
+		publisher: getPublisher(page)
+			? { '@id': getPublisherId(baseUrl) }
+			: undefined,
+	});
+
+// One list item per URI segment, named after the page titles from index.json,
+// starting with the home page of the language
+const breadcrumbs: StructuredDataGenerator = async ({
+	page,
+	lang,
+	baseUrl,
+}) => {
+	if (!page.uri || page.uri === 'home') return null;
+
+	const [pages, languageContext, home] = await Promise.all([
+		getAllPages(lang),
+		getLanguageContext(lang),
+		getPage('home', lang).catch(() => null),
+	]);
+	const titles = new Map(pages.map((entry) => [entry.uri, entry.title]));
+	const segments = page.uri.split('/');
+
+	const items = [
+		{ name: home?.title || 'Home', uri: 'home' },
+		...segments.map((segment, index) => {
+			const uri = segments.slice(0, index + 1).join('/');
+			return {
+				name: uri === page.uri ? page.title : titles.get(uri) || segment,
+				uri,
+			};
+		}),
+	];
+
+	return {
+		'@type': 'BreadcrumbList',
+		itemListElement: items.map(({ name, uri }, index) => ({
+			'@type': 'ListItem',
+			position: index + 1,
+			name,
+			item: `${baseUrl}${getLanguagePath(lang, uri, languageContext)}`,
+		})),
+	};
+};
+
+// Pages below a section page are articles
+const article: StructuredDataGenerator = async ({
+	page,
+	lang,
+	baseUrl,
+	url,
+}) => {
+	const parentUri = page.uri?.split('/').slice(0, -1).join('/');
+	if (!parentUri) return null;
+
+	const pages = await getAllPages(lang);
+	const parent = pages.find((entry) => entry.uri === parentUri);
+	if (parent?.intendedTemplate !== 'section') return null;
+
+	return compact({
+		'@type': 'Article',
+		mainEntityOfPage: url,
+		headline: page.meta?.title || page.title,
+		description: page.meta?.description,
+		image: page.meta?.social?.['og:image'] || page.thumbnail?.url,
+		datePublished: toLastmod(page.date ?? page.published),
+		dateModified: toLastmod(page.modified),
+		inLanguage: lang,
+		publisher: getPublisher(page)
+			? { '@id': getPublisherId(baseUrl) }
+			: undefined,
+	});
+};
+
+// Business details and opening hours from global.json, on the home page
+const localBusiness: StructuredDataGenerator = ({ page, global, baseUrl }) => {
+	const business = global.localBusiness;
+	if (!business || page.uri !== 'home') return null;
+
+	const { address, geo } = business;
+	return compact({
+		'@type': business.type || 'LocalBusiness',
+		'@id': `${baseUrl}/#localbusiness`,
+		name: business.name || global.siteTitle,
+		url: baseUrl,
+		telephone: business.telephone,
+		email: business.email,
+		priceRange: business.priceRange,
+		image: business.image,
+		address: address
+			? compact({
+					'@type': 'PostalAddress',
+					streetAddress: address.street,
+					postalCode: address.postalCode,
+					addressLocality: address.city,
+					addressCountry: address.country,
+				})
+			: undefined,
+		geo:
+			geo?.lat !== undefined && geo?.lng !== undefined
+				? { '@type': 'GeoCoordinates', latitude: geo.lat, longitude: geo.lng }
+				: undefined,
+		openingHoursSpecification: (business.openingHours ?? []).map(
+			(hours: OpeningHoursItem) => ({
+				'@type': 'OpeningHoursSpecification',
+				dayOfWeek: Array.isArray(hours.days)
+					? hours.days
+					: hours.days.split(',').map((day) => day.trim()),
+				opens: hours.opens,
+				closes: hours.closes,
+			})
+		),
+	});
+};
+
+// Questions and answers from accordion blocks
+const faq: StructuredDataGenerator = ({ page }) => {
+	const questions = collectBlocks(page)
+		.filter((block) => block.type === 'accordion')
+		.flatMap((block) => block.content?.acc ?? [])
+		.filter((item) => item?.title && item?.text)
+		.map((item) => ({
+			'@type': 'Question',
+			name: stripTags(item.title),
+			acceptedAnswer: { '@type': 'Answer', text: item.text },
+		}));
+
+	if (questions.length === 0) return null;
+	return { '@type': 'FAQPage', mainEntity: questions };
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const generators = new Map<string, StructuredDataGenerator>([
+	['organization', organization],
+	['website', website],
+	['breadcrumbs', breadcrumbs],
+	['article', article],
+	['localBusiness', localBusiness],
+	['faq', faq],
+]);
+
+/**
+ * Add a generator, or replace a built-in one by using its name
+ * (organization, website, breadcrumbs, article, localBusiness, faq)
+ */
+export function registerStructuredDataGenerator(
+	name: string,
+	generator: StructuredDataGenerator
+): void {
+	generators.set(name, generator);
+}
+
+/**
+ * Remove a generator, e.g. to turn off a built-in schema type
+ */
+export function removeStructuredDataGenerator(name: string): void {
+	generators.delete(name);
+}
+
+/**
+ * Run all generators for a page and combine their nodes into one JSON-LD graph
+ * Returns null if no generator produced a node
+ */
+export async function getStructuredData(
+	context: StructuredDataContext
+): Promise<JsonLdNode | null> {
+	const results = await Promise.all(
+		[...generators.values()].map((generator) => generator(context))
+	);
+	const nodes = results.flat().filter(Boolean) as JsonLdNode[];
+
+	if (nodes.length === 0) return null;
+	return { '@context': 'https://schema.org', '@graph': nodes };
+}
+
+/**
+ * Serialize JSON-LD for an inline <script>, escaping `<` so content can't
+ * close the script element
+ */
+export function serializeJsonLd(data: JsonLdNode): string {
+	return JSON.stringify(data).replace(/</g, '\\u003c');
+}
@@ -1,11 +1,107 @@
 import { defineMiddleware } from 'astro:middleware';
+import type { APIContext, MiddlewareNext } from 'astro';
 import { getData } from '@lib/api';
+import {
+	createPreviewContext,
+	isPreviewPath,
+	runWithPreviewContext,
+} from '@lib/preview-context';
+import {
+	PREVIEW_COOKIE,
+	PREVIEW_TOKEN_PARAM,
+	getPreviewCookieMaxAge,
+	isInPreviewScope,
+	verifyPreviewToken,
+} from '@lib/preview-token';
 import type { GlobalData } from '@app-types';
 
-export const onRequest = defineMiddleware(async (context, next) => {
+const ACCESS_DENIED_PATH = '/preview/access-denied/';
+
+// Preview routes that need a valid token but aren't pages, so the scope doesn't apply
+const PREVIEW_SERVICE_PATHS = ['/preview/font-proxy/'];
+
+// Live reload events of a page, checked against the scope of that page
+const PREVIEW_EVENTS_PATH = '/preview/events/';
+
+// Diff views of a page (/preview/diff/<page>/), checked against the scope of that page
+const PREVIEW_DIFF_PATH = '/preview/diff/';
+
+let warnedUnprotectedPreview = false;
+
+/**
+ * Only let requests with a valid preview token through to /preview routes
+ *
+ * A token in the query string (from a CMS link) is moved to a short-lived
+ * cookie, followed by a redirect to the same URL without it, so editors can
+ * click around. Denied requests get the access denied page.
+ */
+async function handlePreviewAccess(context: APIContext, next: MiddlewareNext) {
+	const { url, cookies } = context;
+	if (url.pathname === ACCESS_DENIED_PATH) return next();
+
+	const secret = import.meta.env.KIRBY_PREVIEW_SECRET;
+	if (!secret && import.meta.env.DEV) {
+		if (!warnedUnprotectedPreview) {
+			console.warn(
+				'[Preview] KIRBY_PREVIEW_SECRET is not set: preview routes are unprotected in dev mode'
+			);
+			warnedUnprotectedPreview = true;
+		}
+		return next();
+	}
+
+	const queryToken = url.searchParams.get(PREVIEW_TOKEN_PARAM);
+	const result = verifyPreviewToken(
+		queryToken ?? cookies.get(PREVIEW_COOKIE)?.value,
+		secret
+	);
+
+	if (result.valid && queryToken) {
+		cookies.set(PREVIEW_COOKIE, queryToken, {
+			path: '/preview',
+			httpOnly: true,
+			secure: !import.meta.env.DEV,
+			sameSite: 'lax',
+			maxAge: getPreviewCookieMaxAge(result.payload),
+		});
+		const cleanUrl = new URL(url);
+		cleanUrl.searchParams.delete(PREVIEW_TOKEN_PARAM);
+		return context.redirect(`${cleanUrl.pathname}${cleanUrl.search}`, 302);
+	}
+
+	const isPage = !PREVIEW_SERVICE_PATHS.some((path) =>
+		url.pathname.startsWith(path)
+	);
+	const pagePath =
+		url.pathname === PREVIEW_EVENTS_PATH
+			? (url.searchParams.get('path') ?? '')
+			: url.pathname.replace(PREVIEW_DIFF_PATH, '/preview/');
+	const previewPath = pagePath.replace(/^\/preview\/?/, '');
+	const reason = !result.valid
+		? result.reason
+		: isPage && !isInPreviewScope(result.payload, previewPath)
+			? 'scope'
+			: null;
+
+	if (reason) {
+		if (reason === 'expired' || reason === 'invalid') {
+			cookies.delete(PREVIEW_COOKIE, { path: '/preview' });
+		}
+		context.locals.previewAccessError = reason;
+		return context.rewrite(ACCESS_DENIED_PATH);
+	}
+
+	return next();
+}
+
+async function handleRequest(context: APIContext, next: MiddlewareNext) {
 	const url = context.url;
 	const pathname = url.pathname;
 
+	if (isPreviewPath(pathname)) {
+		return handlePreviewAccess(context, next);
+	}
+
 	// Skip middleware for maintenance page itself and essential pages
 	if (
 		pathname === '/maintenance' ||
@@ -50,4 +146,17 @@ export const onRequest = defineMiddleware(async (context, next) => {
 	}
 
 	return next();
+}
+
+export const onRequest = defineMiddleware((context, next) => {
+	// Preview state belongs to this request: components read it from
+	// Astro.locals, library code through the request context. Content is
+	// memoized for the whole static build, but dev and preview requests each
+	// get their own cache, so they see the latest content from the CMS.
+	const pathname = context.url.pathname;
+	const preview = createPreviewContext(pathname, {
+		isolateContent: import.meta.env.DEV || isPreviewPath(pathname),
+	});
+	context.locals.preview = preview;
+	return runWithPreviewContext(preview, () => handleRequest(context, next));
 });
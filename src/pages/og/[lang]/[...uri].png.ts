@@ -0,0 +1,41 @@
+import type { APIRoute } from 'astro';
+import { getAllPages, getData, getLanguageContext, getPage } from '@lib/api';
+import { getOgImage, needsOgImage } from '@lib/og-image';
+import type { GlobalData } from '@app-types';
+
+export async function getStaticPaths() {
+	const { allLangs } = await getLanguageContext();
+	const paths: Array<{
+		params: { lang: string; uri: string };
+		props: { title: string; siteTitle?: string };
+	}> = [];
+
+	for (const { code: lang } of allLangs) {
+		// The site title is translatable, so it comes from the language's global.json
+		const { siteTitle } = await getData<GlobalData>(`/${lang}/global.json`);
+		for (const indexEntry of await getAllPages(lang)) {
+			const page = await getPage(indexEntry.uri, lang).catch(() => null);
+			if (!page || !needsOgImage(page)) continue;
+
+			paths.push({
+				params: { lang, uri: page.uri },
+				props: { title: page.title, siteTitle },
+			});
+		}
+	}
+
+	return paths;
+}
+
+export const GET: APIRoute = async ({ props }) => {
+	const image = await getOgImage({
+		title: props.title,
+		siteTitle: props.siteTitle,
+	});
+
+	return new Response(new Uint8Array(image), {
+		headers: {
+			'Content-Type': 'image/png',
+		},
+	});
+};
@@ -0,0 +1,125 @@
+import { createHash } from 'crypto';
+import type { APIRoute } from 'astro';
+import { getData } from '@lib/api';
+import {
+	getPreviewEndpoint,
+	getPreviewVersionOptions,
+	getVersionQuery,
+	resolvePreviewSlug,
+} from '@lib/preview';
+
+export const prerender = false;
+
+// How often the page and global data are compared with the last state
+const POLL_INTERVAL = 2000;
+
+// Streams end before the function timeout; the browser reconnects on its own
+// and sends the last hash as Last-Event-ID, so no change is missed in between
+const STREAM_DURATION = 8000;
+
+// Reconnect delay for the browser in ms
+const RETRY_DELAY = 1000;
+
+/**
+ * Hash the data the preview page is rendered from
+ *
+ * Fetch errors get a hash of their own, so a page that becomes available
+ * again (or breaks) also counts as a change.
+ */
+async function getContentHash(
+	pageEndpoint: string,
+	globalEndpoint: string
+): Promise<string> {
+	let content: string;
+	try {
+		content = JSON.stringify(
+			await Promise.all([getData(pageEndpoint), getData(globalEndpoint)])
+		);
+	} catch {
+		content = 'unavailable';
+	}
+	return createHash('sha1').update(content).digest('hex');
+}
+
+function formatEvent(event: string, id: string, data: object): string {
+	return `event: ${event}\nid: ${id}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Server-sent events for live-reloading preview pages
+ *
+ * `GET /preview/events/?path=/preview/<lang>/<slug>/` (plus the version
+ * parameters of the page) polls the content of that page and sends a
+ * `change` event when it differs from the state the browser last saw.
+ */
+export const GET: APIRoute = async ({ url, request }) => {
+	const path = url.searchParams.get('path') ?? '/preview/';
+	const slug = path.replace(/^\/preview\/?/, '').replace(/\/+$/, '');
+
+	const { currentLangCode, endpointSlug } = await resolvePreviewSlug(slug);
+	const pageEndpoint =
+		getPreviewEndpoint(currentLangCode, endpointSlug) +
+		getVersionQuery(getPreviewVersionOptions(url));
+	const globalEndpoint = currentLangCode
+		? `/${currentLangCode}/global.json`
+		: '/global.json';
+
+	const lastEventId = request.headers.get('Last-Event-ID');
+	const encoder = new TextEncoder();
+	let closed = false;
+
+	const stream = new ReadableStream({
+		async start(controller) {
+			const deadline = Date.now() + STREAM_DURATION;
+			const close = () => {
+				if (closed) return;
+				closed = true;
+				controller.close();
+			};
+			request.signal.addEventListener('abort', close);
+
+			const hash = await getContentHash(pageEndpoint, globalEndpoint);
+			if (closed) return;
+
+			controller.enqueue(encoder.encode(`retry: ${RETRY_DELAY}\n\n`));
+
+			// A reconnecting browser has already seen a state; tell it right away
+			// if the content changed while it was disconnected
+			if (lastEventId && lastEventId !== hash) {
+				controller.enqueue(
+					encoder.encode(formatEvent('change', hash, { path }))
+				);
+				return close();
+			}
+			controller.enqueue(encoder.encode(formatEvent('ready', hash, { path })));
+
+			while (!closed && Date.now() + POLL_INTERVAL < deadline) {
+				await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+				if (closed) return;
+
+				const nextHash = await getContentHash(pageEndpoint, globalEndpoint);
+				if (closed) return;
+				if (nextHash !== hash) {
+					controller.enqueue(
+						encoder.encode(formatEvent('change', nextHash, { path }))
+					);
+					return close();
+				}
+			}
+
+			close();
+		},
+		// The browser went away (closed tab, reload)
+		cancel() {
+			closed = true;
+		},
+	});
+
+	return new Response(stream, {
+		headers: {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache, no-transform',
+			Connection: 'keep-alive',
+		},
+	});
+};
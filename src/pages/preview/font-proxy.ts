@@ -1,5 +1,7 @@
 export const prerender = false;
 
+import { getKirbyAuthHeaders } from '../../../plugins/baukasten-utils/src/auth.js';
+
 interface FontProxyResponse {
 	status: number;
 	headers: Record<string, string>;
@@ -23,7 +25,14 @@ function getFontContentType(url: string): string {
 
 async function handleFontProxy(url: string): Promise<FontProxyResponse> {
 	try {
-		const response = await fetch(url);
+		// Fonts hosted on a locked-down CMS need the same credentials as its
+		// JSON endpoints; other hosts never receive them
+		const response = await fetch(url, {
+			headers: getKirbyAuthHeaders(url, {
+				preview: true,
+				env: import.meta.env,
+			}),
+		});
 
 		if (!response.ok) {
 			return {
@@ -1,23 +1,21 @@
 import type { APIRoute } from 'astro';
-import { getFrontendUrl } from '@lib/api';
-
-const robotsTxt = async (frontendUrl: string) =>
-	`
-User-agent: *
-Allow: /
-Disallow: /preview
-Disallow: /.netlify
-
-Sitemap: ${new URL('sitemap-index.xml', frontendUrl).href}
-`.trim();
+import { getGlobal } from '@lib/api';
+import { buildRobotsTxt } from '@lib/robots';
 
+// Rules come from the robots settings in global.json; Netlify deploy
+// previews and branch deploys always disallow everything
 export const GET: APIRoute = async () => {
-	const frontendUrl = await getFrontendUrl();
-	const normalizedUrl = frontendUrl.endsWith('/')
-		? frontendUrl
-		: `${frontendUrl}/`;
+	const global = await getGlobal();
+	const normalizedUrl = global.frontendUrl.endsWith('/')
+		? global.frontendUrl
+		: `${global.frontendUrl}/`;
+
+	const robotsTxt = buildRobotsTxt(global, {
+		sitemapUrl: new URL('sitemap-index.xml', normalizedUrl).href,
+		context: process.env.CONTEXT,
+	});
 
-	return new Response(await robotsTxt(normalizedUrl), {
+	return new Response(robotsTxt, {
 		headers: {
 			'Content-Type': 'text/plain; charset=utf-8',
 		},
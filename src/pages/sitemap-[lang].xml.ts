@@ -0,0 +1,20 @@
+import type { APIRoute } from 'astro';
+import { getLanguageContext } from '@lib/api';
+import { getSitemapEntries, renderSitemap } from '@lib/sitemap';
+
+export async function getStaticPaths() {
+	const { allLangs } = await getLanguageContext();
+	return allLangs.map(({ code }) => ({ params: { lang: code } }));
+}
+
+export const GET: APIRoute = async ({ params }) => {
+	const sitemapXml = renderSitemap(
+		await getSitemapEntries(params.lang as string)
+	);
+
+	return new Response(sitemapXml, {
+		headers: {
+			'Content-Type': 'application/xml; charset=utf-8',
+		},
+	});
+};
@@ -1,17 +1,16 @@
 import type { APIRoute } from 'astro';
+import { getLanguageContext } from '@lib/api';
+import { getSitemapBaseUrl, renderSitemapIndex } from '@lib/sitemap';
 
-const KIRBY_URL = import.meta.env.KIRBY_URL;
+// One sitemap per language, generated at build time (see sitemap-[lang].xml.ts)
+export const GET: APIRoute = async () => {
+	const baseUrl = await getSitemapBaseUrl();
+	const { allLangs } = await getLanguageContext();
 
-const sitemapIndexXml = `
-<?xml version="1.0" encoding="UTF-8"?>
-<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-    <sitemap>
-        <loc>${new URL('sitemap.xml', KIRBY_URL).href}</loc>
-    </sitemap>
-</sitemapindex>
-`.trim();
+	const sitemapIndexXml = renderSitemapIndex(
+		allLangs.map(({ code }) => `${baseUrl}/sitemap-${code}.xml`)
+	);
 
-export const GET: APIRoute = () => {
 	return new Response(sitemapIndexXml, {
 		headers: {
 			'Content-Type': 'application/xml; charset=utf-8',
@@ -41,6 +41,7 @@ export interface GlobalData {
 	allLang: Language[];
 	prefixDefaultLocale: boolean;
 	frontendUrl: string;
+	siteTitle?: string;
 	paginationElements?: number;
 	maintenanceToggle?: boolean;
 	font?: Array<{
@@ -50,6 +51,24 @@ export interface GlobalData {
 	}>;
 	fontSize: FontSizeItem[];
 
+	// Brand colors
+	colorPrimary?: string;
+	colorSecondary?: string;
+	colorBlack?: string;
+	colorWhite?: string;
+
+	// Site logo (inline SVG source or image URL)
+	logoFile?: {
+		src?: string;
+		source?: string;
+		alt?: string;
+		width?: number;
+		height?: number;
+	};
+
+	// Fonts per headline level
+	headlines?: Record<string, { font?: string; size?: string }>;
+
 	// Header color properties
 	headerColorCurrent: string;
 	headerColorCurrentActive: string;
@@ -61,6 +80,50 @@ export interface GlobalData {
 	// Navigation data
 	navHeader?: any[];
 	navHamburger?: any[];
+
+	// robots.txt settings
+	robotsDisallow?: string[] | string;
+	robotsBlockAiCrawlers?: boolean;
+	robotsAiCrawlers?: string[] | string;
+	robotsRules?: RobotsRule[];
+
+	// Structured data (JSON-LD) for a local business
+	localBusiness?: LocalBusinessData;
+}
+
+// Business details for LocalBusiness structured data
+export interface LocalBusinessData {
+	// schema.org type, e.g. 'Restaurant' (default: 'LocalBusiness')
+	type?: string;
+	name?: string;
+	telephone?: string;
+	email?: string;
+	priceRange?: string;
+	image?: string;
+	address?: {
+		street?: string;
+		postalCode?: string;
+		city?: string;
+		country?: string;
+	};
+	geo?: { lat?: number; lng?: number };
+	openingHours?: OpeningHoursItem[];
+}
+
+export interface OpeningHoursItem {
+	// schema.org days ('Monday') or a comma-separated list
+	days: string[] | string;
+	// 24-hour times, e.g. '09:00'
+	opens: string;
+	closes: string;
+}
+
+// Per-user-agent group in robots.txt
+export interface RobotsRule {
+	userAgent: string;
+	allow?: string[] | string;
+	disallow?: string[] | string;
+	crawlDelay?: number;
 }
 
 export interface ContentBlock {
@@ -88,6 +151,21 @@ export interface SectionData extends PageData {
 	items: PageData[];
 }
 
+// Kirby content version shown by a preview: published or unsaved changes
+export type PreviewVersion = 'latest' | 'changes';
+
+// <link rel="alternate" hreflang> entry of a page
+export interface AlternateLink {
+	hreflang: string;
+	href: string;
+}
+
+// translations-map.json: page URIs keyed by language, URI and target language
+export type TranslationsMap = Record<
+	string,
+	Record<string, Record<string, string>>
+>;
+
 // Font Types
 export interface FontItem {
 	name: string;
@@ -3,6 +3,7 @@ import type {
 	GlobalData,
 	SectionItem,
 	ContentBlock,
+	PreviewVersion,
 } from '@app-types/api.types';
 import type {
 	LinkArray,
@@ -105,6 +106,7 @@ export interface PageRendererProps {
 	global?: GlobalData;
 	page?: any;
 	maintenanceMode?: boolean;
+	preview?: PreviewBannerComponentProps;
 }
 
 // Section Components
@@ -240,6 +242,8 @@ export interface KirbyMetaComponentProps {
 	global: any;
 	lang: string;
 	pageTitle?: string;
+	// Page of a paginated section (1 for the first page)
+	pageNumber?: number;
 }
 
 export interface LanguagePickerComponentProps {
@@ -287,6 +291,7 @@ export interface PageRendererComponentProps {
 	global?: any;
 	page?: any;
 	maintenanceMode?: boolean;
+	preview?: PreviewBannerComponentProps;
 }
 
 export interface PaginationComponentProps {
@@ -308,6 +313,15 @@ export interface PreviewErrorComponentProps {
 	message?: string;
 }
 
+export interface PreviewBannerComponentProps {
+	// Version shown: published ('latest') or unsaved changes ('changes')
+	version: PreviewVersion;
+	// The page itself is a draft that was never published
+	isDraft?: boolean;
+	// Changes were requested but couldn't be loaded (published version shown)
+	versionUnavailable?: boolean;
+}
+
 export interface ScrollButtonComponentProps {
 	global: any;
 	controls?: string[];
@@ -11,6 +11,12 @@ export type {
 	ContentBlock,
 	PageData,
 	SectionData,
+	TranslationsMap,
+	PreviewVersion,
+	AlternateLink,
+	RobotsRule,
+	LocalBusinessData,
+	OpeningHoursItem,
 	FontItem,
 	FontData,
 	FontSizeItem,